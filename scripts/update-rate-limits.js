@@ -15,7 +15,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import readline from 'readline';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -128,6 +128,31 @@ function parseRateLimits(input) {
   return models;
 }
 
+// Limits used for a tier that has no configuration yet
+const DEFAULT_TIER_CONFIG = {
+  contextWindow: 65536,
+  limits: { requests: { minute: 30, hour: 900, day: 14400 } }
+};
+
+/**
+ * Source of a { minute, hour, day } limits object, leaving out periods the table did not list
+ */
+function formatPeriods(periods) {
+  const entries = ['minute', 'hour', 'day'].filter(period => periods[period] !== undefined);
+  return `{ ${entries.map(period => `${period}: ${periods[period]}`).join(', ')} }`;
+}
+
+/**
+ * Source lines of one tier: its context window, request limits and token limits (when it has any)
+ */
+function formatTierConfig(tierConfig) {
+  const limitLines = [`        requests: ${formatPeriods(tierConfig.limits.requests)}`];
+  if (tierConfig.limits.tokens && Object.keys(tierConfig.limits.tokens).length > 0) {
+    limitLines.push(`        tokens: ${formatPeriods(tierConfig.limits.tokens)}`);
+  }
+  return `      contextWindow: ${tierConfig.contextWindow},\n      limits: {\n${limitLines.join(',\n')}\n      }\n`;
+}
+
 /**
  * Update the model-configs.js file with new rate limits
  */
@@ -137,69 +162,31 @@ async function updateModelConfigs(models, tier) {
   try {
     // Read existing config
     let configContent = await fs.readFile(configPath, 'utf-8');
+    const { MODEL_CONFIGS: existingConfigs } = await import(pathToFileURL(configPath).href);
     
-    // Parse existing MODEL_CONFIGS
     const configStart = configContent.indexOf('export const MODEL_CONFIGS = {');
     const configEnd = configContent.lastIndexOf('};') + 2;
-    const existingConfigStr = configContent.substring(configStart, configEnd);
     
     // Create new config object
     let newConfig = 'export const MODEL_CONFIGS = {\n';
     
     // Get all unique model names from both existing and new
-    const existingModels = existingConfigStr.match(/'[^']+'/g)?.map(m => m.replace(/'/g, '')) || [];
-    const allModels = [...new Set([...Object.keys(models), ...existingModels.filter(m => !m.includes(':')).filter((m, i) => i % 2 === 0)])];
+    const allModels = [...new Set([...Object.keys(models), ...Object.keys(existingConfigs)])];
     
     for (const modelName of allModels) {
-      const newData = models[modelName];
-      
-      // Try to preserve existing data for the other tier
-      const existingFreeMatch = existingConfigStr.match(new RegExp(`'${modelName}':[\\s\\S]*?free:[\\s\\S]*?\\}[\\s\\S]*?\\}`));
-      const existingPaidMatch = existingConfigStr.match(new RegExp(`'${modelName}':[\\s\\S]*?paid:[\\s\\S]*?\\}[\\s\\S]*?\\}`));
+      const existing = existingConfigs[modelName] || {};
       
       newConfig += `  '${modelName}': {\n`;
       
-      // Add free tier config
-      newConfig += `    free: {\n`;
-      if (tier === 'free' && newData) {
-        newConfig += `      contextWindow: ${newData.contextWindow},\n`;
-        newConfig += `      limits: {\n`;
-        newConfig += `        requests: { minute: ${newData.limits.requests.minute}, hour: ${newData.limits.requests.hour}, day: ${newData.limits.requests.day} }\n`;
-        if (newData.limits.tokens && Object.keys(newData.limits.tokens).length > 0) {
-          newConfig += `        // tokens: { minute: ${newData.limits.tokens.minute}, hour: ${newData.limits.tokens.hour}, day: ${newData.limits.tokens.day} }\n`;
-        }
-        newConfig += `      }\n`;
-      } else {
-        // Keep existing free config or use defaults
-        newConfig += `      contextWindow: 65536,\n`;
-        newConfig += `      limits: {\n`;
-        newConfig += `        requests: { minute: 30, hour: 900, day: 14400 }\n`;
-        newConfig += `      }\n`;
-      }
-      newConfig += `    },\n`;
-      
-      // Add paid tier config
-      newConfig += `    paid: {\n`;
-      if (tier === 'paid' && newData) {
-        newConfig += `      contextWindow: ${newData.contextWindow},\n`;
-        newConfig += `      limits: {\n`;
-        newConfig += `        requests: { minute: ${newData.limits.requests.minute}, hour: ${newData.limits.requests.hour}, day: ${newData.limits.requests.day} }\n`;
-        if (newData.limits.tokens && Object.keys(newData.limits.tokens).length > 0) {
-          newConfig += `        // tokens: { minute: ${newData.limits.tokens.minute}, hour: ${newData.limits.tokens.hour}, day: ${newData.limits.tokens.day} }\n`;
-        }
-        newConfig += `      }\n`;
-      } else {
-        // Keep existing paid config or use defaults
-        newConfig += `      contextWindow: 65536,\n`;
-        newConfig += `      limits: {\n`;
-        newConfig += `        requests: { minute: 30, hour: 900, day: 14400 }\n`;
-        newConfig += `      }\n`;
+      // The updated tier comes from the pasted table; the other tier keeps its existing config (or the defaults)
+      for (const tierName of ['free', 'paid']) {
+        const tierConfig = tierName === tier && models[modelName] ? models[modelName] : existing[tierName] || DEFAULT_TIER_CONFIG;
+        newConfig += `    ${tierName}: {\n${formatTierConfig(tierConfig)}    }${tierName === 'free' ? ',' : ''}\n`;
       }
-      newConfig += `    }\n`;
       newConfig += `  }${allModels.indexOf(modelName) < allModels.length - 1 ? ',' : ''}\n`;
     }
     
-    newConfig += '};\n';
+    newConfig += '};';
     
     // Replace the MODEL_CONFIGS in the file
     const newContent = configContent.substring(0, configStart) + newConfig + configContent.substring(configEnd);
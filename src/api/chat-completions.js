@@ -0,0 +1,247 @@
+import http from 'http';
+import https from 'https';
+import { createCancelledError } from '../utils/cancellation.js';
+
+// Split an SSE buffer into complete `data:` payloads, returning them with the unparsed remainder
+export function parseSSEBuffer(buffer) {
+  const lines = buffer.split('\n');
+  const remainder = lines.pop();
+  const payloads = [];
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\r$/, '');
+    if (line.startsWith('data:')) {
+      payloads.push(line.substring(5).trim());
+    }
+  }
+
+  return { payloads, remainder };
+}
+
+// Pull the error message out of a JSON error body, falling back to the raw text
+function extractErrorMessage(body) {
+  try {
+    const response = JSON.parse(body);
+    return response.error?.message || response.message || 'Unknown error';
+  } catch (error) {
+    return body.trim() || 'Unknown error';
+  }
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse API response: ${error.message}`);
+  }
+}
+
+// Protocol, host, port and path of the chat completions endpoint under an OpenAI-style base URL
+// such as https://api.cerebras.ai/v1 or http://localhost:8000/v1 (a local server)
+export function chatCompletionsEndpoint(baseUrl, endpointPath = '/chat/completions') {
+  const url = new URL(baseUrl);
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Unsupported base URL ${baseUrl}: expected an http or https URL`);
+  }
+  return {
+    protocol: url.protocol,
+    hostname: url.hostname,
+    port: url.port ? parseInt(url.port) : (url.protocol === 'http:' ? 80 : 443),
+    path: `${url.pathname.replace(/\/+$/, '')}/${endpointPath.replace(/^\/+/, '')}`
+  };
+}
+
+// POST a chat completion request with stream: true and collect the generated text.
+// onProgress({ characters, chunks }) is called as content arrives.
+// connectTimeoutMs limits establishing the connection, requestTimeoutMs the whole request.
+// Aborting signal destroys the request and rejects with a RequestCancelled error.
+// onResponseHeaders(headers, statusCode) receives the response headers (rate limit information),
+// onUsage(usage) the token usage reported with the completion, if any.
+export function streamChatCompletion({ providerName, requestOptions, requestData, onProgress, onResponseHeaders, onUsage, connectTimeoutMs, requestTimeoutMs, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const postData = JSON.stringify(requestData);
+    let settled = false;
+    let req;
+    let connectTimer = null;
+    let requestTimer = null;
+
+    const clearTimers = () => {
+      clearTimeout(connectTimer);
+      clearTimeout(requestTimer);
+    };
+
+    const onAbort = () => {
+      req.destroy();
+      fail(createCancelledError());
+    };
+
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        clearTimers();
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    };
+
+    const succeed = (content) => {
+      if (!settled) {
+        settled = true;
+        clearTimers();
+        signal?.removeEventListener('abort', onAbort);
+        resolve(content);
+      }
+    };
+
+    // Plain http is only used for servers on the local network, such as a vLLM or llama.cpp server
+    const transport = requestOptions.protocol === 'http:' ? http : https;
+    req = transport.request({
+      ...requestOptions,
+      method: 'POST',
+      headers: {
+        ...requestOptions.headers,
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    }, (res) => {
+      res.setEncoding('utf8');
+
+      if (onResponseHeaders) {
+        onResponseHeaders(res.headers, res.statusCode);
+      }
+
+      // Errors come back as a regular JSON body
+      if (res.statusCode !== 200) {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          fail(new Error(`${providerName} API error: ${res.statusCode} - ${extractErrorMessage(body)}`));
+        });
+        return;
+      }
+
+      // Some servers ignore stream: true and answer with a single JSON completion
+      const isEventStream = (res.headers['content-type'] || '').includes('text/event-stream');
+
+      let buffer = '';
+      let content = '';
+      let chunks = 0;
+      let done = false;
+      let usage = null;
+
+      const handlePayload = (payload) => {
+        if (done) {
+          return;
+        }
+        if (payload === '[DONE]') {
+          done = true;
+          return;
+        }
+
+        const event = parseJSON(payload);
+        if (event.error) {
+          throw new Error(`${providerName} API error: ${event.error.message || 'Unknown error'}`);
+        }
+
+        // Usage arrives with the final chunk
+        if (event.usage) {
+          usage = event.usage;
+        }
+
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          chunks++;
+          if (onProgress) {
+            onProgress({ characters: content.length, chunks });
+          }
+        }
+      };
+
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        if (!isEventStream || done) {
+          return;
+        }
+
+        const { payloads, remainder } = parseSSEBuffer(buffer);
+        buffer = remainder;
+        try {
+          payloads.forEach(handlePayload);
+        } catch (error) {
+          req.destroy();
+          fail(error);
+        }
+      });
+
+      res.on('end', () => {
+        try {
+          if (!isEventStream) {
+            const response = parseJSON(buffer);
+            if (!response.choices || !response.choices[0]) {
+              throw new Error(`${providerName} API error: ${res.statusCode} - ${response.error?.message || 'Unknown error'}`);
+            }
+            if (response.usage && onUsage) {
+              onUsage(response.usage);
+            }
+            succeed(response.choices[0].message.content);
+            return;
+          }
+
+          // Flush a final event that wasn't newline terminated
+          parseSSEBuffer(buffer + '\n').payloads.forEach(handlePayload);
+          if (usage && onUsage) {
+            onUsage(usage);
+          }
+          succeed(content);
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      res.on('error', (error) => {
+        fail(new Error(`Request failed: ${error.message}`));
+      });
+    });
+
+    req.on('error', (error) => {
+      fail(new Error(`Request failed: ${error.message}`));
+    });
+
+    if (connectTimeoutMs) {
+      connectTimer = setTimeout(() => {
+        req.destroy();
+        fail(new Error(`Connect timeout after ${connectTimeoutMs / 1000} seconds`));
+      }, connectTimeoutMs);
+
+      // Keep-alive sockets are already connected
+      req.on('socket', (socket) => {
+        if (socket.connecting) {
+          socket.once('connect', () => clearTimeout(connectTimer));
+        } else {
+          clearTimeout(connectTimer);
+        }
+      });
+    }
+
+    if (requestTimeoutMs) {
+      requestTimer = setTimeout(() => {
+        req.destroy();
+        fail(new Error(`Request timeout after ${requestTimeoutMs / 1000} seconds`));
+      }, requestTimeoutMs);
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    req.write(postData);
+    req.end();
+  });
+}
@@ -0,0 +1,50 @@
+import { config } from '../config/constants.js';
+import { callChatCompletions } from './openai-compatible.js';
+
+// Local servers for offline code generation, both serving the OpenAI chat completions API
+const LOCAL_BACKENDS = {
+  ollama: { name: 'Ollama', baseUrl: 'http://localhost:11434/v1' },
+  llamacpp: { name: 'llama.cpp', baseUrl: 'http://localhost:8080/v1' }
+};
+
+// Whether a local backend is configured with LOCAL_LLM_BACKEND
+export function isLocalConfigured() {
+  return !!LOCAL_BACKENDS[config.localBackend];
+}
+
+// Local model for a requested (Cerebras) model: its entry in LOCAL_LLM_MODEL_MAP, else LOCAL_LLM_MODEL.
+// null lets a llama.cpp server use the one model it has loaded.
+export function resolveLocalModel(requestedModel) {
+  return config.localModelMap[requestedModel] || config.localModel || null;
+}
+
+// Call a local Ollama or llama.cpp server. Keys and base URLs meant for remote providers are ignored.
+export async function callLocal(prompt, context = "", outputFile = "", language = null, contextFiles = [], options = {}) {
+  const backend = LOCAL_BACKENDS[config.localBackend];
+  if (!backend) {
+    throw new Error(`No local model server configured. Set LOCAL_LLM_BACKEND to ${Object.keys(LOCAL_BACKENDS).join(' or ')}.`);
+  }
+  
+  const model = resolveLocalModel(options.model || config.cerebrasModel);
+  if (!model && config.localBackend === 'ollama') {
+    throw new Error("No local model configured for Ollama. Set LOCAL_LLM_MODEL or LOCAL_LLM_MODEL_MAP.");
+  }
+  
+  return await callChatCompletions({
+    name: backend.name,
+    baseUrl: config.localBaseUrl || backend.baseUrl,
+    model
+  }, prompt, context, outputFile, language, contextFiles, { ...options, apiKey: undefined, baseUrl: undefined, model });
+}
+
+// Registry entry for the router (see router/provider-registry.js)
+export const localProvider = {
+  name: 'local',
+  config: {
+    backend: { env: 'LOCAL_LLM_BACKEND', required: true, description: `Local server: ${Object.keys(LOCAL_BACKENDS).join(' or ')}` },
+    model: { env: 'LOCAL_LLM_MODEL', description: 'Local model to generate with' }
+  },
+  isAvailable: isLocalConfigured,
+  call: callLocal,
+  describe: () => ({ backend: config.localBackend, model: resolveLocalModel(config.cerebrasModel), priority: config.localPriority })
+};
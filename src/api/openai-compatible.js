@@ -0,0 +1,110 @@
+import { config } from '../config/constants.js';
+import { cleanCodeResponse } from '../utils/code-cleaner.js';
+import { buildRequestMessages } from '../utils/prompt-builder.js';
+import { streamChatCompletion, chatCompletionsEndpoint } from './chat-completions.js';
+import { withRetry } from './retry.js';
+import { isCancelledError } from '../utils/cancellation.js';
+
+// Call any OpenAI-compatible chat completions API and return the generated code.
+// settings: { name, baseUrl, path, apiKey, authHeader, model, headers, body, temperature, maxTokens }
+// - name labels errors and logs ("Cerebras API call failed: ...")
+// - authHeader defaults to Authorization with a Bearer token; any other header gets the raw key,
+//   and no header is sent without a key (local servers)
+// - headers are extra request headers, body extra request fields (e.g. OpenRouter's provider routing)
+// Per-call settings (options.apiKey, model, baseUrl, temperature, maxTokens) override settings.
+export async function callChatCompletions(settings, prompt, context = "", outputFile = "", language = null, contextFiles = [], options = {}) {
+  const name = settings.name || 'OpenAI-compatible';
+  const apiKey = options.apiKey || settings.apiKey;
+  const baseUrl = options.baseUrl || settings.baseUrl;
+  if (!baseUrl) {
+    throw new Error(`No base URL configured for ${name}`);
+  }
+  
+  // Edit blocks and multi-file output are returned untouched and parsed by the tool handler
+  const rawOutput = options.editMode === 'search_replace' || (Array.isArray(options.outputFiles) && options.outputFiles.length > 0);
+  const messages = await buildRequestMessages(prompt, context, outputFile, language, contextFiles, options);
+  
+  const requestData = {
+    ...settings.body,
+    messages,
+    temperature: options.temperature ?? settings.temperature ?? config.temperature,
+    stream: true
+  };
+  
+  // Servers that host a single model (llama.cpp) don't need one
+  const model = options.model || settings.model;
+  if (model) {
+    requestData.model = model;
+  }
+  
+  // Only add max_tokens if explicitly set
+  const maxTokens = options.maxTokens ?? settings.maxTokens ?? config.maxTokens;
+  if (maxTokens) {
+    requestData.max_tokens = maxTokens;
+  }
+  
+  const headers = { ...settings.headers };
+  if (apiKey) {
+    const authHeader = settings.authHeader || 'Authorization';
+    headers[authHeader] = authHeader.toLowerCase() === 'authorization' ? `Bearer ${apiKey}` : apiKey;
+  }
+  
+  try {
+    // Stream the completion so progress can be reported while tokens arrive,
+    // retrying transient failures before the router falls back to another provider
+    const rawContent = await withRetry(() => streamChatCompletion({
+      providerName: name,
+      requestOptions: {
+        ...chatCompletionsEndpoint(baseUrl, settings.path),
+        headers
+      },
+      requestData,
+      onProgress: options.onProgress,
+      onResponseHeaders: options.onResponseHeaders,
+      onUsage: options.onUsage,
+      signal: options.signal,
+      connectTimeoutMs: config.connectTimeoutMs,
+      requestTimeoutMs: config.requestTimeoutMs
+    }), { label: model ? `${name} ${model}` : name, signal: options.signal });
+    
+    return rawOutput ? rawContent : cleanCodeResponse(rawContent);
+  } catch (error) {
+    // Cancellation is passed through untouched so the router doesn't fall back
+    if (isCancelledError(error)) {
+      throw error;
+    }
+    // Re-throw the error for the router to handle fallback logic
+    throw new Error(`${name} API call failed: ${error.message}`);
+  }
+}
+
+// Call the OpenAI-compatible server configured with OPENAI_COMPATIBLE_BASE_URL
+// (a local vLLM, llama.cpp or Ollama server, or an internal gateway)
+export async function callOpenAICompatible(prompt, context = "", outputFile = "", language = null, contextFiles = [], options = {}) {
+  if (!config.openAICompatibleBaseUrl) {
+    throw new Error("No OpenAI-compatible server configured. Set OPENAI_COMPATIBLE_BASE_URL environment variable.");
+  }
+  
+  return await callChatCompletions({
+    name: config.openAICompatibleName,
+    baseUrl: config.openAICompatibleBaseUrl,
+    path: config.openAICompatiblePath,
+    apiKey: config.openAICompatibleApiKey,
+    authHeader: config.openAICompatibleAuthHeader,
+    model: config.openAICompatibleModel,
+    headers: config.openAICompatibleHeaders
+  }, prompt, context, outputFile, language, contextFiles, options);
+}
+
+// Registry entry for the router (see router/provider-registry.js)
+export const openAICompatibleProvider = {
+  name: 'openai-compatible',
+  config: {
+    baseUrl: { env: 'OPENAI_COMPATIBLE_BASE_URL', required: true, description: 'Base URL of the server, e.g. http://localhost:8000/v1' },
+    apiKey: { env: 'OPENAI_COMPATIBLE_API_KEY', description: 'API key' },
+    model: { env: 'OPENAI_COMPATIBLE_MODEL', description: 'Model to generate with' }
+  },
+  isAvailable: () => !!config.openAICompatibleBaseUrl,
+  call: callOpenAICompatible,
+  describe: () => ({ model: config.openAICompatibleModel || null, baseUrl: config.openAICompatibleBaseUrl })
+};
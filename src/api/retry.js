@@ -0,0 +1,63 @@
+import { config, debugLog } from '../config/constants.js';
+import { isCancelledError, sleepUnlessCancelled } from '../utils/cancellation.js';
+
+// Transient failures: server errors, dropped or refused connections, unreachable hosts and timeouts.
+// They are retried here and count against the provider's circuit breaker (see circuit-breaker.js).
+// Client errors (4xx, including 429 rate limits) are left to the router and provider pool.
+export const TRANSIENT_ERROR_PATTERNS = [
+  /API error: 5\d\d\b/,
+  /ECONNRESET/,
+  /ECONNREFUSED/,
+  /ENOTFOUND/,
+  /EAI_AGAIN/,
+  /ETIMEDOUT/,
+  /EPIPE/,
+  /socket hang up/i,
+  /(Connect|Request) timeout/
+];
+
+export function isRetryableError(error) {
+  if (!error || typeof error.message !== 'string' || isCancelledError(error)) {
+    return false;
+  }
+  return TRANSIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message));
+}
+
+// Exponential backoff with full jitter: a random delay between 0 and min(maxDelayMs, baseDelayMs * 2^attempt)
+export function getRetryDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.floor(random() * ceiling);
+}
+
+// Run operation(attempt), retrying retryable errors with jittered exponential backoff.
+// The last error is rethrown once retries are exhausted so the router can fall back.
+export async function withRetry(operation, options = {}) {
+  const {
+    label = 'API call',
+    maxRetries = config.maxRetries,
+    baseDelayMs = config.retryBaseDelayMs,
+    maxDelayMs = config.retryMaxDelayMs,
+    signal
+  } = options;
+  const attempts = maxRetries + 1;
+
+  for (let attempt = 0; ; attempt++) {
+    await debugLog(`${label}: attempt ${attempt + 1}/${attempts}`);
+    try {
+      const result = await operation(attempt);
+      if (attempt > 0) {
+        await debugLog(`${label}: attempt ${attempt + 1}/${attempts} succeeded`);
+      }
+      return result;
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        await debugLog(`${label}: attempt ${attempt + 1}/${attempts} failed, giving up: ${error.message}`);
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, { baseDelayMs, maxDelayMs });
+      await debugLog(`${label}: attempt ${attempt + 1}/${attempts} failed, retrying in ${delay}ms: ${error.message}`);
+      await sleepUnlessCancelled(delay, signal);
+    }
+  }
+}
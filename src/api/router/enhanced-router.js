@@ -1,29 +1,28 @@
 import { callCerebras } from '../cerebras.js';
-import { callOpenRouter } from '../openrouter.js';
+import { routeAPICall as routeWithoutPool, callProvider, callProviderChain, getProviderChain, loadConfiguredProviders, getAvailableProviders as getRouterProviders } from './router.js';
 import { config } from '../../config/constants.js';
+import { loadApiKeys } from '../../config/api-keys.js';
+import { estimatePromptTokens } from '../../utils/token-estimator.js';
+import { withContextSelection } from '../../utils/context-budget.js';
 import { ProviderPool } from '../../providers/provider-pool.js';
-import { CostOptimizedStrategy, PerformanceOptimizedStrategy, LoadBalancedStrategy, RoundRobinStrategy } from '../../routing/routing-strategy.js';
+import { RateStateStore } from '../../ratelimit/rate-state-store.js';
+import { CostOptimizedStrategy, PerformanceOptimizedStrategy, LoadBalancedStrategy, RoundRobinStrategy, LatencyAwareStrategy } from '../../routing/routing-strategy.js';
 
 // Create API client wrappers that match our decorator interface
-class CerebrasApiClient {
-  constructor(apiKey) {
+// The key and model are passed per call, so concurrent requests never see each other's settings
+// baseUrl points a key at another OpenAI-compatible endpoint serving the same models, such as an internal gateway
+export class CerebrasApiClient {
+  constructor(apiKey, baseUrl = null) {
     this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
   }
   
-  async callCerebras(model, prompt, context, outputFile, language, contextFiles) {
-    // Temporarily override config to use this specific key
-    const originalKey = config.cerebrasApiKey;
-    const originalModel = config.cerebrasModel;
-    
-    try {
-      config.cerebrasApiKey = this.apiKey;
-      config.cerebrasModel = model;
-      
-      return await callCerebras(prompt, context, outputFile, language, contextFiles);
-    } finally {
-      config.cerebrasApiKey = originalKey;
-      config.cerebrasModel = originalModel;
+  async callCerebras(model, prompt, context, outputFile, language, contextFiles, options = {}) {
+    const settings = { apiKey: this.apiKey, model };
+    if (this.baseUrl) {
+      settings.baseUrl = this.baseUrl;
     }
+    return await callCerebras(prompt, context, outputFile, language, contextFiles, { ...options, ...settings });
   }
 }
 
@@ -33,27 +32,14 @@ let providerPool = null;
 function initializeProviderPool() {
   if (providerPool) return providerPool;
   
-  const clients = [];
-  
-  // Check for multiple Cerebras keys
-  const freeKey = process.env.CEREBRAS_FREE_KEY || process.env.CEREBRAS_API_KEY;
-  const paidKey = process.env.CEREBRAS_PAID_KEY;
-  
-  if (freeKey) {
-    clients.push({
-      apiClient: new CerebrasApiClient(freeKey),
-      keyId: 'free',
-      tier: 'free'
-    });
-  }
-  
-  if (paidKey) {
-    clients.push({
-      apiClient: new CerebrasApiClient(paidKey),
-      keyId: 'paid',
-      tier: 'paid'
-    });
-  }
+  // One rate-limited provider per configured key (CEREBRAS_API_KEYS or the free/paid pair)
+  const clients = loadApiKeys().map(apiKey => ({
+    apiClient: new CerebrasApiClient(apiKey.key, apiKey.baseUrl),
+    keyId: apiKey.id,
+    tier: apiKey.tier,
+    models: apiKey.models,
+    weight: apiKey.weight
+  }));
   
   if (clients.length > 0) {
     // Select strategy based on environment variable or default to performance (paid first)
@@ -70,13 +56,22 @@ function initializeProviderPool() {
       case 'roundrobin':
         strategy = new RoundRobinStrategy();
         break;
+      case 'latency':
+        strategy = new LatencyAwareStrategy();
+        break;
       case 'performance':
       default:
         strategy = new PerformanceOptimizedStrategy();
         break;
     }
     
-    providerPool = new ProviderPool(clients, strategy);
+    // Persist rate limit state so restarts don't forget quota that was already used
+    const stateStore = config.rateStateFile ? new RateStateStore(config.rateStateFile) : null;
+    providerPool = new ProviderPool(clients, strategy, {
+      stateStore,
+      maxWaitMs: config.rateLimitMaxWaitMs,
+      circuitBreaker: { failureThreshold: config.circuitFailureThreshold, cooldownMs: config.circuitCooldownMs }
+    });
   }
   
   return providerPool;
@@ -86,86 +81,37 @@ function initializeProviderPool() {
  * Enhanced router with rate limiting support
  * Falls back to original router if no provider pool is configured
  */
-export async function routeAPICall(prompt, context = "", outputFile = "", language = null, contextFiles = []) {
+export async function routeAPICall(prompt, context = "", outputFile = "", language = null, contextFiles = [], options = {}) {
   const pool = initializeProviderPool();
   
-  if (pool) {
-    // Use rate-limited provider pool
-    const model = config.cerebrasModel || 'llama-3.3-70b';
-    
-    try {
-      return await pool.execute(model, prompt, context, outputFile, language, contextFiles);
-    } catch (error) {
-      // If all rate-limited providers fail, try OpenRouter as last resort
-      if (config.openRouterApiKey && error.message.startsWith('NoProvidersAvailable')) {
-        console.log('All Cerebras providers exhausted, falling back to OpenRouter...');
-        return await callOpenRouter(prompt, context, outputFile, language, contextFiles);
-      }
-      throw error;
-    }
-  } else {
+  // Fit the context files into the context budget once, for the estimate and every provider tried
+  options = await withContextSelection(contextFiles, outputFile, options);
+  
+  if (!pool) {
     // Fall back to original router behavior
-    return await originalRouteAPICall(prompt, context, outputFile, language, contextFiles);
+    return await routeWithoutPool(prompt, context, outputFile, language, contextFiles, options);
   }
-}
-
-/**
- * Original router logic for backward compatibility
- */
-async function originalRouteAPICall(prompt, context, outputFile, language, contextFiles) {
-  const provider = determineProvider();
   
-  try {
-    switch (provider) {
-      case 'cerebras':
-        return await callCerebras(prompt, context, outputFile, language, contextFiles);
-      
-      case 'openrouter':
-        return await callOpenRouter(prompt, context, outputFile, language, contextFiles);
-      
-      default:
-        throw new Error(`Unknown provider: ${provider}`);
-    }
-  } catch (error) {
-    const fallbackProvider = getFallbackProvider(provider);
-    if (fallbackProvider && fallbackProvider !== provider) {
-      console.log(`Primary provider ${provider} failed, trying fallback ${fallbackProvider}...`);
-      
-      try {
-        switch (fallbackProvider) {
-          case 'cerebras':
-            return await callCerebras(prompt, context, outputFile, language, contextFiles);
-          
-          case 'openrouter':
-            return await callOpenRouter(prompt, context, outputFile, language, contextFiles);
-          
-          default:
-            throw new Error(`Unknown fallback provider: ${fallbackProvider}`);
-        }
-      } catch (fallbackError) {
-        throw new Error(`Both primary (${provider}) and fallback (${fallbackProvider}) providers failed: ${error.message} | ${fallbackError.message}`);
-      }
-    } else {
-      throw error;
+  await loadConfiguredProviders();
+  
+  // The rate-limited provider pool stands in for Cerebras in the provider chain. Once failover between
+  // keys has run out, the next provider is tried - except for a prompt too large for every context
+  // window, which the caller has to fix.
+  return await callProviderChain(getProviderChain({ cerebras: true }), async (provider) => {
+    if (provider !== 'cerebras') {
+      return await callProvider(provider, prompt, context, outputFile, language, contextFiles, options);
     }
-  }
-}
-
-function determineProvider() {
-  if (config.cerebrasApiKey) {
-    return 'cerebras';
-  } else if (config.openRouterApiKey) {
-    return 'openrouter';
-  } else {
-    throw new Error('No API keys configured. Please set CEREBRAS_API_KEY or OPENROUTER_API_KEY environment variable.');
-  }
-}
-
-function getFallbackProvider(primaryProvider) {
-  switch (primaryProvider) {
-    case 'cerebras':
-      return config.openRouterApiKey ? 'openrouter' : null;
-  }
+    
+    // Walk the model chain before leaving Cerebras
+    const model = config.cerebrasModel || 'llama-3.3-70b';
+    const models = [...new Set([model, ...config.cerebrasModelChain])];
+    
+    // Estimate the prompt size up front so keys without enough token budget or context window are skipped
+    const { total: estimatedTokens, contextFiles: contextFileTokens } = await estimatePromptTokens(prompt, context, outputFile, contextFiles, options);
+    return await pool.executeChain(models, prompt, context, outputFile, language, contextFiles, { ...options, estimatedTokens, contextFileTokens });
+  }, {
+    canFallBack: (error, provider) => provider !== 'cerebras' || !error.message.startsWith('ContextTooLarge')
+  });
 }
 
 /**
@@ -189,8 +135,6 @@ export function getAvailabilityReport() {
  * Get list of available providers
  */
 export function getAvailableProviders() {
-  const providers = [];
-  
   const pool = initializeProviderPool();
   if (pool) {
     // Return rate-limited provider info
@@ -198,26 +142,11 @@ export function getAvailableProviders() {
       name: 'cerebras',
       keyId: p.keyId,
       tier: p.tier,
-      rateLimited: true
+      rateLimited: true,
+      circuit: p.breaker.getStatus()
     }));
   }
   
-  // Original logic
-  if (config.cerebrasApiKey) {
-    providers.push({
-      name: 'cerebras',
-      model: config.cerebrasModel,
-      available: true
-    });
-  }
-  
-  if (config.openRouterApiKey) {
-    providers.push({
-      name: 'openrouter', 
-      model: config.openRouterModel,
-      available: true
-    });
-  }
-  
-  return providers;
+  // Original logic, including circuit breaker state
+  return getRouterProviders();
 }
\ No newline at end of file
@@ -0,0 +1,125 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+// Providers the router can call, by name
+const providers = new Map();
+
+// Register a provider:
+// {
+//   name: 'my-provider',
+//   config: { apiKey: { env: 'MY_API_KEY', required: true, description: '...' }, model: { env: 'MY_MODEL', default: '...' } },
+//   isAvailable(settings),   // optional: whether it is configured; defaults to every required setting being set
+//   call(prompt, context, outputFile, language, contextFiles, options, settings),
+//   describe(settings)       // optional: extra fields for the available providers list, e.g. { model }
+// }
+// settings holds the config schema resolved from the environment.
+export function registerProvider(provider) {
+  validateProvider(provider);
+  if (providers.has(provider.name)) {
+    throw new Error(`InvalidProvider: A provider named "${provider.name}" is already registered`);
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+export function unregisterProvider(name) {
+  providers.delete(name);
+}
+
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown provider: ${name}`);
+  }
+  return provider;
+}
+
+export function hasProvider(name) {
+  return providers.has(name);
+}
+
+// Every registered provider, in registration order
+export function getRegisteredProviders() {
+  return [...providers.values()];
+}
+
+// Settings of a provider read from the environment according to its config schema
+export function resolveProviderSettings(provider, env = process.env) {
+  const settings = {};
+  for (const [key, field] of Object.entries(provider.config || {})) {
+    settings[key] = env[field.env] ?? field.default;
+  }
+  return settings;
+}
+
+export function isProviderAvailable(provider, env = process.env) {
+  const settings = resolveProviderSettings(provider, env);
+  if (provider.isAvailable) {
+    return !!provider.isAvailable(settings);
+  }
+  return Object.entries(provider.config || {}).every(([key, field]) => !field.required || !!settings[key]);
+}
+
+// Environment variables a provider needs before it can be used
+export function requiredEnvVars(provider) {
+  return Object.values(provider.config || {}).filter(field => field.required).map(field => field.env);
+}
+
+// URL to import a provider module from: file paths are relative to baseDir, and package names are
+// looked up in the node_modules of baseDir (the user's project) before those of the server itself
+function providerModuleUrl(specifier, baseDir) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return pathToFileURL(path.resolve(baseDir, specifier)).href;
+  }
+  try {
+    return pathToFileURL(createRequire(path.join(baseDir, 'package.json')).resolve(specifier)).href;
+  } catch (error) {
+    return specifier;
+  }
+}
+
+// Import third-party provider modules by package name or file path (relative to baseDir) and register
+// what they export: a provider or a list of providers, as the default export or as `provider` / `providers`
+export async function loadProviderModules(specifiers, baseDir = process.cwd()) {
+  const loaded = [];
+  for (const specifier of specifiers) {
+    let module;
+    try {
+      module = await import(providerModuleUrl(specifier, baseDir));
+    } catch (error) {
+      throw new Error(`InvalidProvider: Cannot load provider module ${specifier}: ${error.message}`);
+    }
+
+    const exported = module.default ?? module.providers ?? module.provider;
+    if (!exported) {
+      throw new Error(`InvalidProvider: ${specifier} exports no provider (expected a default export, "provider" or "providers")`);
+    }
+    for (const provider of [exported].flat()) {
+      loaded.push(registerProvider(provider));
+    }
+  }
+  return loaded;
+}
+
+function validateProvider(provider) {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error('InvalidProvider: A provider must be an object');
+  }
+  if (typeof provider.name !== 'string' || provider.name.trim() === '') {
+    throw new Error('InvalidProvider: A provider needs a name');
+  }
+  if (typeof provider.call !== 'function') {
+    throw new Error(`InvalidProvider: Provider "${provider.name}" has no call function`);
+  }
+  for (const [key, field] of Object.entries(provider.config || {})) {
+    if (!field || typeof field.env !== 'string' || field.env === '') {
+      throw new Error(`InvalidProvider: Provider "${provider.name}" setting "${key}" needs an env variable name`);
+    }
+  }
+  for (const hook of ['isAvailable', 'describe']) {
+    if (provider[hook] !== undefined && typeof provider[hook] !== 'function') {
+      throw new Error(`InvalidProvider: Provider "${provider.name}" ${hook} must be a function`);
+    }
+  }
+}
@@ -1,130 +1,195 @@
-import { callCerebras } from '../cerebras.js';
-import { callOpenRouter } from '../openrouter.js';
+import { cerebrasProvider } from '../cerebras.js';
+import { openRouterProvider } from '../openrouter.js';
+import { openAICompatibleProvider } from '../openai-compatible.js';
+import { localProvider } from '../local.js';
 import { config } from '../../config/constants.js';
+import { isCancelledError } from '../../utils/cancellation.js';
+import { withContextSelection } from '../../utils/context-budget.js';
+import { CircuitBreaker } from '../../routing/circuit-breaker.js';
+import {
+  registerProvider,
+  getProvider,
+  hasProvider,
+  getRegisteredProviders,
+  isProviderAvailable,
+  resolveProviderSettings,
+  requiredEnvVars,
+  loadProviderModules
+} from './provider-registry.js';
+
+// Built-in providers; third-party ones come from CEREBRAS_MCP_PROVIDER_MODULES
+const BUILT_IN_PROVIDERS = [cerebrasProvider, openRouterProvider, openAICompatibleProvider, localProvider];
+BUILT_IN_PROVIDERS.forEach(registerProvider);
 
 /**
  * Main API router that handles routing to different AI providers
  * 
  * Benefits:
  * - Centralized provider selection and fallback logic
- * - Easy to add new providers without changing existing code
+ * - New providers plug in through the provider registry without changing the router
  * - Automatic failover between providers
  * - Consistent API interface for all providers
  * - Clean separation of concerns
  */
-export async function routeAPICall(prompt, context = "", outputFile = "", language = null, contextFiles = []) {
-  // Determine which provider to use based on configuration and availability
-  const provider = determineProvider();
+export async function routeAPICall(prompt, context = "", outputFile = "", language = null, contextFiles = [], options = {}) {
+  await loadConfiguredProviders();
   
-  try {
-    switch (provider) {
-      case 'cerebras':
-        return await callCerebras(prompt, context, outputFile, language, contextFiles);
-      
-      case 'openrouter':
-        return await callOpenRouter(prompt, context, outputFile, language, contextFiles);
-      
-      default:
-        throw new Error(`Unknown provider: ${provider}`);
-    }
-  } catch (error) {
-    // If primary provider fails, try fallback
-    const fallbackProvider = getFallbackProvider(provider);
-    if (fallbackProvider && fallbackProvider !== provider) {
-      console.log(`Primary provider ${provider} failed, trying fallback ${fallbackProvider}...`);
+  // Determine which providers to use, in order, based on configuration
+  const providers = getProviderChain();
+  if (providers.length === 0) {
+    throw new Error(`No API keys configured. Please set ${describeRequiredEnvVars()} environment variable.`);
+  }
+  
+  // Fit the context files into the context budget once for every provider tried
+  options = await withContextSelection(contextFiles, outputFile, options);
+  
+  return await callProviderChain(providers, (provider) => callProvider(provider, prompt, context, outputFile, language, contextFiles, options));
+}
+
+// Third-party provider modules are imported once, on first use
+let providerModulesLoaded = null;
+
+export function loadConfiguredProviders() {
+  if (!providerModulesLoaded) {
+    providerModulesLoaded = loadProviderModules(config.providerModules);
+  }
+  return providerModulesLoaded;
+}
+
+/**
+ * Tries each provider in turn until one succeeds, with call(provider) making the request.
+ * canFallBack(error, provider) decides whether a failure moves on to the next provider;
+ * a cancelled request never does.
+ */
+export async function callProviderChain(providers, call, { canFallBack = () => true } = {}) {
+  const errors = [];
+  
+  for (let i = 0; i < providers.length; i++) {
+    try {
+      return await call(providers[i]);
+    } catch (error) {
+      // A cancelled request is finished - don't retry it on another provider
+      if (isCancelledError(error) || !canFallBack(error, providers[i])) {
+        throw error;
+      }
+      errors.push(error);
       
-      try {
-        switch (fallbackProvider) {
-          case 'cerebras':
-            return await callCerebras(prompt, context, outputFile, language, contextFiles);
-          
-          case 'openrouter':
-            return await callOpenRouter(prompt, context, outputFile, language, contextFiles);
-          
-          default:
-            throw new Error(`Unknown fallback provider: ${fallbackProvider}`);
-        }
-      } catch (fallbackError) {
-        throw new Error(`Both primary (${provider}) and fallback (${fallbackProvider}) providers failed: ${error.message} | ${fallbackError.message}`);
+      if (i < providers.length - 1) {
+        console.log(`${i === 0 ? 'Primary provider' : 'Fallback provider'} ${providers[i]} failed, trying fallback ${providers[i + 1]}...`);
       }
-    } else {
-      throw error;
     }
   }
+  
+  if (errors.length === 1) {
+    throw errors[0];
+  }
+  const messages = errors.map(error => error.message).join(' | ');
+  if (errors.length === 2) {
+    throw new Error(`Both primary (${providers[0]}) and fallback (${providers[1]}) providers failed: ${messages}`);
+  }
+  throw new Error(`All providers failed (${providers.join(', ')}): ${messages}`);
 }
 
-/**
- * Determines which provider to use based on configuration
- */
-function determineProvider() {
-  // Priority: Cerebras first (if API key available), then OpenRouter
-  if (config.cerebrasApiKey) {
-    return 'cerebras';
-  } else if (config.openRouterApiKey) {
-    return 'openrouter';
-  } else {
-    throw new Error('No API keys configured. Please set CEREBRAS_API_KEY or OPENROUTER_API_KEY environment variable.');
+// One circuit breaker per provider, shared by every request
+const circuitBreakers = new Map();
+
+export function getCircuitBreaker(provider) {
+  if (!circuitBreakers.has(provider)) {
+    circuitBreakers.set(provider, new CircuitBreaker(provider, {
+      failureThreshold: config.circuitFailureThreshold,
+      cooldownMs: config.circuitCooldownMs
+    }));
   }
+  return circuitBreakers.get(provider);
+}
+
+export function resetCircuitBreakers() {
+  circuitBreakers.clear();
 }
 
 /**
- * Gets fallback provider for a given primary provider
+ * Calls a registered provider through its circuit breaker. While the breaker is open the call fails
+ * at once with CircuitOpen, so the fallback provider is tried without waiting for another timeout.
  */
-function getFallbackProvider(primaryProvider) {
-  switch (primaryProvider) {
-    case 'cerebras':
-      // Fallback to OpenRouter if Cerebras fails
-      return config.openRouterApiKey ? 'openrouter' : null;
-  }
+export async function callProvider(name, prompt, context, outputFile, language, contextFiles, options = {}) {
+  const provider = getProvider(name);
+  return await getCircuitBreaker(name).execute(async () => {
+    return await provider.call(prompt, context, outputFile, language, contextFiles, options, resolveProviderSettings(provider));
+  });
 }
 
 /**
- * Get list of available providers (for future extensibility)
+ * Providers to try, in order. CEREBRAS_MCP_PROVIDERS lists them explicitly; providers that aren't
+ * configured are skipped. Otherwise Cerebras comes first (if an API key is available), then OpenRouter,
+ * then the OpenAI-compatible server - which is preferred over OpenRouter when there is no Cerebras key -
+ * then third-party providers. The local model goes where LOCAL_LLM_PRIORITY puts it.
+ * cerebras overrides whether Cerebras counts as configured (the enhanced router's key pool stands in for it).
  */
-export function getAvailableProviders() {
-  const providers = [];
+export function getProviderChain({ cerebras = isProviderAvailable(cerebrasProvider) } = {}) {
+  const isAvailable = (name) => name === 'cerebras' ? cerebras : isProviderAvailable(getProvider(name));
   
-  if (config.cerebrasApiKey) {
-    providers.push({
-      name: 'cerebras',
-      model: config.cerebrasModel,
-      available: true
-    });
+  if (config.providerOrder.length > 0) {
+    const unknown = config.providerOrder.filter(name => !hasProvider(name));
+    if (unknown.length > 0) {
+      throw new Error(`InvalidProvider: CEREBRAS_MCP_PROVIDERS names unknown provider(s) ${unknown.join(', ')} (registered: ${getRegisteredProviders().map(provider => provider.name).join(', ')})`);
+    }
+    return [...new Set(config.providerOrder)].filter(isAvailable);
   }
   
-  if (config.openRouterApiKey) {
-    providers.push({
-      name: 'openrouter', 
-      model: config.openRouterModel,
-      available: true
-    });
-  }
+  const remote = cerebras
+    ? ['cerebras', 'openrouter', 'openai-compatible']
+    : ['openai-compatible', 'openrouter'];
+  const thirdParty = getRegisteredProviders()
+    .map(provider => provider.name)
+    .filter(name => !BUILT_IN_PROVIDERS.some(provider => provider.name === name));
+  const chain = [...remote, ...thirdParty].filter(isAvailable);
   
-  return providers;
+  if (isAvailable('local')) {
+    switch (config.localPriority) {
+      case 'primary':
+        chain.unshift('local');
+        break;
+      case 'fallback':
+        chain.splice(1, 0, 'local');
+        break;
+      default:
+        chain.push('local');
+    }
+  }
+  return chain;
+}
+
+// "A, B or C" for the error shown when no provider is configured
+function describeRequiredEnvVars() {
+  const names = [...new Set(getRegisteredProviders().flatMap(requiredEnvVars))];
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names.join('');
 }
 
 /**
- * Future extensibility: Add new providers here
- * 
- * Steps to add a new provider:
- * 1. Create a new API module (e.g., src/api/anthropic.js)
- * 2. Implement the provider function with signature: (prompt, context, outputFile, language, contextFiles)
- * 3. Add the provider to the switch statements above
- * 4. Add configuration for the provider in src/config/constants.js
- * 5. Update determineProvider() and getFallbackProvider() functions
- * 
- * Example for adding Anthropic:
+ * Get list of configured providers with their circuit breaker state
+ */
+export function getAvailableProviders() {
+  return getRegisteredProviders()
+    .filter(provider => isProviderAvailable(provider))
+    .map(provider => ({
+      name: provider.name,
+      ...provider.describe?.(resolveProviderSettings(provider)),
+      available: getCircuitBreaker(provider.name).isAvailable(),
+      circuit: getCircuitBreaker(provider.name).getStatus()
+    }));
+}
+
+/**
+ * Adding a provider
  * 
- * // In the switch statements:
- * case 'anthropic':
- *   return await callAnthropic(prompt, context, outputFile, language, contextFiles);
+ * Providers are entries in the provider registry (provider-registry.js): a name, a config schema
+ * naming the environment variables it reads, an availability check and a call function with the
+ * signature (prompt, context, outputFile, language, contextFiles, options, settings).
  * 
- * // In determineProvider():
- * if (config.anthropicApiKey) {
- *   return 'anthropic';
- * }
+ * - Built-in providers export their entry from their API module and are listed in BUILT_IN_PROVIDERS
+ * - Third-party providers are modules listed in CEREBRAS_MCP_PROVIDER_MODULES (package names or file
+ *   paths) whose default export is an entry or a list of entries
  * 
- * // In getFallbackProvider():
- * case 'anthropic':
- *   return config.cerebrasApiKey ? 'cerebras' : (config.openRouterApiKey ? 'openrouter' : null);
+ * CEREBRAS_MCP_PROVIDERS=cerebras,my-provider,openrouter then sets the order providers are tried in.
+ * See example-new-provider.md.
  */
@@ -0,0 +1,112 @@
+import fs from 'fs';
+
+// Tiers with rate limits in MODEL_CONFIGS
+const TIERS = ['free', 'paid'];
+
+// Whether several Cerebras keys are configured, which routes requests through the rate-limited provider pool
+export function isKeyPoolConfigured(env = process.env) {
+  return !!(env.CEREBRAS_API_KEYS || env.CEREBRAS_API_KEYS_FILE || (env.CEREBRAS_FREE_KEY && env.CEREBRAS_PAID_KEY));
+}
+
+// Load the Cerebras keys for the provider pool: a JSON list in CEREBRAS_API_KEYS or in the file named by
+// CEREBRAS_API_KEYS_FILE, otherwise the CEREBRAS_FREE_KEY / CEREBRAS_PAID_KEY pair.
+// Entries look like { id, key (or keyEnv), tier: 'free' | 'paid', models: [...], weight, baseUrl }.
+// Returns [{ id, key, tier, models (null = all models), weight, baseUrl (null = CEREBRAS_BASE_URL) }].
+export function loadApiKeys(env = process.env) {
+  if (env.CEREBRAS_API_KEYS) {
+    return parseKeyList(env.CEREBRAS_API_KEYS, 'CEREBRAS_API_KEYS', env);
+  }
+
+  if (env.CEREBRAS_API_KEYS_FILE) {
+    let text;
+    try {
+      text = fs.readFileSync(env.CEREBRAS_API_KEYS_FILE, 'utf-8');
+    } catch (error) {
+      throw new Error(`InvalidApiKeys: Cannot read ${env.CEREBRAS_API_KEYS_FILE}: ${error.message}`);
+    }
+    return parseKeyList(text, env.CEREBRAS_API_KEYS_FILE, env);
+  }
+
+  const keys = [];
+  const freeKey = env.CEREBRAS_FREE_KEY || env.CEREBRAS_API_KEY;
+  if (freeKey) {
+    keys.push({ id: 'free', key: freeKey, tier: 'free', models: null, weight: 1, baseUrl: null });
+  }
+  if (env.CEREBRAS_PAID_KEY) {
+    keys.push({ id: 'paid', key: env.CEREBRAS_PAID_KEY, tier: 'paid', models: null, weight: 1, baseUrl: null });
+  }
+  return keys;
+}
+
+function parseKeyList(text, source, env) {
+  let entries;
+  try {
+    entries = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`InvalidApiKeys: ${source} is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`InvalidApiKeys: ${source} must be a non-empty JSON array of keys`);
+  }
+
+  const keys = entries.map((entry, index) => normalizeKey(entry, index, source, env));
+
+  const seen = new Set();
+  for (const { id } of keys) {
+    if (seen.has(id)) {
+      throw new Error(`InvalidApiKeys: ${source} uses the id "${id}" more than once`);
+    }
+    seen.add(id);
+  }
+  return keys;
+}
+
+function normalizeKey(entry, index, source, env) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`InvalidApiKeys: ${source} entry ${index + 1} must be an object`);
+  }
+
+  const id = entry.id === undefined ? `key-${index + 1}` : entry.id;
+  if (typeof id !== 'string' || id.trim() === '') {
+    throw new Error(`InvalidApiKeys: ${source} entry ${index + 1} has an invalid id`);
+  }
+
+  // keyEnv lets a config file name the variable holding the key instead of containing it
+  const key = entry.key || (entry.keyEnv ? env[entry.keyEnv] : undefined);
+  if (typeof key !== 'string' || key === '') {
+    throw new Error(`InvalidApiKeys: Key "${id}" has no API key (set "key", or "keyEnv" to a variable that is set)`);
+  }
+
+  const tier = entry.tier || 'free';
+  if (!TIERS.includes(tier)) {
+    throw new Error(`InvalidApiKeys: Key "${id}" has unknown tier "${tier}" (expected ${TIERS.join(' or ')})`);
+  }
+
+  const models = entry.models ?? null;
+  if (models !== null && (!Array.isArray(models) || models.length === 0 || !models.every(model => typeof model === 'string' && model !== ''))) {
+    throw new Error(`InvalidApiKeys: Key "${id}" models must be a non-empty list of model names`);
+  }
+
+  const weight = entry.weight ?? 1;
+  if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+    throw new Error(`InvalidApiKeys: Key "${id}" weight must be a positive number`);
+  }
+
+  // A key for an OpenAI-compatible gateway in front of Cerebras
+  const baseUrl = entry.baseUrl ?? null;
+  if (baseUrl !== null && !isHttpUrl(baseUrl)) {
+    throw new Error(`InvalidApiKeys: Key "${id}" baseUrl must be an http or https URL`);
+  }
+
+  return { id, key, tier, models, weight, baseUrl };
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
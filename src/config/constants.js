@@ -1,8 +1,15 @@
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
 // Configuration - API keys and settings
 export const config = {
   // Cerebras configuration
   cerebrasApiKey: process.env.CEREBRAS_API_KEY,
   cerebrasModel: process.env.CEREBRAS_MODEL || "qwen-3-coder-480b",
+  // Models to fall back to, in order, when every key is exhausted for CEREBRAS_MODEL (comma separated)
+  cerebrasModelChain: (process.env.CEREBRAS_MODEL_CHAIN || '').split(',').map(model => model.trim()).filter(Boolean),
+  cerebrasBaseUrl: process.env.CEREBRAS_BASE_URL || 'https://api.cerebras.ai/v1',
   maxTokens: process.env.CEREBRAS_MAX_TOKENS ? parseInt(process.env.CEREBRAS_MAX_TOKENS) : null,
   temperature: parseFloat(process.env.CEREBRAS_TEMPERATURE) || 0.1,
   
@@ -10,14 +17,78 @@ export const config = {
   openRouterApiKey: process.env.OPENROUTER_API_KEY,
   openRouterSiteUrl: process.env.OPENROUTER_SITE_URL || 'https://github.com/cerebras/cerebras-code-mcp',
   openRouterSiteName: process.env.OPENROUTER_SITE_NAME || 'Cerebras MCP',
-  openRouterModel: 'qwen/qwen3-coder'
+  openRouterModel: 'qwen/qwen3-coder',
+  openRouterBaseUrl: 'https://openrouter.ai/api/v1',
+
+  // Any OpenAI-compatible server: a local vLLM, llama.cpp or Ollama server, or an internal gateway
+  openAICompatibleName: process.env.OPENAI_COMPATIBLE_NAME || 'OpenAI-compatible',
+  openAICompatibleBaseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+  openAICompatiblePath: process.env.OPENAI_COMPATIBLE_PATH || '/chat/completions',
+  openAICompatibleApiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+  openAICompatibleAuthHeader: process.env.OPENAI_COMPATIBLE_AUTH_HEADER || 'Authorization',
+  openAICompatibleModel: process.env.OPENAI_COMPATIBLE_MODEL,
+  openAICompatibleHeaders: parseJsonObject(process.env.OPENAI_COMPATIBLE_HEADERS, 'OPENAI_COMPATIBLE_HEADERS', 'a JSON object of header names and values'),
+
+  // Local Ollama or llama.cpp server for offline code generation (LOCAL_LLM_BACKEND=ollama or llamacpp).
+  // Priority: 'primary' (tried first), 'fallback' (right after the primary) or 'last-resort' (after every other provider)
+  localBackend: process.env.LOCAL_LLM_BACKEND,
+  localBaseUrl: process.env.LOCAL_LLM_BASE_URL,
+  localModel: process.env.LOCAL_LLM_MODEL,
+  // Local model to use for each Cerebras model, as JSON: {"qwen-3-coder-480b": "qwen2.5-coder:7b"}
+  localModelMap: parseJsonObject(process.env.LOCAL_LLM_MODEL_MAP, 'LOCAL_LLM_MODEL_MAP', 'a JSON object of model names'),
+  localPriority: process.env.LOCAL_LLM_PRIORITY || 'last-resort',
+
+  // Provider order for the router (comma separated names; unset uses the built-in order) and
+  // third-party provider modules to load, by package name or file path (comma separated)
+  providerOrder: (process.env.CEREBRAS_MCP_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean),
+  providerModules: (process.env.CEREBRAS_MCP_PROVIDER_MODULES || '').split(',').map(specifier => specifier.trim()).filter(Boolean),
+
+  // Request timeouts and retry policy for transient failures (5xx, dropped or refused connections, timeouts)
+  connectTimeoutMs: process.env.CEREBRAS_MCP_CONNECT_TIMEOUT_MS ? parseInt(process.env.CEREBRAS_MCP_CONNECT_TIMEOUT_MS) : 10000,
+  requestTimeoutMs: process.env.CEREBRAS_MCP_REQUEST_TIMEOUT_MS ? parseInt(process.env.CEREBRAS_MCP_REQUEST_TIMEOUT_MS) : 120000,
+  maxRetries: process.env.CEREBRAS_MCP_MAX_RETRIES ? parseInt(process.env.CEREBRAS_MCP_MAX_RETRIES) : 2,
+  retryBaseDelayMs: process.env.CEREBRAS_MCP_RETRY_BASE_DELAY_MS ? parseInt(process.env.CEREBRAS_MCP_RETRY_BASE_DELAY_MS) : 500,
+  retryMaxDelayMs: process.env.CEREBRAS_MCP_RETRY_MAX_DELAY_MS ? parseInt(process.env.CEREBRAS_MCP_RETRY_MAX_DELAY_MS) : 8000,
+
+  // Circuit breaker: skip a provider after this many consecutive failures, probing it again after the cool-down
+  circuitFailureThreshold: process.env.CEREBRAS_MCP_CIRCUIT_FAILURE_THRESHOLD ? parseInt(process.env.CEREBRAS_MCP_CIRCUIT_FAILURE_THRESHOLD) : 3,
+  circuitCooldownMs: process.env.CEREBRAS_MCP_CIRCUIT_COOLDOWN_MS ? parseInt(process.env.CEREBRAS_MCP_CIRCUIT_COOLDOWN_MS) : 30000,
+
+  // Tokens context_files may take up in a prompt; files past it are reduced to an outline or dropped
+  // (0, the default, sends every context file in full)
+  contextBudgetTokens: process.env.CEREBRAS_MCP_CONTEXT_BUDGET_TOKENS ? parseInt(process.env.CEREBRAS_MCP_CONTEXT_BUDGET_TOKENS) : 0,
+  // Most files globs and directories in context_files expand to, in total (0 = no limit)
+  contextMaxFiles: process.env.CEREBRAS_MCP_CONTEXT_MAX_FILES ? parseInt(process.env.CEREBRAS_MCP_CONTEXT_MAX_FILES) : 50,
+
+  // How long a request may wait for a rate limit reset when every key is exhausted (0 fails immediately)
+  rateLimitMaxWaitMs: process.env.CEREBRAS_MCP_RATE_LIMIT_MAX_WAIT_MS ? parseInt(process.env.CEREBRAS_MCP_RATE_LIMIT_MAX_WAIT_MS) : 30000,
+
+  // Rate limit state persisted across server restarts (set CEREBRAS_MCP_RATE_STATE_FILE=off to keep it in memory only)
+  rateStateFile: process.env.CEREBRAS_MCP_RATE_STATE_FILE === 'off'
+    ? null
+    : process.env.CEREBRAS_MCP_RATE_STATE_FILE || path.join(os.homedir(), '.cerebras-mcp', 'rate-limits.json'),
+
+  // Undo history journal limits (per workspace)
+  historyMaxEntries: process.env.CEREBRAS_MCP_HISTORY_MAX_ENTRIES ? parseInt(process.env.CEREBRAS_MCP_HISTORY_MAX_ENTRIES) : 200,
+  historyMaxBytes: process.env.CEREBRAS_MCP_HISTORY_MAX_BYTES ? parseInt(process.env.CEREBRAS_MCP_HISTORY_MAX_BYTES) : 50 * 1024 * 1024
 };
 
-// Debug logging to file  
-import path from 'path';
-import os from 'os';
-import fs from 'fs/promises';
+// A JSON object setting such as extra request headers; invalid values are ignored with a warning
+function parseJsonObject(value, name, expected) {
+  if (!value) return {};
+  try {
+    const headers = JSON.parse(value);
+    if (headers && typeof headers === 'object' && !Array.isArray(headers)) {
+      return headers;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  console.error(`Warning: Ignoring ${name}: expected ${expected}`);
+  return {};
+}
 
+// Debug logging to file  
 export const LOG_FILE = path.join(os.homedir(), 'cerebras-mcp-debug.log');
 
 // Unified MCP tool usage rules for all IDEs
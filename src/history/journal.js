@@ -0,0 +1,250 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { config } from '../config/constants.js';
+import { resolveFilePath } from '../utils/file-utils.js';
+import { resolveAllowedPath, findAllowedRoot, getAllowedRoots } from '../utils/allowed-roots.js';
+
+// Per-workspace journal of every file the write tool touches, stored as one JSON file per write
+export const HISTORY_DIR = path.join('.cerebras-mcp', 'history');
+
+// Markers that identify the root of a workspace when walking up from a file
+const WORKSPACE_MARKERS = ['.cerebras-mcp', '.git'];
+
+let entrySequence = 0;
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// .cerebras-mcp directories that hold server state rather than mark a workspace: the one in the
+// home directory and the one holding the rate limit state file
+function isStateDir(markerPath) {
+  const stateDirs = [path.join(os.homedir(), '.cerebras-mcp')];
+  if (config.rateStateFile) {
+    stateDirs.push(path.dirname(path.resolve(config.rateStateFile)));
+  }
+  return stateDirs.includes(markerPath);
+}
+
+// Walk up from dir to the nearest directory with a workspace marker, stopping at boundary (returned
+// when no marker is found below it). Returns null when the walk reaches the filesystem root.
+async function walkToWorkspaceRoot(dir, boundary) {
+  while (true) {
+    for (const marker of WORKSPACE_MARKERS) {
+      const markerPath = path.join(dir, marker);
+      if (await pathExists(markerPath) && !isStateDir(markerPath)) {
+        return dir;
+      }
+    }
+    if (dir === boundary) {
+      return boundary;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Find the workspace a file belongs to: the nearest ancestor with a .cerebras-mcp or .git directory.
+// The walk stops at the allowed root holding the file, so the journal stays inside the sandbox; without
+// a marker below it, that root is the workspace. Without a file, the workspace of the current working
+// directory is used (the first allowed root if it lies outside them). Falls back to the current working directory.
+export async function findWorkspaceRoot(filePath = null) {
+  if (filePath) {
+    let realPath;
+    try {
+      realPath = await resolveAllowedPath(resolveFilePath(filePath));
+    } catch (error) {
+      realPath = path.resolve(resolveFilePath(filePath));
+    }
+    const root = await walkToWorkspaceRoot(path.dirname(realPath), findAllowedRoot(realPath));
+    if (root) {
+      return root;
+    }
+  } else if (getAllowedRoots()?.length > 0) {
+    const cwd = await fs.realpath(process.cwd());
+    const boundary = findAllowedRoot(cwd);
+    return boundary ? await walkToWorkspaceRoot(cwd, boundary) : getAllowedRoots()[0];
+  }
+  return process.cwd();
+}
+
+export function getHistoryDir(workspaceRoot) {
+  return path.join(workspaceRoot, HISTORY_DIR);
+}
+
+async function ensureHistoryDir(workspaceRoot) {
+  const historyDir = getHistoryDir(workspaceRoot);
+  await fs.mkdir(historyDir, { recursive: true });
+
+  // Keep the journal out of the user's commits
+  const gitignorePath = path.join(workspaceRoot, '.cerebras-mcp', '.gitignore');
+  if (!(await pathExists(gitignorePath))) {
+    await fs.writeFile(gitignorePath, '*\n', 'utf-8');
+  }
+
+  return historyDir;
+}
+
+// Entry file names sort chronologically: <timestamp>-<sequence>.json
+function createEntryId() {
+  entrySequence = (entrySequence + 1) % 1000000;
+  return `${String(Date.now()).padStart(15, '0')}-${String(process.pid).padStart(7, '0')}-${String(entrySequence).padStart(6, '0')}`;
+}
+
+// Record the before/after content of a write. before is null when the write created the file.
+export async function recordWrite(filePath, before, after, options = {}) {
+  const absolutePath = resolveFilePath(filePath);
+  const workspaceRoot = options.workspaceRoot || await findWorkspaceRoot(absolutePath);
+  const historyDir = await ensureHistoryDir(workspaceRoot);
+
+  const entry = {
+    id: createEntryId(),
+    filePath: absolutePath,
+    timestamp: new Date().toISOString(),
+    before,
+    after
+  };
+
+  await fs.writeFile(path.join(historyDir, `${entry.id}.json`), JSON.stringify(entry), 'utf-8');
+  await pruneHistory(workspaceRoot, options);
+
+  return entry;
+}
+
+// List journal entries, newest first, optionally only those for one file
+export async function listEntries(workspaceRoot, filePath = null) {
+  const historyDir = getHistoryDir(workspaceRoot);
+  let names;
+  try {
+    names = await fs.readdir(historyDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const absoluteFilter = filePath ? resolveFilePath(filePath) : null;
+  const entries = [];
+
+  for (const name of names.filter(n => n.endsWith('.json')).sort().reverse()) {
+    try {
+      const entry = JSON.parse(await fs.readFile(path.join(historyDir, name), 'utf-8'));
+      if (!absoluteFilter || entry.filePath === absoluteFilter) {
+        entries.push(entry);
+      }
+    } catch (error) {
+      console.error(`Warning: Skipping unreadable history entry ${name}: ${error.message}`);
+    }
+  }
+
+  return entries;
+}
+
+// Cap the journal by entry count and total size, dropping the oldest entries first
+export async function pruneHistory(workspaceRoot, options = {}) {
+  const maxEntries = options.maxEntries ?? config.historyMaxEntries;
+  const maxBytes = options.maxBytes ?? config.historyMaxBytes;
+  const historyDir = getHistoryDir(workspaceRoot);
+
+  const names = (await fs.readdir(historyDir)).filter(n => n.endsWith('.json')).sort();
+  const sizes = [];
+  let totalBytes = 0;
+  for (const name of names) {
+    const { size } = await fs.stat(path.join(historyDir, name));
+    sizes.push(size);
+    totalBytes += size;
+  }
+
+  let count = names.length;
+  let removed = 0;
+  // Always keep the newest entry so the latest write can be undone
+  while (count > 1 && (count > maxEntries || totalBytes > maxBytes)) {
+    await fs.rm(path.join(historyDir, names[removed]), { force: true });
+    totalBytes -= sizes[removed];
+    count--;
+    removed++;
+  }
+
+  return removed;
+}
+
+async function readCurrentContent(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Undo the most recent writes in a workspace. Files created by a write are deleted,
+// edited files get their previous content back. Refuses to touch files that changed
+// after the journaled write unless force is set.
+export async function undo({ workspaceRoot, steps = 1, filePath = null, force = false }) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`steps must be a positive integer, got ${steps}`);
+  }
+
+  const entries = (await listEntries(workspaceRoot, filePath)).slice(0, steps);
+  if (entries.length === 0) {
+    throw new Error(`Nothing to undo${filePath ? ` for ${filePath}` : ''} in ${workspaceRoot}`);
+  }
+
+  // Journal entries may predate the current sandbox, so check them like any other write
+  for (const entry of entries) {
+    await resolveAllowedPath(entry.filePath);
+  }
+
+  // Check every step against the expected content before changing anything
+  if (!force) {
+    const expected = new Map();
+    for (const entry of entries) {
+      const current = expected.has(entry.filePath)
+        ? expected.get(entry.filePath)
+        : await readCurrentContent(entry.filePath);
+      if (current !== entry.after) {
+        throw new Error(`${entry.filePath} was modified after the write recorded at ${entry.timestamp}. Nothing was undone; use force to undo anyway.`);
+      }
+      expected.set(entry.filePath, entry.before);
+    }
+  }
+
+  const historyDir = getHistoryDir(workspaceRoot);
+  const undone = [];
+
+  for (const entry of entries) {
+    if (entry.before === null) {
+      await fs.rm(entry.filePath, { force: true });
+      undone.push({ filePath: entry.filePath, action: 'deleted', timestamp: entry.timestamp });
+    } else {
+      await fs.mkdir(path.dirname(entry.filePath), { recursive: true });
+      await fs.writeFile(entry.filePath, entry.before, 'utf-8');
+      undone.push({ filePath: entry.filePath, action: 'restored', timestamp: entry.timestamp });
+    }
+    await fs.rm(path.join(historyDir, `${entry.id}.json`), { force: true });
+  }
+
+  return undone;
+}
+
+// Human readable summary of an undo result
+export function formatUndoSummary(undone) {
+  const lines = [`↩️  Undid ${undone.length} write${undone.length !== 1 ? 's' : ''}:`];
+  for (const item of undone) {
+    const verb = item.action === 'deleted' ? 'Deleted created file' : 'Restored';
+    lines.push(`  - ${verb} ${item.filePath} (written ${item.timestamp})`);
+  }
+  return lines.join('\n');
+}
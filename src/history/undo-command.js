@@ -0,0 +1,44 @@
+import { findWorkspaceRoot, undo, formatUndoSummary } from './journal.js';
+
+const USAGE = 'Usage: cerebras-mcp undo [--steps N] [--force] [file]';
+
+// Parse `cerebras-mcp undo [--steps N] [--force] [file]` arguments
+export function parseUndoArgs(argv) {
+  const options = { steps: 1, filePath: null, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--steps' || arg === '-n') {
+      options.steps = Number(argv[++i]);
+    } else if (arg.startsWith('--steps=')) {
+      options.steps = Number(arg.substring('--steps='.length));
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}\n${USAGE}`);
+    } else if (!options.filePath) {
+      options.filePath = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}\n${USAGE}`);
+    }
+  }
+
+  if (!Number.isInteger(options.steps) || options.steps < 1) {
+    throw new Error(`--steps must be a positive integer\n${USAGE}`);
+  }
+
+  return options;
+}
+
+// CLI entry point for undo
+export async function undoCommand(argv) {
+  try {
+    const { steps, filePath, force } = parseUndoArgs(argv);
+    const workspaceRoot = await findWorkspaceRoot(filePath);
+    const undone = await undo({ workspaceRoot, steps, filePath, force });
+    console.log(formatUndoSummary(undone));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -7,11 +7,14 @@
  * IMPORTANT: This server provides a single MCP write tool for ALL code operations.
  * The LLM MUST use this tool instead of editing files directly.
  * - write: For file creation, code generation, and code edits
+ * - apply: Commits content previewed by write with dry_run
+ * - undo: Reverts recent writes from the workspace history journal
  */
 
 import { config, debugLog, LOG_FILE } from './config/constants.js';
 import { interactiveConfig, removalWizard } from './config/interactive-config.js';
 import { startServer } from './server/mcp-server.js';
+import { undoCommand } from './history/undo-command.js';
 
 // Main function
 async function main() {
@@ -27,6 +30,12 @@ async function main() {
       return;
     }
     
+    // Undo recent writes: cerebras-mcp undo [--steps N] [file]
+    if (process.argv[2] === 'undo') {
+      await undoCommand(process.argv.slice(3));
+      return;
+    }
+    
     console.error('Cerebras Code MCP Server starting...');
     console.error(`📝 Debug logs will be written to: ${LOG_FILE}`);
     
@@ -1,11 +1,11 @@
-// Model-specific rate limits for each tier (request limits only for now)
+// Model-specific rate limits for each tier (requests, and tokens where the tier publishes a token limit)
 export const MODEL_CONFIGS = {
   'gpt-oss-120b': {
     free: {
       contextWindow: 65536,
       limits: {
-        requests: { minute: 30, hour: 900, day: 14400 }
-        // tokens: { minute: 64000, hour: 1000000, day: 1000000 }
+        requests: { minute: 30, hour: 900, day: 14400 },
+        tokens: { minute: 64000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
@@ -19,8 +19,8 @@ export const MODEL_CONFIGS = {
     free: {
       contextWindow: 65536,
       limits: {
-        requests: { minute: 30, hour: 900, day: 14400 }
-        // tokens: { minute: 64000, hour: 1000000, day: 1000000 }
+        requests: { minute: 30, hour: 900, day: 14400 },
+        tokens: { minute: 64000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
@@ -34,8 +34,8 @@ export const MODEL_CONFIGS = {
     free: {
       contextWindow: 8192,
       limits: {
-        requests: { minute: 30, hour: 900, day: 14400 }
-        // tokens: { minute: 60000, hour: 1000000, day: 1000000 }
+        requests: { minute: 30, hour: 900, day: 14400 },
+        tokens: { minute: 60000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
@@ -49,8 +49,8 @@ export const MODEL_CONFIGS = {
     free: {
       contextWindow: 8192,
       limits: {
-        requests: { minute: 30, hour: 900, day: 14400 }
-        // tokens: { minute: 60000, hour: 1000000, day: 1000000 }
+        requests: { minute: 30, hour: 900, day: 14400 },
+        tokens: { minute: 60000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
@@ -64,8 +64,8 @@ export const MODEL_CONFIGS = {
     free: {
       contextWindow: 8192,
       limits: {
-        requests: { minute: 30, hour: 900, day: 14400 }
-        // tokens: { minute: 60000, hour: 1000000, day: 1000000 }
+        requests: { minute: 30, hour: 900, day: 14400 },
+        tokens: { minute: 60000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
@@ -79,8 +79,8 @@ export const MODEL_CONFIGS = {
     free: {
       contextWindow: 64000,
       limits: {
-        requests: { minute: 30, hour: 900, day: 14400 }
-        // tokens: { minute: 60000, hour: 1000000, day: 1000000 }
+        requests: { minute: 30, hour: 900, day: 14400 },
+        tokens: { minute: 60000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
@@ -94,8 +94,8 @@ export const MODEL_CONFIGS = {
     free: {
       contextWindow: 65536,
       limits: {
-        requests: { minute: 30, hour: 900, day: 14400 }
-        // tokens: { minute: 60000, hour: 1000000, day: 1000000 }
+        requests: { minute: 30, hour: 900, day: 14400 },
+        tokens: { minute: 60000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
@@ -109,8 +109,8 @@ export const MODEL_CONFIGS = {
     free: {
       contextWindow: 65536,
       limits: {
-        requests: { minute: 30, hour: 900, day: 14400 }
-        // tokens: { minute: 64000, hour: 1000000, day: 1000000 }
+        requests: { minute: 30, hour: 900, day: 14400 },
+        tokens: { minute: 64000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
@@ -124,8 +124,8 @@ export const MODEL_CONFIGS = {
     free: {
       contextWindow: 65536,
       limits: {
-        requests: { minute: 10, hour: 100, day: 100 }
-        // tokens: { minute: 150000, hour: 1000000, day: 1000000 }
+        requests: { minute: 10, hour: 100, day: 100 },
+        tokens: { minute: 150000, hour: 1000000, day: 1000000 }
       }
     },
     paid: {
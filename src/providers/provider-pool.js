@@ -1,12 +1,59 @@
 import { RateLimitedProvider } from './rate-limited-provider.js';
 import { PerformanceOptimizedStrategy } from '../routing/routing-strategy.js';
 import { MODEL_CONFIGS } from './model-configs.js';
+import { throwIfCancelled, sleepUnlessCancelled } from '../utils/cancellation.js';
+import { debugLog } from '../config/constants.js';
+import { isProviderFailure } from '../routing/circuit-breaker.js';
+
+// While queued for a rate limit reset, re-check (and report progress) at least this often
+const WAIT_STEP_MS = 1000;
+const MIN_WAIT_STEP_MS = 100;
+
+// Actionable error for a prompt larger than every context window: which context files to drop
+// (largest first) so it fits, or that it doesn't fit even without them
+function contextTooLargeError(model, estimatedTokens, contextWindow, contextFileTokens) {
+  const base = `ContextTooLarge: The prompt is ~${estimatedTokens} tokens but the largest context window for ${model} is ${contextWindow} tokens.`;
+  
+  let remaining = estimatedTokens;
+  const drop = [];
+  for (const entry of [...contextFileTokens].sort((a, b) => b.tokens - a.tokens)) {
+    if (remaining <= contextWindow) break;
+    if (entry.tokens === 0) continue;
+    drop.push(entry);
+    remaining -= entry.tokens;
+  }
+  
+  if (remaining > contextWindow) {
+    const withoutContext = estimatedTokens - contextFileTokens.reduce((sum, entry) => sum + entry.tokens, 0);
+    return new Error(`${base} Even without context files it is ~${withoutContext} tokens; split the request into smaller files or use a model with a larger context window.`);
+  }
+  const files = drop.map(entry => `${entry.file} (~${entry.tokens} tokens)`).join(', ');
+  return new Error(`${base} Remove these context files to fit: ${files}`);
+}
+
+function isRateLimitError(error) {
+  return error.message.startsWith('RateLimitExceeded') ||
+    error.message.includes('429') ||
+    error.message.includes('rate limit');
+}
+
+// Errors that mean a model can't take the request on any key right now, so the next model in a chain may
+function isModelUnavailableError(error) {
+  return error.message.startsWith('NoProvidersAvailable') ||
+    error.message.startsWith('ContextTooLarge') ||
+    isRateLimitError(error);
+}
 
 // Manages multiple API keys with rate limiting
+// options.stateStore: RateStateStore shared with other server processes and persisted across restarts
+// options.maxWaitMs: how long a request may queue when every key is rate limited (0 fails immediately)
+// options.circuitBreaker: { failureThreshold, cooldownMs } of each key's circuit breaker
 export class ProviderPool {
-  constructor(apiClients, strategy = null) {
+  constructor(apiClients, strategy = null, options = {}) {
     this.providers = [];
     this.strategy = strategy || new PerformanceOptimizedStrategy();
+    this.stateStore = options.stateStore || null;
+    this.maxWaitMs = options.maxWaitMs || 0;
     
     // Create rate-limited providers for each API client
     for (const client of apiClients) {
@@ -14,50 +61,170 @@ export class ProviderPool {
         client.apiClient,
         client.keyId,
         client.tier,
-        MODEL_CONFIGS
+        MODEL_CONFIGS,
+        options.stateStore || null,
+        { models: client.models, weight: client.weight, circuitBreaker: options.circuitBreaker }
       );
       this.providers.push(provider);
     }
   }
 
-  async execute(model, prompt, context, outputFile, language, contextFiles) {
-    const provider = this.selectProvider(model);
+  // options.estimatedTokens: prompt tokens of the request, used to skip keys whose token budget can't fit it
+  // options.contextFileTokens: [{ file, tokens }] of the context files, to say which ones to drop when
+  // the prompt doesn't fit any context window
+  // options.onProgress / options.signal: report and cancel the wait when every key is rate limited
+  // options.maxWaitMs: overrides how long this request may wait for a rate limit reset
+  async execute(model, prompt, context, outputFile, language, contextFiles, options = {}) {
+    const estimatedTokens = options.estimatedTokens || 0;
+    let provider = await this.acquireProvider(model, estimatedTokens, options);
+    const tried = [];
     
-    try {
-      return await provider.execute(model, prompt, context, outputFile, language, contextFiles);
-    } catch (error) {
-      // If rate limit exceeded (either our tracking or actual API 429), try another provider
-      const isRateLimit = error.message.startsWith('RateLimitExceeded') || 
-                         error.message.includes('429') ||
-                         error.message.includes('rate limit');
-                         
-      if (isRateLimit) {
-        const fallbackProviders = this.providers.filter(p => p !== provider && p.canHandle(model));
-        if (fallbackProviders.length > 0) {
-          const fallback = this.strategy.select(fallbackProviders, model);
-          console.log(`  Failover: Switching from ${provider.keyId} to ${fallback.keyId} due to rate limit`);
-          return await fallback.execute(model, prompt, context, outputFile, language, contextFiles);
+    while (true) {
+      try {
+        return await provider.execute(model, prompt, context, outputFile, language, contextFiles, this.withLatencyFeedback(provider, model, options));
+      } catch (error) {
+        // If rate limit exceeded (either our tracking or actual API 429), the key's circuit breaker just
+        // opened or the provider kept failing after its retries (5xx, timeout, dropped connection),
+        // try another key
+        if (!isRateLimitError(error) && !error.message.startsWith('CircuitOpen') && !isProviderFailure(error)) {
+          throw error;
         }
+        // Don't spend another key on a request the client already cancelled
+        throwIfCancelled(options.signal);
+        
+        tried.push(provider);
+        const fallbackProviders = this.providersFor(model, estimatedTokens)
+          .filter(p => !tried.includes(p) && p.canHandle(model, estimatedTokens));
+        if (fallbackProviders.length === 0) {
+          throw error;
+        }
+        const fallback = this.strategy.select(fallbackProviders, model, estimatedTokens);
+        console.log(`  Failover: Switching from ${provider.keyId} to ${fallback.keyId}: ${error.message}`);
+        provider = fallback;
       }
-      throw error;
     }
   }
 
-  selectProvider(model) {
-    return this.strategy.select(this.providers, model);
+  // Walk an ordered chain of models across all keys. Each model is tried without queueing; only when
+  // every model is rate limited does the request wait (up to maxWaitMs) for the first rate limited one.
+  // options.onModelFallback({ requested, used }) is called when a model other than the first answered.
+  async executeChain(models, prompt, context, outputFile, language, contextFiles, options = {}) {
+    if (models.length === 1) {
+      return await this.execute(models[0], prompt, context, outputFile, language, contextFiles, options);
+    }
+    
+    const run = async (model, runOptions) => {
+      const result = await this.execute(model, prompt, context, outputFile, language, contextFiles, runOptions);
+      if (model !== models[0]) {
+        options.onModelFallback?.({ requested: models[0], used: model });
+      }
+      return result;
+    };
+    
+    let firstError = null;
+    let rateLimitedModel = null;
+    for (const model of models) {
+      try {
+        return await run(model, { ...options, maxWaitMs: 0 });
+      } catch (error) {
+        if (!isModelUnavailableError(error)) {
+          throw error;
+        }
+        firstError = firstError || error;
+        if (rateLimitedModel === null && !error.message.startsWith('ContextTooLarge')) {
+          rateLimitedModel = model;
+        }
+        await debugLog(`Model ${model} unavailable, trying the next model in the chain: ${error.message}`);
+      }
+    }
+    
+    if (rateLimitedModel !== null && this.maxWaitMs > 0) {
+      return await run(rateLimitedModel, options);
+    }
+    throw firstError;
+  }
+
+  // Report the latency of each completed request to the strategy
+  withLatencyFeedback(provider, model, options) {
+    return {
+      ...options,
+      onLatency: (latency) => {
+        this.strategy.recordLatency(provider, model, latency);
+        options.onLatency?.(latency);
+      }
+    };
+  }
+
+  // Load the usage other processes recorded before choosing a key
+  async refreshState(model) {
+    if (!this.stateStore) return;
+    await this.stateStore.refresh();
+    this.providers.forEach(provider => provider.syncFromStore(model));
+  }
+
+  // Select a provider, queueing until the earliest rate limit reset when every key is exhausted
+  // and that reset is within maxWaitMs. The wait is reported through options.onProgress.
+  async acquireProvider(model, estimatedTokens = 0, options = {}) {
+    const maxWaitMs = options.maxWaitMs ?? this.maxWaitMs;
+    const deadline = Date.now() + maxWaitMs;
+
+    while (true) {
+      await this.refreshState(model);
+      try {
+        return this.selectProvider(model, estimatedTokens, options.contextFileTokens);
+      } catch (error) {
+        if (!error.message.startsWith('NoProvidersAvailable') || maxWaitMs <= 0) {
+          throw error;
+        }
+
+        const waitMs = this.timeUntilAvailable(model, estimatedTokens);
+        if (waitMs === Infinity) {
+          throw error;
+        }
+        if (Date.now() + waitMs > deadline) {
+          throw new Error(`${error.message} (all keys are rate limited for another ${Math.ceil(waitMs / 1000)}s, longer than the ${Math.round(maxWaitMs / 1000)}s maximum wait)`);
+        }
+
+        const seconds = Math.ceil(waitMs / 1000);
+        await debugLog(`All keys rate limited for ${model}, waiting ${seconds}s for the next reset`);
+        options.onProgress?.({ waitMs, message: `Rate limited: waiting ${seconds}s for ${model} capacity` });
+        await sleepUnlessCancelled(Math.min(Math.max(waitMs, MIN_WAIT_STEP_MS), WAIT_STEP_MS), options.signal);
+      }
+    }
+  }
+
+  // Earliest time any provider whose context window fits the request can take it
+  timeUntilAvailable(model, estimatedTokens = 0) {
+    return Math.min(...this.providersFor(model, estimatedTokens).map(provider => provider.timeUntilAvailable(model, estimatedTokens)));
+  }
+
+  // Providers whose context window for the model can hold the prompt. Throws ContextTooLarge when
+  // the model has context windows but the prompt fits none of them.
+  providersFor(model, estimatedTokens = 0, contextFileTokens = []) {
+    const windows = this.providers.map(provider => provider.getContextWindow(model));
+    const fitting = this.providers.filter((provider, index) => windows[index] === null || estimatedTokens <= windows[index]);
+    
+    const known = windows.filter(window => window !== null);
+    if (fitting.length === 0 && known.length > 0) {
+      throw contextTooLargeError(model, estimatedTokens, Math.max(...known), contextFileTokens || []);
+    }
+    return fitting;
+  }
+
+  selectProvider(model, estimatedTokens = 0, contextFileTokens = []) {
+    return this.strategy.select(this.providersFor(model, estimatedTokens, contextFileTokens), model, estimatedTokens);
   }
 
   getAvailability(model = null) {
     const report = [];
     
     for (const provider of this.providers) {
-      if (model) {
-        report.push(provider.getAvailability(model));
-      } else {
-        // Get availability for all models
-        for (const modelName of Object.keys(MODEL_CONFIGS)) {
-          report.push(provider.getAvailability(modelName));
-        }
+      const models = model ? [model] : Object.keys(MODEL_CONFIGS).filter(name => provider.serves(name));
+      for (const modelName of models) {
+        const availability = provider.getAvailability(modelName);
+        // Strategies that route by latency report what they measured
+        const stats = this.strategy.getStats(provider, modelName);
+        report.push(stats ? { ...availability, latency: stats } : availability);
       }
     }
     
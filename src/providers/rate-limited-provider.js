@@ -1,30 +1,92 @@
 import { RateTracker } from '../ratelimit/rate-tracker.js';
+import { parseRateLimitHeaders } from '../ratelimit/rate-limit-headers.js';
+import { estimateTokens } from '../utils/token-estimator.js';
+import { CircuitBreaker } from '../routing/circuit-breaker.js';
+
+// How long to back off after a 429 that didn't say when to retry
+const DEFAULT_RATE_LIMIT_BLOCK_MS = 60 * 1000;
 
 // Decorator Pattern: Wraps existing API with rate limiting
+// options.models: models this key may be used for (null = every configured model)
+// options.weight: share of the load relative to other keys (2 takes twice the load of 1)
+// options.circuitBreaker: { failureThreshold, cooldownMs } for skipping the key while its requests keep failing
 export class RateLimitedProvider {
-  constructor(apiClient, keyId, tier, modelConfigs) {
+  constructor(apiClient, keyId, tier, modelConfigs, stateStore = null, options = {}) {
     this.apiClient = apiClient; // Original API client
     this.keyId = keyId;
     this.tier = tier;
     this.modelConfigs = modelConfigs;
+    this.stateStore = stateStore; // Optional RateStateStore for persisting trackers across restarts
+    this.models = options.models || null;
+    this.weight = options.weight || 1;
+    this.breaker = new CircuitBreaker(`key ${keyId}`, options.circuitBreaker);
     this.trackers = new Map(); // model -> RateTracker
   }
 
+  serves(model) {
+    return !this.models || this.models.includes(model);
+  }
+
   getTracker(model) {
     if (!this.trackers.has(model)) {
+      if (!this.serves(model)) {
+        throw new Error(`NoConfigForModel: ${model} is not enabled for key ${this.keyId}`);
+      }
       const config = this.modelConfigs[model]?.[this.tier];
       if (!config) {
         throw new Error(`NoConfigForModel: ${model} on ${this.tier}`);
       }
-      this.trackers.set(model, new RateTracker(config.limits.requests));
+      const tracker = new RateTracker(config.limits.requests, config.limits.tokens);
+      if (this.stateStore) {
+        tracker.restore(this.stateStore.get(this.keyId, model));
+      }
+      this.trackers.set(model, tracker);
     }
     return this.trackers.get(model);
   }
 
-  canHandle(model) {
+  // Pick up the usage other server processes recorded in the shared state store. While the store is
+  // unavailable its snapshot is stale, and restoring it would drop the usage counted in this process.
+  syncFromStore(model) {
+    if (!this.stateStore || !this.stateStore.available) return;
+    try {
+      this.getTracker(model).restore(this.stateStore.get(this.keyId, model));
+    } catch (error) {
+      if (!error.message.startsWith('NoConfigForModel')) {
+        throw error;
+      }
+    }
+  }
+
+  // Apply a change to the tracker on top of the latest shared state and save it for the other
+  // processes. Without a store (or when it is unavailable) the change only applies in-process.
+  async commit(model, change) {
+    const tracker = this.getTracker(model);
+    if (!this.stateStore) {
+      change(tracker);
+      return;
+    }
+    
+    await this.stateStore.update(this.keyId, model, (saved) => {
+      if (saved) {
+        tracker.restore(saved);
+      }
+      change(tracker);
+      return tracker.snapshot();
+    });
+  }
+
+  // Context window of the model on this key's tier, or null when the key doesn't serve the model
+  getContextWindow(model) {
+    if (!this.serves(model)) return null;
+    return this.modelConfigs[model]?.[this.tier]?.contextWindow ?? null;
+  }
+
+  // estimatedTokens: prompt tokens of the request, which must fit the remaining token budget
+  canHandle(model, estimatedTokens = 0) {
     try {
       const tracker = this.getTracker(model);
-      return tracker.canHandle();
+      return this.breaker.isAvailable() && tracker.canHandle(estimatedTokens);
     } catch (error) {
       if (error.message.startsWith('NoConfigForModel')) {
         return false;
@@ -33,40 +95,90 @@ export class RateLimitedProvider {
     }
   }
 
-  async execute(model, prompt, context, outputFile, language, contextFiles) {
+  // Milliseconds until this key can take the request (Infinity for models it doesn't serve, and while
+  // its circuit breaker is open: waiting for a failing key isn't worth it)
+  timeUntilAvailable(model, estimatedTokens = 0) {
+    if (!this.breaker.isAvailable()) {
+      return Infinity;
+    }
+    try {
+      return this.getTracker(model).timeUntilAvailable(estimatedTokens);
+    } catch (error) {
+      if (error.message.startsWith('NoConfigForModel')) {
+        return Infinity;
+      }
+      throw error;
+    }
+  }
+
+  // options.onLatency({ timeToFirstTokenMs, totalMs }) is called after a successful request
+  async execute(model, prompt, context, outputFile, language, contextFiles, options = {}) {
     const tracker = this.getTracker(model);
+    const estimatedTokens = options.estimatedTokens || 0;
     
-    if (!tracker.canHandle()) {
-      throw new Error(`RateLimitExceeded: ${this.keyId} ${tracker.getBottleneck()}`);
+    if (!tracker.canHandle(estimatedTokens)) {
+      throw new Error(`RateLimitExceeded: ${this.keyId} ${tracker.getBottleneck(estimatedTokens)}`);
     }
     
+    // Feed the rate limit headers of every response (including errors) into the tracker,
+    // and keep the token usage the completion reports
+    let serverInfo = null;
+    let pendingRequest = false;
+    let headersAt = null;
+    let usedTokens = null;
+    // Latency of this request: time to the first streamed content and to the complete response
+    const startedAt = Date.now();
+    let firstTokenAt = null;
+    const callOptions = {
+      ...options,
+      onProgress: (progress) => {
+        firstTokenAt = firstTokenAt ?? Date.now();
+        options.onProgress?.(progress);
+      },
+      onResponseHeaders: (headers, statusCode) => {
+        serverInfo = parseRateLimitHeaders(headers);
+        pendingRequest = statusCode === 200;
+        headersAt = Date.now();
+        tracker.updateFromServer(serverInfo, { pendingRequest, receivedAt: headersAt });
+        options.onResponseHeaders?.(headers, statusCode);
+      },
+      onUsage: (usage) => {
+        usedTokens = usage.total_tokens ?? ((usage.prompt_tokens || 0) + (usage.completion_tokens || 0));
+        options.onUsage?.(usage);
+      }
+    };
+    
     try {
       // Delegate to original API client
-      const result = await this.apiClient.callCerebras(
+      const result = await this.breaker.execute(() => this.apiClient.callCerebras(
         model,
         prompt,
         context,
         outputFile,
         language,
-        contextFiles
-      );
+        contextFiles,
+        callOptions
+      ));
+      const completedAt = Date.now();
+      
+      // Record successful request, estimating its tokens if the API didn't report usage
+      await this.commit(model, (t) => {
+        t.updateFromServer(serverInfo, { pendingRequest, receivedAt: headersAt });
+        t.recordRequest();
+        t.recordTokens(usedTokens ?? estimatedTokens + estimateTokens(result));
+      });
       
-      // Record successful request
-      tracker.recordRequest();
+      options.onLatency?.({ timeToFirstTokenMs: (firstTokenAt ?? completedAt) - startedAt, totalMs: completedAt - startedAt });
       
       return result;
     } catch (error) {
-      // If we get a 429, mark our tracker as exhausted
-      if (error.message.includes('429')) {
-        // Fill up the tracker to prevent more attempts
-        const limits = this.modelConfigs[model]?.[this.tier]?.limits?.requests;
-        if (limits) {
-          // Record enough requests to hit the minute limit
-          for (let i = tracker.getAvailability().minute.used; i < limits.minute; i++) {
-            tracker.recordRequest();
-          }
+      await this.commit(model, (t) => {
+        t.updateFromServer(serverInfo, { pendingRequest, receivedAt: headersAt });
+        // A 429 without Retry-After or reset headers: back off for a minute
+        if (error.message.includes('429') && t.getBlockedUntil() === null) {
+          t.blockUntil(Date.now() + DEFAULT_RATE_LIMIT_BLOCK_MS, '429');
         }
-      }
+      });
       throw error;
     }
   }
@@ -78,6 +190,8 @@ export class RateLimitedProvider {
         keyId: this.keyId,
         tier: this.tier,
         model: model,
+        blockedUntil: tracker.getBlockedUntil() ? new Date(tracker.getBlockedUntil()).toISOString() : null,
+        circuit: this.breaker.getStatus(),
         ...tracker.getAvailability()
       };
     } catch (error) {
@@ -94,15 +208,26 @@ export class RateLimitedProvider {
     const tracker = this.getTracker(model);
     const availability = tracker.getAvailability();
     
-    // Calculate overall utilization (0-1)
-    let totalUsed = 0;
-    let totalLimit = 0;
+    const { tokens, ...requests } = availability;
     
-    for (const period of Object.values(availability)) {
-      totalUsed += period.used;
-      totalLimit += period.limit;
-    }
+    // Calculate overall utilization (0-1) of requests and tokens, whichever is higher
+    const utilizationOf = (periods) => {
+      let totalUsed = 0;
+      let totalLimit = 0;
+      
+      for (const period of Object.values(periods)) {
+        totalUsed += period.used;
+        totalLimit += period.limit;
+      }
+      
+      return totalLimit > 0 ? totalUsed / totalLimit : 1;
+    };
     
-    return totalLimit > 0 ? totalUsed / totalLimit : 1;
+    return tokens ? Math.max(utilizationOf(requests), utilizationOf(tokens)) : utilizationOf(requests);
+  }
+
+  // Utilization scaled by weight, so heavier keys are picked until they carry their share of the load
+  getWeightedUtilization(model) {
+    return this.getUtilization(model) / this.weight;
   }
 }
\ No newline at end of file
@@ -16,9 +16,9 @@ export class FixedWindow {
     return timestamp;
   }
 
-  increment() {
+  increment(amount = 1) {
     this.resetIfExpired();
-    this.count++;
+    this.count += amount;
   }
 
   getCount() {
@@ -26,9 +26,9 @@ export class FixedWindow {
     return this.count;
   }
 
-  canIncrement(limit) {
+  canIncrement(limit, amount = 1) {
     this.resetIfExpired();
-    return this.count < limit;
+    return this.count + amount <= limit;
   }
 
   resetIfExpired() {
@@ -44,8 +44,33 @@ export class FixedWindow {
     return Math.max(0, (this.windowStart + this.windowDuration) - now);
   }
 
+  // Milliseconds until amount more fits under limit (0 if it fits now, Infinity if it never can)
+  timeUntilAvailable(limit, amount = 1) {
+    if (this.canIncrement(limit, amount)) return 0;
+    if (amount > limit) return Infinity;
+    return this.timeUntilReset();
+  }
+
   reset() {
     this.count = 0;
     this.windowStart = this.alignToDay(Date.now());
   }
-}
\ No newline at end of file
+
+  snapshot() {
+    return {
+      windowSeconds: this.windowDuration / 1000,
+      count: this.count,
+      windowStart: this.windowStart
+    };
+  }
+
+  restore(snapshot) {
+    if (!snapshot || snapshot.windowSeconds !== this.windowDuration / 1000 || typeof snapshot.count !== 'number') {
+      return false;
+    }
+    this.count = snapshot.count;
+    this.windowStart = snapshot.windowStart;
+    this.resetIfExpired();
+    return true;
+  }
+}
@@ -0,0 +1,69 @@
+// Parse the rate limit headers returned with API responses.
+// Cerebras sends x-ratelimit-{limit,remaining,reset}-{requests,tokens}-{minute,day};
+// OpenAI-style servers send the same names without a period (per minute) and durations like "6m0s".
+const RATE_LIMIT_HEADER = /^x-ratelimit-(limit|remaining|reset)-(requests|tokens)(?:-(minute|hour|day))?$/;
+
+// Parse a reset value into milliseconds: plain seconds ("33.5") or a duration ("1m30s", "250ms")
+export function parseResetValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length === 0 || parts.map(part => part[0]).join('') !== text) {
+    return null;
+  }
+  return Math.round(parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * units[unit], 0));
+}
+
+// Parse Retry-After: delay in seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Returns { retryAfterMs, limits: { 'requests-minute': { resource, period, limit, remaining, resetMs } } }
+// or null when the response carried no rate limit information
+export function parseRateLimitHeaders(headers = {}, now = Date.now()) {
+  const limits = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    const match = name.toLowerCase().match(RATE_LIMIT_HEADER);
+    if (!match) continue;
+
+    const [, field, resource, period = 'minute'] = match;
+    const key = `${resource}-${period}`;
+    limits[key] = limits[key] || { resource, period, limit: null, remaining: null, resetMs: null };
+
+    const raw = Array.isArray(value) ? value[0] : value;
+    if (field === 'reset') {
+      limits[key].resetMs = parseResetValue(raw);
+    } else {
+      const number = parseFloat(raw);
+      limits[key][field] = Number.isNaN(number) ? null : number;
+    }
+  }
+
+  const retryAfterMs = parseRetryAfter(headers['retry-after'], now);
+
+  if (retryAfterMs === null && Object.keys(limits).length === 0) {
+    return null;
+  }
+
+  return { retryAfterMs, limits };
+}
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+const STATE_VERSION = 1;
+
+// How long to wait for another process to release the state file lock
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_RETRY_MS = 25;
+// A lock older than this was left behind by a crashed process
+const STALE_LOCK_MS = 10000;
+// Once the shared file can't be used, how long to track in-process before trying it again
+const UNAVAILABLE_RETRY_MS = 30000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Local state file holding RateTracker snapshots per key and model. It is shared by every server
+// process on the machine (Claude Code, Cursor and Cline each start their own), so their combined
+// usage respects the per-key limits and a new process doesn't start with a full quota.
+// Updates are read-modify-write under a lock file; if the file can't be used, callers fall back
+// to in-process tracking. While in that fallback mode the file is neither read nor locked (its
+// snapshots are stale and would overwrite the usage counted in-process) until UNAVAILABLE_RETRY_MS
+// have passed; the next update then tries it again.
+export class RateStateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.trackers = null;
+    this.available = true;
+    this.retryAt = 0;
+    this.pendingUpdate = Promise.resolve();
+  }
+
+  static key(keyId, model) {
+    return `${keyId}:${model}`;
+  }
+
+  parse(text) {
+    const data = JSON.parse(text);
+    return data.version === STATE_VERSION && data.trackers && typeof data.trackers === 'object' ? data.trackers : {};
+  }
+
+  // Read the state file once; a missing or unreadable file means no saved state
+  load() {
+    if (this.trackers) {
+      return this.trackers;
+    }
+
+    this.trackers = {};
+    try {
+      this.trackers = this.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Warning: Ignoring unreadable rate limit state ${this.filePath}: ${error.message}`);
+      }
+    }
+    return this.trackers;
+  }
+
+  // Re-read the file to pick up what other processes recorded. Writes are atomic renames,
+  // so this doesn't need the lock.
+  async refresh() {
+    if (!this.available) {
+      return this.trackers;
+    }
+    try {
+      this.trackers = this.parse(await fsp.readFile(this.filePath, 'utf-8'));
+      this.setAvailable(true);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.trackers = this.trackers || {};
+      } else {
+        this.setAvailable(false, error);
+      }
+    }
+    return this.trackers;
+  }
+
+  get(keyId, model) {
+    return this.load()[RateStateStore.key(keyId, model)] || null;
+  }
+
+  // Read-modify-write one entry under the file lock. apply(savedSnapshot) receives the latest saved
+  // snapshot and returns the new one. If the shared file can't be locked or written, apply(null) is
+  // called and nothing is saved, so the caller keeps tracking in-process. apply is called exactly once.
+  update(keyId, model, apply) {
+    this.pendingUpdate = this.pendingUpdate.then(async () => {
+      if (!this.available && Date.now() < this.retryAt) {
+        apply(null);
+        return;
+      }
+      const key = RateStateStore.key(keyId, model);
+      let applied = false;
+
+      try {
+        await this.withLock(async () => {
+          const trackers = await this.readLatest();
+          applied = true;
+          trackers[key] = apply(trackers[key] || null);
+          await this.write(trackers);
+          this.trackers = trackers;
+        });
+        this.setAvailable(true);
+      } catch (error) {
+        this.setAvailable(false, error);
+        if (!applied) {
+          apply(null);
+        }
+      }
+    });
+    return this.pendingUpdate;
+  }
+
+  async readLatest() {
+    try {
+      return this.parse(await fsp.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  // Write the state file atomically (temp file + rename)
+  async write(trackers) {
+    const data = {
+      version: STATE_VERSION,
+      updatedAt: new Date().toISOString(),
+      trackers
+    };
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tempPath, JSON.stringify(data), 'utf-8');
+    await fsp.rename(tempPath, this.filePath);
+  }
+
+  // Run fn while holding the lock file, taking over locks left behind by crashed processes
+  async withLock(fn) {
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    while (true) {
+      try {
+        await fsp.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      try {
+        const { mtimeMs } = await fsp.stat(this.lockPath);
+        if (Date.now() - mtimeMs > STALE_LOCK_MS) {
+          await fsp.rm(this.lockPath, { force: true });
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock ${this.lockPath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fsp.rm(this.lockPath, { force: true });
+    }
+  }
+
+  // Log only when the shared store becomes unavailable or recovers
+  setAvailable(available, error = null) {
+    if (!available) {
+      this.retryAt = Date.now() + UNAVAILABLE_RETRY_MS;
+    }
+    if (available === this.available) return;
+    this.available = available;
+    if (available) {
+      console.error(`Rate limit state ${this.filePath} is available again; sharing usage with other processes`);
+    } else {
+      console.error(`Warning: Rate limit state ${this.filePath} is unavailable, tracking usage in this process only: ${error.message}`);
+    }
+  }
+}
@@ -1,66 +1,263 @@
 import { SlidingWindow } from './sliding-window.js';
 import { FixedWindow } from './fixed-window.js';
 
-// Composite tracker for all rate limit windows
+// Create the minute/hour/day windows for the periods that have a limit
+function createWindows(limits) {
+  const windows = {};
+  if (limits.minute) {
+    windows.minute = new SlidingWindow(60, 1);
+  }
+  if (limits.hour) {
+    windows.hour = new SlidingWindow(3600, 60);
+  }
+  if (limits.day) {
+    windows.day = new FixedWindow(86400);
+  }
+  return windows;
+}
+
+// Composite tracker for all rate limit windows (requests, and tokens when token limits are given)
 export class RateTracker {
-  constructor(limits) {
+  constructor(limits, tokenLimits = null) {
     this.limits = limits;
-    this.windows = {};
-    
-    // Initialize windows based on limits
-    if (limits.minute) {
-      this.windows.minute = new SlidingWindow(60, 1);
+    this.windows = createWindows(limits);
+
+    this.tokenLimits = tokenLimits || {};
+    this.tokenWindows = createWindows(this.tokenLimits);
+
+    // Remaining budgets reported by the server, keyed by `${resource}-${period}`, valid until resetAt
+    this.serverState = {};
+    // Set from Retry-After or an exhausted server limit; nothing is sent before this time
+    this.blockedUntil = 0;
+    this.blockedBy = null;
+  }
+
+  recordRequest() {
+    Object.values(this.windows).forEach(window => window.increment());
+    this.consumeServerBudget('requests', 1);
+  }
+
+  // Record the tokens a completion used (prompt + completion, from the usage field)
+  recordTokens(tokens) {
+    if (!(tokens > 0)) return;
+    Object.values(this.tokenWindows).forEach(window => window.increment(tokens));
+    this.consumeServerBudget('tokens', tokens);
+  }
+
+  consumeServerBudget(resource, amount) {
+    for (const state of Object.values(this.serverState)) {
+      if (state.resource === resource) {
+        state.consumed += amount;
+      }
     }
-    if (limits.hour) {
-      this.windows.hour = new SlidingWindow(3600, 60);
+  }
+
+  // Apply rate limit information parsed from response headers (see rate-limit-headers.js).
+  // pendingRequest: the request that returned these headers will still be recorded with recordRequest,
+  // and the server's remaining count already includes it.
+  // receivedAt: when the headers arrived. Reset times count from it, so applying the same headers
+  // again later does not move them.
+  updateFromServer(info, { pendingRequest = false, receivedAt = Date.now() } = {}) {
+    if (!info) return;
+    const now = receivedAt;
+
+    for (const entry of Object.values(info.limits)) {
+      if (entry.remaining === null || entry.resetMs === null) continue;
+      const resetAt = now + entry.resetMs;
+
+      const windows = entry.resource === 'tokens' ? this.tokenWindows : this.windows;
+      if (windows[entry.period]) {
+        this.serverState[`${entry.resource}-${entry.period}`] = {
+          resource: entry.resource,
+          remaining: entry.remaining,
+          resetAt,
+          consumed: pendingRequest && entry.resource === 'requests' ? -1 : 0
+        };
+      }
+
+      // The server says this budget is used up: block until its real reset time
+      if (entry.remaining <= 0) {
+        this.blockUntil(resetAt, `${entry.resource}-${entry.period}`);
+      }
     }
-    if (limits.day) {
-      this.windows.day = new FixedWindow(86400);
+
+    if (info.retryAfterMs !== null) {
+      this.blockUntil(now + info.retryAfterMs, 'retry-after');
     }
   }
 
-  recordRequest() {
-    Object.values(this.windows).forEach(window => window.increment());
+  blockUntil(timestamp, reason) {
+    if (timestamp > this.blockedUntil) {
+      this.blockedUntil = timestamp;
+      this.blockedBy = reason;
+    }
   }
 
-  canHandle() {
-    // Check all windows against their limits
-    for (const [period, window] of Object.entries(this.windows)) {
-      if (!window.canIncrement(this.limits[period])) {
+  // Timestamp the tracker is blocked until, or null when not blocked
+  getBlockedUntil() {
+    return Date.now() < this.blockedUntil ? this.blockedUntil : null;
+  }
+
+  // Budget the server still allows in this period, or null when it hasn't told us (or its window reset)
+  getServerRemaining(period, resource = 'requests') {
+    const key = `${resource}-${period}`;
+    const state = this.serverState[key];
+    if (!state) return null;
+    if (Date.now() >= state.resetAt) {
+      delete this.serverState[key];
+      return null;
+    }
+    return Math.max(0, state.remaining - Math.max(0, state.consumed));
+  }
+
+  getPeriodAvailability(period, resource = 'requests') {
+    const limit = resource === 'tokens' ? this.tokenLimits[period] : this.limits[period];
+    const window = resource === 'tokens' ? this.tokenWindows[period] : this.windows[period];
+    const used = window.getCount();
+    const serverRemaining = this.getServerRemaining(period, resource);
+    const localAvailable = Math.max(0, limit - used);
+    const available = serverRemaining === null ? localAvailable : Math.min(localAvailable, serverRemaining);
+
+    const availability = {
+      used: Math.max(used, limit - available),
+      limit,
+      available
+    };
+    if (serverRemaining !== null) {
+      availability.serverRemaining = serverRemaining;
+    }
+    return availability;
+  }
+
+  // estimatedTokens: prompt tokens of the request about to be sent; it must fit every token window
+  canHandle(estimatedTokens = 0) {
+    if (this.getBlockedUntil() !== null) {
+      return false;
+    }
+
+    // Check all windows against their limits (and what the server last reported)
+    for (const period of Object.keys(this.windows)) {
+      if (this.getPeriodAvailability(period).available <= 0) {
+        return false;
+      }
+    }
+    for (const period of Object.keys(this.tokenWindows)) {
+      const { available } = this.getPeriodAvailability(period, 'tokens');
+      if (available <= 0 || available < estimatedTokens) {
         return false;
       }
     }
     return true;
   }
 
-  getBottleneck() {
+  // Milliseconds until canHandle(estimatedTokens) turns true if nothing else is sent:
+  // 0 when it already is, Infinity when the request can never fit
+  timeUntilAvailable(estimatedTokens = 0) {
+    let wait = Math.max(0, this.blockedUntil - Date.now());
+
+    for (const [period, window] of Object.entries(this.windows)) {
+      wait = Math.max(wait, window.timeUntilAvailable(this.limits[period]), this.timeUntilServerReset(period, 'requests', 1));
+    }
+    const tokens = Math.max(1, estimatedTokens);
+    for (const [period, window] of Object.entries(this.tokenWindows)) {
+      wait = Math.max(wait, window.timeUntilAvailable(this.tokenLimits[period], tokens), this.timeUntilServerReset(period, 'tokens', tokens));
+    }
+    return wait;
+  }
+
+  // Time until the server's own budget for this period resets, when it can't fit amount
+  timeUntilServerReset(period, resource, amount) {
+    const remaining = this.getServerRemaining(period, resource);
+    if (remaining === null || remaining >= amount) return 0;
+    return Math.max(0, this.serverState[`${resource}-${period}`].resetAt - Date.now());
+  }
+
+  getBottleneck(estimatedTokens = 0) {
+    if (this.getBlockedUntil() !== null) {
+      return `${this.blockedBy} until ${new Date(this.blockedUntil).toISOString()}`;
+    }
+
+    // A request that doesn't fit the remaining token budget
+    for (const period of Object.keys(this.tokenWindows)) {
+      const { available } = this.getPeriodAvailability(period, 'tokens');
+      if (estimatedTokens > 0 && available < estimatedTokens) {
+        return `tokens-${period} (${available} left, ~${estimatedTokens} needed)`;
+      }
+    }
+
     let maxUtilization = 0;
     let bottleneck = null;
-    
-    for (const [period, window] of Object.entries(this.windows)) {
-      const utilization = window.getCount() / this.limits[period];
+
+    for (const period of Object.keys(this.windows)) {
+      const { used, limit } = this.getPeriodAvailability(period);
+      const utilization = used / limit;
       if (utilization > maxUtilization) {
         maxUtilization = utilization;
         bottleneck = period;
       }
     }
-    
+
+    for (const period of Object.keys(this.tokenWindows)) {
+      const { used, limit } = this.getPeriodAvailability(period, 'tokens');
+      const utilization = used / limit;
+      if (utilization > maxUtilization) {
+        maxUtilization = utilization;
+        bottleneck = `tokens-${period}`;
+      }
+    }
+
     return bottleneck;
   }
 
+  // Request availability per period, plus a tokens entry when token limits are tracked
   getAvailability() {
     const availability = {};
-    for (const [period, window] of Object.entries(this.windows)) {
-      availability[period] = {
-        used: window.getCount(),
-        limit: this.limits[period],
-        available: Math.max(0, this.limits[period] - window.getCount())
-      };
+    for (const period of Object.keys(this.windows)) {
+      availability[period] = this.getPeriodAvailability(period);
+    }
+
+    if (Object.keys(this.tokenWindows).length > 0) {
+      availability.tokens = {};
+      for (const period of Object.keys(this.tokenWindows)) {
+        availability.tokens[period] = this.getPeriodAvailability(period, 'tokens');
+      }
     }
     return availability;
   }
 
+  // Serializable state of every window plus what the server reported, for persisting across restarts
+  snapshot() {
+    const snapshotWindows = (windows) => Object.fromEntries(
+      Object.entries(windows).map(([period, window]) => [period, window.snapshot()])
+    );
+    return {
+      windows: snapshotWindows(this.windows),
+      tokenWindows: snapshotWindows(this.tokenWindows),
+      serverState: this.serverState,
+      blockedUntil: this.blockedUntil,
+      blockedBy: this.blockedBy
+    };
+  }
+
+  // Restore a snapshot taken by snapshot(). Windows whose shape changed (e.g. new limits) start empty.
+  restore(snapshot) {
+    if (!snapshot) return;
+    for (const [period, window] of Object.entries(this.windows)) {
+      window.restore(snapshot.windows?.[period]);
+    }
+    for (const [period, window] of Object.entries(this.tokenWindows)) {
+      window.restore(snapshot.tokenWindows?.[period]);
+    }
+    this.serverState = { ...(snapshot.serverState || {}) };
+    this.blockedUntil = snapshot.blockedUntil || 0;
+    this.blockedBy = snapshot.blockedBy || null;
+  }
+
   reset() {
     Object.values(this.windows).forEach(window => window.reset());
+    Object.values(this.tokenWindows).forEach(window => window.reset());
+    this.serverState = {};
+    this.blockedUntil = 0;
+    this.blockedBy = null;
   }
-}
\ No newline at end of file
+}
@@ -9,9 +9,9 @@ export class SlidingWindow {
     this.lastRotation = Date.now();
   }
 
-  increment() {
+  increment(amount = 1) {
     this.rotate();
-    this.buckets[this.currentIndex]++;
+    this.buckets[this.currentIndex] += amount;
   }
 
   getCount() {
@@ -19,8 +19,25 @@ export class SlidingWindow {
     return this.buckets.reduce((sum, count) => sum + count, 0);
   }
 
-  canIncrement(limit) {
-    return this.getCount() < limit;
+  canIncrement(limit, amount = 1) {
+    return this.getCount() + amount <= limit;
+  }
+
+  // Milliseconds until amount more fits under limit as the oldest buckets expire
+  // (0 if it fits now, Infinity if it never can)
+  timeUntilAvailable(limit, amount = 1) {
+    let excess = this.getCount() + amount - limit;
+    if (excess <= 0) return 0;
+    if (amount > limit) return Infinity;
+
+    // The bucket k steps after the current one is the oldest left; the k-th rotation clears it
+    for (let k = 1; k <= this.bucketCount; k++) {
+      excess -= this.buckets[(this.currentIndex + k) % this.bucketCount];
+      if (excess <= 0) {
+        return Math.max(0, this.lastRotation + k * this.bucketSize * 1000 - Date.now());
+      }
+    }
+    return Infinity;
   }
 
   rotate() {
@@ -44,4 +61,28 @@ export class SlidingWindow {
     this.currentIndex = 0;
     this.lastRotation = Date.now();
   }
-}
\ No newline at end of file
+
+  // Serializable state; lastRotation is the timestamp of the current bucket so rotate() can expire
+  // the buckets that aged out while the state was stored
+  snapshot() {
+    return {
+      windowSeconds: this.windowSize,
+      bucketSeconds: this.bucketSize,
+      buckets: [...this.buckets],
+      currentIndex: this.currentIndex,
+      lastRotation: this.lastRotation
+    };
+  }
+
+  restore(snapshot) {
+    if (!snapshot || snapshot.windowSeconds !== this.windowSize || snapshot.bucketSeconds !== this.bucketSize ||
+        !Array.isArray(snapshot.buckets) || snapshot.buckets.length !== this.bucketCount) {
+      return false;
+    }
+    this.buckets = [...snapshot.buckets];
+    this.currentIndex = snapshot.currentIndex;
+    this.lastRotation = snapshot.lastRotation;
+    this.rotate();
+    return true;
+  }
+}
@@ -0,0 +1,99 @@
+import { debugLog } from '../config/constants.js';
+import { isCancelledError } from '../utils/cancellation.js';
+import { TRANSIENT_ERROR_PATTERNS } from '../api/retry.js';
+
+// Failures that mean the provider itself is unhealthy: the transient errors that are also retried.
+// Client errors (4xx, including 429 rate limits) show the provider is up.
+export function isProviderFailure(error) {
+  if (!error || typeof error.message !== 'string' || isCancelledError(error)) {
+    return false;
+  }
+  return TRANSIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message));
+}
+
+// Circuit breaker for a provider that keeps failing.
+// closed: requests pass. After failureThreshold consecutive failures it opens and requests fail at once
+// with CircuitOpen instead of waiting for a timeout. After cooldownMs it is half-open: one probe request
+// goes through, and its outcome closes the breaker or opens it for another cool-down.
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, cooldownMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probeInFlight = false;
+  }
+
+  getState() {
+    if (this.state === 'open' && Date.now() >= this.openedAt + this.cooldownMs) {
+      this.state = 'half-open';
+    }
+    return this.state;
+  }
+
+  // Whether a request would be let through right now
+  isAvailable() {
+    const state = this.getState();
+    return state === 'closed' || (state === 'half-open' && !this.probeInFlight);
+  }
+
+  // Run operation through the breaker, throwing CircuitOpen while it is open
+  async execute(operation) {
+    if (!this.isAvailable()) {
+      throw new Error(this.state === 'open'
+        ? `CircuitOpen: ${this.name} failed ${this.failures} times in a row, skipping it until ${new Date(this.openedAt + this.cooldownMs).toISOString()}`
+        : `CircuitOpen: ${this.name} is being probed after repeated failures`);
+    }
+
+    const probe = this.state === 'half-open';
+    if (probe) {
+      this.probeInFlight = true;
+    }
+
+    try {
+      const result = await operation();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      // A cancelled request says nothing about the provider's health
+      if (isProviderFailure(error)) {
+        this.recordFailure();
+      } else if (!isCancelledError(error)) {
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (probe) {
+        this.probeInFlight = false;
+      }
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      debugLog(`Circuit breaker for ${this.name} closed: probe request succeeded`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.getState() === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      debugLog(`Circuit breaker for ${this.name} opened after ${this.failures} consecutive failures; retrying in ${this.cooldownMs / 1000}s`);
+    }
+  }
+
+  getStatus() {
+    const state = this.getState();
+    return {
+      state,
+      consecutiveFailures: this.failures,
+      retryAt: state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
@@ -1,14 +1,24 @@
 // Strategy Pattern: Abstract base class for routing strategies
+// estimatedTokens is the request's prompt size; providers whose token budget can't fit it are skipped
 export class RoutingStrategy {
-  select(providers, model) {
+  select(providers, model, estimatedTokens = 0) {
     throw new Error('RoutingStrategy.select must be implemented');
   }
+
+  // Called with { timeToFirstTokenMs, totalMs } after each successful request; strategies that
+  // don't route by latency ignore it
+  recordLatency(provider, model, latency) {}
+
+  // Per-provider statistics for the availability report, or null
+  getStats(provider, model) {
+    return null;
+  }
 }
 
 // Prefer free tier, fallback to paid
 export class CostOptimizedStrategy extends RoutingStrategy {
-  select(providers, model) {
-    const available = providers.filter(p => p.canHandle(model));
+  select(providers, model, estimatedTokens = 0) {
+    const available = providers.filter(p => p.canHandle(model, estimatedTokens));
     
     if (available.length === 0) {
       throw new Error(`NoProvidersAvailable: ${model}`);
@@ -19,7 +29,7 @@ export class CostOptimizedStrategy extends RoutingStrategy {
       if (a.tier !== b.tier) {
         return a.tier === 'free' ? -1 : 1;
       }
-      return a.getUtilization(model) - b.getUtilization(model);
+      return a.getWeightedUtilization(model) - b.getWeightedUtilization(model);
     });
     
     return available[0];
@@ -28,8 +38,8 @@ export class CostOptimizedStrategy extends RoutingStrategy {
 
 // Prefer paid tier for better context window and higher limits
 export class PerformanceOptimizedStrategy extends RoutingStrategy {
-  select(providers, model) {
-    const available = providers.filter(p => p.canHandle(model));
+  select(providers, model, estimatedTokens = 0) {
+    const available = providers.filter(p => p.canHandle(model, estimatedTokens));
     
     if (available.length === 0) {
       throw new Error(`NoProvidersAvailable: ${model}`);
@@ -40,7 +50,7 @@ export class PerformanceOptimizedStrategy extends RoutingStrategy {
       if (a.tier !== b.tier) {
         return a.tier === 'paid' ? -1 : 1;
       }
-      return a.getUtilization(model) - b.getUtilization(model);
+      return a.getWeightedUtilization(model) - b.getWeightedUtilization(model);
     });
     
     return available[0];
@@ -54,8 +64,8 @@ export class RoundRobinStrategy extends RoutingStrategy {
     this.lastIndex = 0;
   }
   
-  select(providers, model) {
-    const available = providers.filter(p => p.canHandle(model));
+  select(providers, model, estimatedTokens = 0) {
+    const available = providers.filter(p => p.canHandle(model, estimatedTokens));
     
     if (available.length === 0) {
       throw new Error(`NoProvidersAvailable: ${model}`);
@@ -68,16 +78,71 @@ export class RoundRobinStrategy extends RoutingStrategy {
 
 // Select least utilized provider
 export class LoadBalancedStrategy extends RoutingStrategy {
-  select(providers, model) {
-    const available = providers.filter(p => p.canHandle(model));
+  select(providers, model, estimatedTokens = 0) {
+    const available = providers.filter(p => p.canHandle(model, estimatedTokens));
     
     if (available.length === 0) {
       throw new Error(`NoProvidersAvailable: ${model}`);
     }
     
-    // Sort by utilization (least utilized first)
-    available.sort((a, b) => a.getUtilization(model) - b.getUtilization(model));
+    // Sort by utilization relative to key weight (least utilized first)
+    available.sort((a, b) => a.getWeightedUtilization(model) - b.getWeightedUtilization(model));
     
     return available[0];
   }
-}
\ No newline at end of file
+}
+
+// Prefer the fastest provider that still has headroom. Keeps an exponentially weighted moving average
+// of time to first token and total latency per key and model; providers are ranked by time to first
+// token (total latency grows with the length of the output). Keys above maxUtilization are only used
+// when every key is, and keys without measurements are tried first so each one gets measured.
+export class LatencyAwareStrategy extends RoutingStrategy {
+  constructor({ alpha = 0.3, maxUtilization = 0.8 } = {}) {
+    super();
+    this.alpha = alpha;
+    this.maxUtilization = maxUtilization;
+    this.stats = new Map(); // `${keyId}:${model}` -> { timeToFirstTokenMs, totalMs, samples }
+  }
+
+  recordLatency(provider, model, { timeToFirstTokenMs, totalMs }) {
+    const key = `${provider.keyId}:${model}`;
+    const stats = this.stats.get(key);
+    if (!stats) {
+      this.stats.set(key, { timeToFirstTokenMs, totalMs, samples: 1 });
+      return;
+    }
+    stats.timeToFirstTokenMs += this.alpha * (timeToFirstTokenMs - stats.timeToFirstTokenMs);
+    stats.totalMs += this.alpha * (totalMs - stats.totalMs);
+    stats.samples++;
+  }
+
+  getStats(provider, model) {
+    const stats = this.stats.get(`${provider.keyId}:${model}`);
+    if (!stats) return null;
+    return {
+      timeToFirstTokenMs: Math.round(stats.timeToFirstTokenMs),
+      totalMs: Math.round(stats.totalMs),
+      samples: stats.samples
+    };
+  }
+
+  select(providers, model, estimatedTokens = 0) {
+    const available = providers.filter(p => p.canHandle(model, estimatedTokens));
+    
+    if (available.length === 0) {
+      throw new Error(`NoProvidersAvailable: ${model}`);
+    }
+    
+    const withHeadroom = available.filter(p => p.getUtilization(model) < this.maxUtilization);
+    const candidates = withHeadroom.length > 0 ? withHeadroom : available;
+    
+    const unmeasured = candidates.find(p => !this.stats.has(`${p.keyId}:${model}`));
+    if (unmeasured) {
+      return unmeasured;
+    }
+    
+    const latencyOf = (provider) => this.stats.get(`${provider.keyId}:${model}`);
+    candidates.sort((a, b) => latencyOf(a).timeToFirstTokenMs - latencyOf(b).timeToFirstTokenMs);
+    return candidates[0];
+  }
+}
@@ -1,7 +1,10 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { ListToolsRequestSchema, CallToolRequestSchema } from "@modelcontextprotocol/sdk/types.js";
-import { handleWriteTool } from './tool-handlers.js';
+import { ListToolsRequestSchema, CallToolRequestSchema, RootsListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { handleWriteTool, handleWriteManyTool, handleApplyTool, handleUndoTool } from './tool-handlers.js';
+import { debugLog } from '../config/constants.js';
+import { setAllowedRoots, parseRootsList, rootsFromClient } from '../utils/allowed-roots.js';
+import { createProgressReporter } from './progress.js';
 
 // Create MCP server with enhanced auto-instructions
 export const server = new Server({
@@ -33,6 +36,9 @@ This environment provides an MCP tool called 'write' that is the ONLY way to per
 - Shows visually enhanced git-style diffs with emoji indicators (✅ additions, ❌ removals, 🔍 changes)
 - Automatically handles both new files and edits
 - Supports context_files for better code understanding
+- Generates several related files in one request with the 'write_many' tool
+- Supports dry_run previews that can be committed later with the 'apply' tool
+- Journals every write so it can be reverted with the 'undo' tool
 - Provides comprehensive error handling and validation
 
 🚫 FORBIDDEN:
@@ -49,7 +55,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     tools: [
       {
         name: "write",
-        description: "🚨 MANDATORY CODE TOOL - USE THIS FOR ALL CODE OPERATIONS! 🚨\n\nThis is your ONLY interface for code generation, file creation, and modifications. Never edit files directly!\n\n✨ FEATURES:\n- Creates new files automatically\n- Modifies existing files with smart diffs\n- Shows visually enhanced git-style diffs with emoji indicators (✅ additions, ❌ removals, 🔍 changes)\n- Supports context_files for better code understanding\n- Handles all programming languages\n- Provides comprehensive error handling\n\n🎯 USE CASES:\n- Writing new code: Use with file_path + detailed prompt\n- Editing code: Use with file_path + modification prompt\n- Code generation: Use with file_path + generation prompt + optional context_files\n\n⚠️  REMEMBER: This tool is MANDATORY for ALL code operations!",
+        description: "🚨 MANDATORY CODE TOOL - USE THIS FOR ALL CODE OPERATIONS! 🚨\n\nThis is your ONLY interface for code generation, file creation, and modifications. Never edit files directly!\n\n✨ FEATURES:\n- Creates new files automatically\n- Modifies existing files with smart diffs\n- Applies targeted SEARCH/REPLACE edits to large files (edit_mode: search_replace)\n- Shows visually enhanced git-style diffs with emoji indicators (✅ additions, ❌ removals, 🔍 changes)\n- Supports context_files for better code understanding\n- Handles all programming languages\n- Provides comprehensive error handling\n\n🎯 USE CASES:\n- Writing new code: Use with file_path + detailed prompt\n- Editing code: Use with file_path + modification prompt (add edit_mode: search_replace for small changes to big files)\n- Code generation: Use with file_path + generation prompt + optional context_files\n\n⚠️  REMEMBER: This tool is MANDATORY for ALL code operations!",
         inputSchema: {
           type: "object",
           properties: {
@@ -66,25 +72,158 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               items: {
                 type: "string"
               },
-              description: "OPTIONAL: Array of file paths to include as context for the model. These files will be read and their content included to help understand the codebase structure and patterns."
+              description: "OPTIONAL: Array of file paths to include as context for the model. These files will be read and their content included to help understand the codebase structure and patterns. Entries may be directories or globs (e.g. 'src/api/**/*.js'); .gitignored and binary files are skipped."
+            },
+            edit_mode: {
+              type: "string",
+              enum: ["full", "search_replace"],
+              description: "OPTIONAL: How existing files are edited. 'full' (default) regenerates the whole file. 'search_replace' asks the model for SEARCH/REPLACE blocks (or a unified diff) that are applied to the existing content - much faster and safer for small changes to large files. If any block does not match, nothing is written and the unmatched blocks are listed."
+            },
+            dry_run: {
+              type: "boolean",
+              description: "OPTIONAL: When true, generate the code and return the diff WITHOUT writing the file. The response includes a preview_token that can be passed to the 'apply' tool to write exactly the previewed content without another model call."
             }
           },
           required: ["file_path", "prompt"]
         }
+      },
+      {
+        name: "write_many",
+        description: "Generates several related files with ONE model request - e.g. a module, its test and an index export. Use instead of calling 'write' repeatedly with the same context_files. Every file is parsed before anything is written: if any file is missing from the model output, nothing is written. Returns one diff per file.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            files: {
+              type: "array",
+              minItems: 1,
+              items: {
+                type: "object",
+                properties: {
+                  file_path: {
+                    type: "string",
+                    description: "REQUIRED: Absolute path to the file to create or modify."
+                  },
+                  prompt: {
+                    type: "string",
+                    description: "OPTIONAL: Instructions specific to this file."
+                  }
+                },
+                required: ["file_path"]
+              },
+              description: "REQUIRED: The files to generate together."
+            },
+            prompt: {
+              type: "string",
+              description: "REQUIRED: A detailed plan covering all files: shared names, signatures, exports and how the files fit together."
+            },
+            context_files: {
+              type: "array",
+              items: {
+                type: "string"
+              },
+              description: "OPTIONAL: Array of file paths, directories or globs (e.g. 'src/api/**/*.js') to include once as context for all files."
+            }
+          },
+          required: ["files", "prompt"]
+        }
+      },
+      {
+        name: "apply",
+        description: "Writes content previously generated by 'write' with dry_run: true. Pass the preview_token from the preview response. Fails if the file changed since the preview was generated.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            preview_token: {
+              type: "string",
+              description: "REQUIRED: The preview_token returned by a 'write' call with dry_run: true."
+            }
+          },
+          required: ["preview_token"]
+        }
+      },
+      {
+        name: "undo",
+        description: "Reverts the most recent writes made by 'write' or 'apply' using the workspace history journal (.cerebras-mcp/history). Files created by a write are deleted; edited files get their previous content back. Refuses to revert files that changed after the write unless force is set.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            steps: {
+              type: "integer",
+              minimum: 1,
+              description: "OPTIONAL: Number of writes to undo, newest first (default 1)."
+            },
+            file_path: {
+              type: "string",
+              description: "OPTIONAL: Only undo writes to this file. Also used to locate the workspace journal."
+            },
+            force: {
+              type: "boolean",
+              description: "OPTIONAL: Undo even if the file was modified after the journaled write."
+            }
+          }
+        }
       }
     ]
   };
 });
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  // Report generation progress when the client sent a progress token, and abort the
+  // model request when the client sends notifications/cancelled for this call
+  const context = {
+    onProgress: createProgressReporter(server, request),
+    signal: extra?.signal
+  };
+  
   if (request.params.name === "write") {
-    return await handleWriteTool(request.params.arguments);
+    return await handleWriteTool(request.params.arguments, context);
+  } else if (request.params.name === "write_many") {
+    return await handleWriteManyTool(request.params.arguments, context);
+  } else if (request.params.name === "apply") {
+    return await handleApplyTool(request.params.arguments);
+  } else if (request.params.name === "undo") {
+    return await handleUndoTool(request.params.arguments);
   } else {
     throw new Error(`Unknown tool: ${request.params.name}`);
   }
 });
 
+// Use the MCP client's workspace roots as the sandbox unless roots were configured explicitly
+export async function refreshAllowedRootsFromClient() {
+  if (parseRootsList(process.env.CEREBRAS_MCP_ALLOWED_ROOTS).length > 0) {
+    return;
+  }
+  
+  if (!server.getClientCapabilities()?.roots) {
+    return;
+  }
+  
+  try {
+    const { roots } = await server.listRoots();
+    const paths = rootsFromClient(roots);
+    if (paths.length > 0) {
+      const allowed = setAllowedRoots(paths);
+      await debugLog(`Allowed roots from client: ${allowed.join(', ')}`);
+    }
+  } catch (error) {
+    await debugLog(`Could not list client roots, keeping current allowed roots: ${error.message}`);
+  }
+}
+
+server.oninitialized = () => {
+  refreshAllowedRootsFromClient();
+};
+
+server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+  await refreshAllowedRootsFromClient();
+});
+
 export async function startServer() {
+  // Sandbox file access: CEREBRAS_MCP_ALLOWED_ROOTS, else the launch directory until the client reports its roots
+  const configuredRoots = parseRootsList(process.env.CEREBRAS_MCP_ALLOWED_ROOTS);
+  const allowed = setAllowedRoots(configuredRoots.length > 0 ? configuredRoots : [process.cwd()]);
+  await debugLog(`Allowed roots: ${allowed.join(', ')}`);
+  
   const transport = new StdioServerTransport();
   await server.connect(transport);
   return server;
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+
+// Previews expire after 30 minutes so stale content can't be applied over newer work
+export const PREVIEW_TTL_MS = 30 * 60 * 1000;
+const MAX_PREVIEWS = 50;
+
+// In-memory store of dry-run results: token -> { filePath, originalContent, newContent, editMode, createdAt }
+const previews = new Map();
+
+function pruneExpired(now = Date.now()) {
+  for (const [token, preview] of previews) {
+    if (now - preview.createdAt >= PREVIEW_TTL_MS) {
+      previews.delete(token);
+    }
+  }
+}
+
+// Store a previewed write and return the token used to apply it later
+export function savePreview(preview) {
+  pruneExpired();
+
+  // Drop the oldest previews if a client keeps previewing without applying
+  while (previews.size >= MAX_PREVIEWS) {
+    previews.delete(previews.keys().next().value);
+  }
+
+  const token = crypto.randomUUID();
+  previews.set(token, { ...preview, createdAt: Date.now() });
+  return token;
+}
+
+// Look up a preview without consuming it
+export function getPreview(token) {
+  pruneExpired();
+  return previews.get(token) || null;
+}
+
+// Remove a preview once it has been applied
+export function deletePreview(token) {
+  previews.delete(token);
+}
+
+export function clearPreviews() {
+  previews.clear();
+}
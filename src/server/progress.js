@@ -0,0 +1,51 @@
+import { debugLog } from '../config/constants.js';
+
+// Minimum time between two progress notifications for the same request
+export const PROGRESS_INTERVAL_MS = 250;
+
+// Build an onProgress callback that forwards progress to the MCP client as notifications/progress.
+// It receives streaming progress ({ characters }) and rate limit waits ({ waitMs, message }).
+// Returns undefined when the client did not ask for progress.
+export function createProgressReporter(server, request, intervalMs = PROGRESS_INTERVAL_MS) {
+  const progressToken = request.params?._meta?.progressToken;
+  if (progressToken === undefined || progressToken === null) {
+    return undefined;
+  }
+
+  let lastSent = 0;
+  let lastProgress = 0;
+  // Progress reported while waiting for rate limits; streamed characters count on from there
+  let waitProgress = 0;
+
+  const send = (progress, message) => {
+    lastSent = Date.now();
+    lastProgress = progress;
+
+    server.notification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        ...(message ? { message } : {})
+      }
+    }).catch(error => {
+      debugLog(`Could not send progress notification: ${error.message}`);
+    });
+  };
+
+  return ({ characters, waitMs, message }) => {
+    // Every wait update is sent: it comes at most once a second and tells the user why nothing happens
+    if (waitMs !== undefined) {
+      waitProgress = lastProgress + 1;
+      send(waitProgress, message);
+      return;
+    }
+
+    const progress = waitProgress + characters;
+    // Progress must increase with every notification, and clients don't need one per token
+    if (progress <= lastProgress || Date.now() - lastSent < intervalMs) {
+      return;
+    }
+    send(progress);
+  };
+}
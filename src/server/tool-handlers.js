@@ -1,20 +1,177 @@
 import path from 'path';
 import { debugLog } from '../config/constants.js';
-import { readFileContent, writeFileContent } from '../utils/file-utils.js';
+import { isKeyPoolConfigured } from '../config/api-keys.js';
+import { readFileContent, writeFileContent, resolveFilePath } from '../utils/file-utils.js';
+import { resolveAllowedPath, isPathNotAllowedError } from '../utils/allowed-roots.js';
 import { cleanCodeResponse } from '../utils/code-cleaner.js';
 import { formatEditResponse, formatCreateResponse } from '../formatting/response-formatter.js';
+import { parseEditBlocks, applyEditBlocks, formatFailedBlocks } from '../utils/search-replace.js';
+import { savePreview, getPreview, deletePreview, PREVIEW_TTL_MS } from './preview-store.js';
+import { recordWrite, findWorkspaceRoot, undo, formatUndoSummary } from '../history/journal.js';
+import { parseMultiFileResponse } from '../utils/multi-file.js';
+import { expandContextFiles, MAX_VISITED_ENTRIES } from '../utils/context-files.js';
+import { throwIfCancelled, isCancelledError } from '../utils/cancellation.js';
+
+const EDIT_MODES = ['full', 'search_replace'];
 
 // Dynamic router selection based on environment variables
 // Use enhanced router (with rate limiting) only if multiple keys are configured
 // Otherwise use original router for backward compatibility
-const useEnhancedRouter = !!(process.env.CEREBRAS_FREE_KEY && process.env.CEREBRAS_PAID_KEY);
+const useEnhancedRouter = isKeyPoolConfigured();
 
 const { routeAPICall } = useEnhancedRouter 
   ? await import('../api/router/enhanced-router.js')
   : await import('../api/router/router.js');
 
+// Apply SEARCH/REPLACE blocks (or unified diff hunks) from the model to the existing file content
+function applySearchReplaceResult(filePath, existingContent, result) {
+  const blocks = parseEditBlocks(result, filePath);
+  if (blocks.length === 0) {
+    throw new Error(`SearchReplaceFailed: The model response for ${filePath} contained no SEARCH/REPLACE blocks or diff hunks. No changes were written.`);
+  }
+  
+  const { content, failed } = applyEditBlocks(existingContent, blocks);
+  if (failed.length > 0) {
+    throw new Error(formatFailedBlocks(filePath, failed, blocks.length));
+  }
+  
+  return content;
+}
+
+// Check every path against the workspace sandbox up front, so a rejected context file
+// fails the call instead of being silently skipped by the provider
+async function assertPathsAllowed(filePaths) {
+  for (const filePath of filePaths) {
+    await resolveAllowedPath(resolveFilePath(filePath));
+  }
+}
+
+// Write a file and journal its before/after content so the write can be undone
+async function commitWrite(filePath, existingContent, newContent) {
+  await writeFileContent(filePath, newContent);
+  
+  // A journal failure shouldn't fail a write that already landed
+  try {
+    await recordWrite(filePath, existingContent, newContent);
+  } catch (error) {
+    await debugLog(`Warning: Could not record undo history for ${filePath}: ${error.message}`);
+  }
+}
+
+// Format the diff for a write based on operation type
+function formatWriteResponse(filePath, existingContent, newContent, editMode) {
+  const responseContent = [];
+  const fileName = path.basename(filePath);
+  const isEdit = existingContent !== null;
+
+  if (isEdit && existingContent) {
+    // Clean the existing content too for consistent comparison (edit blocks were applied to the raw content)
+    const cleanExistingContent = editMode === 'search_replace' ? existingContent : cleanCodeResponse(existingContent);
+    const editResponse = formatEditResponse(fileName, cleanExistingContent, newContent, filePath);
+    if (editResponse) {
+      responseContent.push(editResponse);
+    }
+  } else if (!isEdit) {
+    const createResponse = formatCreateResponse(fileName, newContent, filePath);
+    responseContent.push(createResponse);
+  }
+
+  return responseContent;
+}
+
+// Note for a response generated by a fallback model from the model chain
+function modelFallbackNote(fallback) {
+  return {
+    type: "text",
+    text: `ℹ️ Generated with ${fallback.used} because ${fallback.requested} was unavailable (rate limited or prompt too large).`
+  };
+}
+
+// Which files globs and directories in context_files expanded to (see context-files.js), and which
+// context files went into the prompt, were reduced to an outline or dropped (see context-budget.js)
+function contextFilesNote(selection, expansion) {
+  const lines = expansion.expansions.map(({ entry, files, binary }) => {
+    const matched = files.length === 0 ? 'no files' : `${files.length} file${files.length === 1 ? '' : 's'}`;
+    return `  ${entry} → ${matched}${binary ? ` (${binary} binary skipped)` : ''}`;
+  });
+  for (const { file, status, tokens, originalTokens, reason } of selection) {
+    switch (status) {
+      case 'included':
+        lines.push(`  ✓ ${file} (~${tokens} tokens)`);
+        break;
+      case 'truncated':
+        lines.push(`  ✂ ${file} reduced to imports and declarations (~${originalTokens} → ~${tokens} tokens)`);
+        break;
+      default:
+        lines.push(`  ✗ ${file} dropped: ${reason}${originalTokens ? ` (~${originalTokens} tokens)` : ''}`);
+    }
+  }
+  if (expansion.capped) {
+    lines.push(`  ⚠️ Only the first ${expansion.files.length} files were used (CEREBRAS_MCP_CONTEXT_MAX_FILES)`);
+  }
+  if (expansion.truncated) {
+    lines.push(`  ⚠️ The search stopped after ${MAX_VISITED_ENTRIES} directory entries: use a narrower directory or glob`);
+  }
+  return {
+    type: "text",
+    text: `📎 Context files:\n${lines.join('\n')}`
+  };
+}
+
+// Log the full response for debugging
+async function logResponse(response) {
+  const ideSource = process.env.CEREBRAS_MCP_IDE || 'unknown';
+  
+  await debugLog('=== MCP RESPONSE DEBUG ===');
+  await debugLog(`IDE Source: ${ideSource}`);
+  await debugLog('Response type: Standard text diff');
+  await debugLog(`Number of content items: ${response.content.length}`);
+  await debugLog(`Response structure: ${JSON.stringify(response, null, 2)}`);
+  await debugLog('=========================');
+}
+
+// Return a standard text error if something goes wrong
+async function errorResponse(error) {
+  // Get IDE identification from environment variable (in case of error)
+  const ideSource = process.env.CEREBRAS_MCP_IDE || 'unknown';
+  
+  await debugLog('=== MCP ERROR DEBUG ===');
+  await debugLog(`IDE Source: ${ideSource}`);
+  await debugLog(`Error occurred: ${error.message}`);
+  await debugLog('=======================');
+  
+  if (isCancelledError(error)) {
+    return {
+      content: [{
+        type: "text",
+        text: "Request cancelled - no changes were written."
+      }]
+    };
+  }
+  
+  // Sandbox rejections are reported as MCP tool errors so the client can tell them apart
+  if (isPathNotAllowedError(error)) {
+    return {
+      content: [{
+        type: "text",
+        text: `Access denied: ${error.message.replace(/^PathNotAllowed: /, '')}`
+      }],
+      isError: true
+    };
+  }
+  
+  return {
+    content: [{
+      type: "text",
+      text: `Error in cerebras-mcp server: ${error.message}`
+    }]
+  };
+}
+
 // Tool handler for the write tool
-export async function handleWriteTool(args) {
+// context.onProgress receives streaming progress and rate limit waits;
+// aborting context.signal cancels the model request and skips the write
+export async function handleWriteTool(args, context = {}) {
   try {
     // Get IDE identification from environment variable
     const ideSource = process.env.CEREBRAS_MCP_IDE || 'unknown';
@@ -28,7 +185,9 @@ export async function handleWriteTool(args) {
     const { 
       file_path,
       prompt, 
-      context_files = []
+      context_files = [],
+      edit_mode = 'full',
+      dry_run = false
     } = args;
     
     if (!prompt) {
@@ -39,6 +198,14 @@ export async function handleWriteTool(args) {
       throw new Error("file_path is required for write tool");
     }
     
+    if (!EDIT_MODES.includes(edit_mode)) {
+      throw new Error(`Invalid edit_mode "${edit_mode}". Expected one of: ${EDIT_MODES.join(', ')}`);
+    }
+    
+    // Globs and directories become the files they match
+    const contextExpansion = await expandContextFiles(context_files);
+    await assertPathsAllowed([file_path, ...contextExpansion.files]);
+    
     // Check if file exists to determine operation type
     const existingContent = await readFileContent(file_path);
     const isEdit = existingContent !== null;
@@ -47,61 +214,243 @@ export async function handleWriteTool(args) {
     await debugLog(`File path: ${file_path}`);
     await debugLog(`File exists: ${isEdit}`);
     await debugLog(`Existing content length: ${existingContent ? existingContent.length : 0}`);
+    await debugLog(`Dry run: ${dry_run}`);
     await debugLog('============================');
     
+    // Search/replace only makes sense for edits; new files are always generated in full
+    const editMode = isEdit && existingContent ? edit_mode : 'full';
+    
     // Route API call to appropriate provider to generate/modify code with context files
-    const result = await routeAPICall(prompt, "", file_path, null, context_files);
+    let modelFallback = null;
+    let contextSelection = null;
+    const result = await routeAPICall(prompt, "", file_path, null, contextExpansion.files, {
+      editMode,
+      onProgress: context.onProgress,
+      signal: context.signal,
+      onModelFallback: (fallback) => { modelFallback = fallback; },
+      onContextFiles: (selection) => { contextSelection = selection; }
+    });
     
-    // Clean the AI response to remove markdown formatting
-    const cleanResult = cleanCodeResponse(result);
-
-    // Write the cleaned result to the file
-    await writeFileContent(file_path, cleanResult);
+    // The client may cancel after the model finished; never write for a cancelled call
+    throwIfCancelled(context.signal);
+    
+    let cleanResult;
+    if (editMode === 'search_replace') {
+      // Apply the returned edit blocks to the existing content, all or nothing
+      cleanResult = applySearchReplaceResult(file_path, existingContent, result);
+    } else {
+      // Clean the AI response to remove markdown formatting
+      cleanResult = cleanCodeResponse(result);
+    }
 
-    // Format the response based on operation type
-    let responseContent = [];
-    const fileName = path.basename(file_path);
+    const responseContent = formatWriteResponse(file_path, existingContent, cleanResult, editMode);
 
-    if (isEdit && existingContent) {
-      // Clean the existing content too for consistent comparison
-      const cleanExistingContent = cleanCodeResponse(existingContent);
-      const editResponse = formatEditResponse(fileName, cleanExistingContent, cleanResult, file_path);
-      if (editResponse) {
-        responseContent.push(editResponse);
-      }
-    } else if (!isEdit) {
-      const createResponse = formatCreateResponse(fileName, cleanResult, file_path);
-      responseContent.push(createResponse);
+    if (dry_run) {
+      // Keep the generated content so a follow-up apply call can commit it without another model call
+      const token = savePreview({
+        filePath: file_path,
+        originalContent: existingContent,
+        newContent: cleanResult,
+        editMode
+      });
+      responseContent.push({
+        type: "text",
+        text: `🔍 Preview only - no changes were written to ${file_path}.\nTo write exactly this content, call the 'apply' tool with preview_token: ${token} (valid for ${PREVIEW_TTL_MS / 60000} minutes).`
+      });
+    } else {
+      // Write the cleaned result to the file
+      await commitWrite(file_path, existingContent, cleanResult);
+    }
+    
+    if (modelFallback) {
+      responseContent.push(modelFallbackNote(modelFallback));
+    }
+    
+    if (contextSelection?.length > 0 || contextExpansion.expansions.length > 0) {
+      responseContent.push(contextFilesNote(contextSelection || [], contextExpansion));
     }
     
     const response = {
       content: responseContent
     };
     
-    // Log the full response for debugging
-    await debugLog('=== MCP RESPONSE DEBUG ===');
-    await debugLog(`IDE Source: ${ideSource}`);
-    await debugLog('Response type: Standard text diff');
-    await debugLog(`Number of content items: ${responseContent.length}`);
-    await debugLog(`Response structure: ${JSON.stringify(response, null, 2)}`);
-    await debugLog('=========================');
+    await logResponse(response);
     
     return response;
   } catch (error) {
-    // Get IDE identification from environment variable (in case of error)
+    return await errorResponse(error);
+  }
+}
+
+// Tool handler for the write_many tool - generates several related files with one model request
+export async function handleWriteManyTool(args, context = {}) {
+  try {
     const ideSource = process.env.CEREBRAS_MCP_IDE || 'unknown';
     
-    await debugLog('=== MCP ERROR DEBUG ===');
+    await debugLog('=== MCP REQUEST DEBUG ===');
     await debugLog(`IDE Source: ${ideSource}`);
-    await debugLog(`Error occurred: ${error.message}`);
-    await debugLog('=======================');
+    await debugLog(`Tool called: write_many`);
+    await debugLog(`Arguments: ${JSON.stringify(args, null, 2)}`);
+    await debugLog('========================');
     
-    // Return a standard text error if something goes wrong
-    return {
+    const {
+      files,
+      prompt,
+      context_files = []
+    } = args;
+    
+    if (!prompt) {
+      throw new Error("Prompt is required for write_many tool");
+    }
+    
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error("files is required for write_many tool and must list at least one file");
+    }
+    
+    const filePaths = files.map((file, index) => {
+      if (!file || !file.file_path) {
+        throw new Error(`files[${index}].file_path is required for write_many tool`);
+      }
+      return file.file_path;
+    });
+    
+    const duplicates = filePaths.filter((filePath, index) => filePaths.indexOf(filePath) !== index);
+    if (duplicates.length > 0) {
+      throw new Error(`Duplicate file_path in write_many: ${[...new Set(duplicates)].join(', ')}`);
+    }
+    
+    const contextExpansion = await expandContextFiles(context_files);
+    await assertPathsAllowed([...filePaths, ...contextExpansion.files]);
+    
+    // Read every target up front for the prompt and the diffs
+    const targets = [];
+    for (const file of files) {
+      targets.push({
+        filePath: file.file_path,
+        prompt: file.prompt || '',
+        existingContent: await readFileContent(file.file_path)
+      });
+    }
+    
+    // Targets are already in the prompt, so don't send them again as context
+    const targetPaths = new Set(filePaths.map(filePath => path.resolve(filePath)));
+    const contextFiles = contextExpansion.files.filter(contextFile => !targetPaths.has(path.resolve(contextFile)));
+    
+    let modelFallback = null;
+    let contextSelection = null;
+    const result = await routeAPICall(prompt, "", "", null, contextFiles, {
+      outputFiles: targets,
+      onProgress: context.onProgress,
+      signal: context.signal,
+      onModelFallback: (fallback) => { modelFallback = fallback; },
+      onContextFiles: (selection) => { contextSelection = selection; }
+    });
+    
+    // Parse everything before writing anything
+    const generated = parseMultiFileResponse(result, filePaths);
+    throwIfCancelled(context.signal);
+    
+    const written = [];
+    const responseContent = [];
+    for (const target of targets) {
+      const cleanResult = cleanCodeResponse(generated.get(target.filePath));
+      try {
+        await commitWrite(target.filePath, target.existingContent, cleanResult);
+      } catch (error) {
+        const writtenNote = written.length > 0
+          ? ` Already written: ${written.join(', ')} (use the undo tool with steps: ${written.length} to revert).`
+          : '';
+        throw new Error(`${error.message}.${writtenNote}`);
+      }
+      written.push(target.filePath);
+      responseContent.push(...formatWriteResponse(target.filePath, target.existingContent, cleanResult, 'full'));
+    }
+    
+    if (modelFallback) {
+      responseContent.push(modelFallbackNote(modelFallback));
+    }
+    
+    if (contextSelection?.length > 0 || contextExpansion.expansions.length > 0) {
+      responseContent.push(contextFilesNote(contextSelection || [], contextExpansion));
+    }
+    
+    const response = {
+      content: responseContent
+    };
+    
+    await logResponse(response);
+    
+    return response;
+  } catch (error) {
+    return await errorResponse(error);
+  }
+}
+
+// Tool handler for the apply tool - commits content previously generated by a dry run
+export async function handleApplyTool(args) {
+  try {
+    await debugLog('=== MCP REQUEST DEBUG ===');
+    await debugLog(`Tool called: apply`);
+    await debugLog(`Arguments: ${JSON.stringify(args, null, 2)}`);
+    await debugLog('========================');
+    
+    const { preview_token } = args;
+    
+    if (!preview_token) {
+      throw new Error("preview_token is required for apply tool");
+    }
+    
+    const preview = getPreview(preview_token);
+    if (!preview) {
+      throw new Error(`Unknown or expired preview_token: ${preview_token}. Run 'write' with dry_run again.`);
+    }
+    
+    // Refuse to apply if the file changed after the preview was generated
+    const currentContent = await readFileContent(preview.filePath);
+    if (currentContent !== preview.originalContent) {
+      deletePreview(preview_token);
+      throw new Error(`${preview.filePath} changed since the preview was generated. Run 'write' with dry_run again.`);
+    }
+    
+    await commitWrite(preview.filePath, preview.originalContent, preview.newContent);
+    deletePreview(preview_token);
+    
+    const response = {
+      content: formatWriteResponse(preview.filePath, preview.originalContent, preview.newContent, preview.editMode)
+    };
+    
+    await logResponse(response);
+    
+    return response;
+  } catch (error) {
+    return await errorResponse(error);
+  }
+}
+
+// Tool handler for the undo tool - reverts the most recent writes from the history journal
+export async function handleUndoTool(args = {}) {
+  try {
+    await debugLog('=== MCP REQUEST DEBUG ===');
+    await debugLog(`Tool called: undo`);
+    await debugLog(`Arguments: ${JSON.stringify(args, null, 2)}`);
+    await debugLog('========================');
+    
+    const { steps = 1, file_path = null, force = false } = args;
+    
+    const workspaceRoot = await findWorkspaceRoot(file_path);
+    const undone = await undo({ workspaceRoot, steps, filePath: file_path, force });
+    
+    const response = {
       content: [{
         type: "text",
-        text: `Error in cerebras-mcp server: ${error.message}`
+        text: formatUndoSummary(undone)
       }]
     };
+    
+    await logResponse(response);
+    
+    return response;
+  } catch (error) {
+    return await errorResponse(error);
   }
 }
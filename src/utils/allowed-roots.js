@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import { realpathSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Workspace sandbox: file reads and writes must resolve inside one of these roots.
+// null means no sandbox has been configured (library use and tests); the server always configures one.
+let allowedRoots = null;
+
+function realpathOrResolve(root) {
+  const resolved = path.resolve(root);
+  try {
+    return realpathSync(resolved);
+  } catch (error) {
+    return resolved;
+  }
+}
+
+// Set the allowed roots, resolving symlinks so later comparisons use real paths
+export function setAllowedRoots(roots) {
+  allowedRoots = [...new Set(roots.map(realpathOrResolve))];
+  return allowedRoots;
+}
+
+export function getAllowedRoots() {
+  return allowedRoots;
+}
+
+export function clearAllowedRoots() {
+  allowedRoots = null;
+}
+
+// Parse a CEREBRAS_MCP_ALLOWED_ROOTS style list (separated by the platform path delimiter)
+export function parseRootsList(value) {
+  if (!value) return [];
+  return value.split(path.delimiter).map(root => root.trim()).filter(Boolean);
+}
+
+// Convert MCP client roots (file:// URIs) to filesystem paths
+export function rootsFromClient(roots = []) {
+  const paths = [];
+  for (const root of roots) {
+    try {
+      if (root.uri && root.uri.startsWith('file://')) {
+        paths.push(fileURLToPath(root.uri));
+      }
+    } catch (error) {
+      console.error(`Warning: Ignoring invalid client root ${root.uri}: ${error.message}`);
+    }
+  }
+  return paths;
+}
+
+// Resolve symlinks for a path that may not exist yet by resolving its nearest existing ancestor
+async function resolveRealPath(absolutePath) {
+  const missing = [];
+  let current = path.resolve(absolutePath);
+
+  while (true) {
+    try {
+      const real = await fs.realpath(current);
+      return path.join(real, ...missing.reverse());
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return path.resolve(absolutePath);
+      }
+      missing.push(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function isInsideRoot(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative));
+}
+
+// The allowed root a real path lies in (the innermost one if roots are nested), or null when there
+// is none or no sandbox is configured
+export function findAllowedRoot(realPath) {
+  if (allowedRoots === null) {
+    return null;
+  }
+  const containing = allowedRoots.filter(root => isInsideRoot(realPath, root));
+  return containing.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Resolve an absolute path (following `..` and symlinks) and make sure it stays inside the allowed roots.
+// Returns the real path that should be used for the actual file operation.
+export async function resolveAllowedPath(absolutePath) {
+  const realPath = await resolveRealPath(absolutePath);
+
+  if (allowedRoots === null) {
+    return realPath;
+  }
+
+  if (!allowedRoots.some(root => isInsideRoot(realPath, root))) {
+    const shown = realPath !== path.resolve(absolutePath) ? `${absolutePath} (resolves to ${realPath})` : absolutePath;
+    throw new Error(`PathNotAllowed: ${shown} is outside the allowed workspace roots: ${allowedRoots.join(', ')}. Add its directory to CEREBRAS_MCP_ALLOWED_ROOTS to allow it.`);
+  }
+
+  return realPath;
+}
+
+export function isPathNotAllowedError(error) {
+  return !!error && typeof error.message === 'string' && error.message.startsWith('PathNotAllowed');
+}
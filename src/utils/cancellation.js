@@ -0,0 +1,38 @@
+// Helpers for requests the MCP client cancelled (notifications/cancelled aborts the handler's AbortSignal)
+
+export function createCancelledError() {
+  return new Error('RequestCancelled: The request was cancelled by the client');
+}
+
+export function isCancelledError(error) {
+  return !!error && typeof error.message === 'string' && error.message.startsWith('RequestCancelled');
+}
+
+// Throw if the signal has already been aborted, so nothing else happens for a cancelled request
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
+// Wait for ms, rejecting early with RequestCancelled if the signal aborts
+export function sleepUnlessCancelled(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
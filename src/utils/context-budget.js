@@ -0,0 +1,150 @@
+import path from 'path';
+import { readFileContent } from './file-utils.js';
+import { estimateTokens } from './token-estimator.js';
+import { config } from '../config/constants.js';
+
+// Top-level lines worth keeping in an outline: imports, exports and declarations in the languages we see most
+const DECLARATION = /^(import|export|from|package|module|namespace|using|use|require|include|extern|mod|(async\s+)?function|(async\s+)?def|class|interface|type|enum|struct|trait|impl|fn|func|pub|const|let|var|static|final|abstract|sealed|public|private|protected|internal|data|object|typedef|#include|#define|@)\b|^@|^[A-Za-z_$][\w$.]*\s*=[^=]/;
+// Lines opening a scope whose direct members are declarations too
+const MEMBER_SCOPE = /\b(class|interface|trait|impl|struct|enum|object)\b/;
+// A line that only closes a block
+const CLOSER = /^\s*[}\])]+[;,)]*\s*$/;
+// Import/export lists that continue on the following lines
+const OPEN_LIST = /^(import\b[^(]*\{[^}]*|export\s*(type\s*)?\{[^}]*|from\s+\S+\s+import\s*\([^)]*)$/;
+
+const indentOf = (line) => line.match(/^\s*/)[0];
+const isComment = (line) => /^\s*(\/\/|\/\*|\*|#(?!include|define)|--)/.test(line);
+
+// Reduce source code to its imports, exported signatures and top-level declarations (plus the members
+// of classes and similar scopes). Omitted lines are replaced by "..."; comments and blank lines are dropped.
+// Returns '' when nothing is worth keeping.
+export function outlineCode(content) {
+  const lines = content.split('\n');
+  const kept = [];
+  let keptLines = 0;
+  let omitted = null;
+  let memberScope = false;
+  let memberIndent = null;
+  let inList = false;
+
+  // A run of omitted lines becomes one "..." at its indent; stepping out to a shallower indent starts a new run
+  const omit = (indent) => {
+    if (omitted !== null && indent.length < omitted.length) {
+      kept.push(`${omitted}...`);
+      omitted = null;
+    }
+    if (omitted === null) {
+      omitted = indent;
+    }
+  };
+  const keep = (line) => {
+    if (omitted !== null) {
+      kept.push(`${omitted}...`);
+      omitted = null;
+    }
+    kept.push(line);
+    keptLines++;
+  };
+
+  for (const line of lines) {
+    if (line.trim() === '' || (indentOf(line) === '' && isComment(line))) continue;
+
+    if (inList) {
+      keep(line);
+      inList = !/[})]/.test(line);
+      continue;
+    }
+
+    const indent = indentOf(line);
+    if (indent === '') {
+      if (CLOSER.test(line)) {
+        keep(line);
+        memberScope = false;
+      } else if (DECLARATION.test(line)) {
+        keep(line);
+        memberScope = MEMBER_SCOPE.test(line);
+        memberIndent = null;
+        inList = OPEN_LIST.test(line);
+      } else {
+        memberScope = false;
+        omit('');
+      }
+      continue;
+    }
+
+    // Direct members of a class-like scope are kept, their bodies are not
+    if (memberScope && (memberIndent === null || indent === memberIndent) && !isComment(line)) {
+      memberIndent = indent;
+      keep(line);
+    } else {
+      omit(indent);
+    }
+  }
+
+  if (keptLines === 0) {
+    return '';
+  }
+  if (omitted !== null) {
+    kept.push(`${omitted}...`);
+  }
+  return kept.join('\n');
+}
+
+// Fit loaded context files into budgetTokens, in the order given: a file that fits is included,
+// one that doesn't is reduced to its outline if that fits, otherwise it is dropped.
+// files: [{ file, content }] with content null for missing files and error set for unreadable ones.
+// Returns [{ file, content, status: 'included' | 'truncated' | 'dropped', tokens, originalTokens, reason }].
+export function fitContextFiles(files, budgetTokens = Infinity) {
+  let remaining = budgetTokens > 0 ? budgetTokens : Infinity;
+
+  return files.map(({ file, content, error }) => {
+    if (error) {
+      return { file, content: null, status: 'dropped', tokens: 0, originalTokens: 0, reason: `could not be read: ${error.message}` };
+    }
+    if (content === null || content === undefined) {
+      return { file, content: null, status: 'dropped', tokens: 0, originalTokens: 0, reason: 'not found' };
+    }
+
+    const originalTokens = estimateTokens(content);
+    if (originalTokens <= remaining) {
+      remaining -= originalTokens;
+      return { file, content, status: 'included', tokens: originalTokens, originalTokens };
+    }
+
+    const outline = outlineCode(content);
+    const outlineTokens = estimateTokens(outline);
+    if (outline && outlineTokens < originalTokens && outlineTokens <= remaining) {
+      remaining -= outlineTokens;
+      return { file, content: outline, status: 'truncated', tokens: outlineTokens, originalTokens };
+    }
+
+    return { file, content: null, status: 'dropped', tokens: 0, originalTokens, reason: 'does not fit the context budget' };
+  });
+}
+
+// Read the context files of a request and fit them into the budget (see fitContextFiles).
+// The output file is never repeated as a context file.
+export async function loadContextFiles(contextFiles = [], outputFile = "", budgetTokens = Infinity) {
+  const loaded = [];
+  for (const file of contextFiles || []) {
+    if (path.resolve(file) === path.resolve(outputFile)) continue;
+    try {
+      loaded.push({ file, content: await readFileContent(file) });
+    } catch (error) {
+      console.error(`Warning: Could not read context file ${file}: ${error.message}`);
+      loaded.push({ file, content: null, error });
+    }
+  }
+  return fitContextFiles(loaded, budgetTokens);
+}
+
+// Fit the context files of a request into the context budget once, for the token estimate and every
+// provider tried. Returns options with contextSelection set; options.onContextFiles receives the selection.
+export async function withContextSelection(contextFiles, outputFile, options = {}) {
+  if (options.contextSelection || !contextFiles || contextFiles.length === 0) {
+    return options;
+  }
+  const contextSelection = await loadContextFiles(contextFiles, outputFile, config.contextBudgetTokens);
+  options.onContextFiles?.(contextSelection);
+  return { ...options, contextSelection };
+}
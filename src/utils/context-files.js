@@ -0,0 +1,262 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { resolveFilePath } from './file-utils.js';
+import { resolveAllowedPath } from './allowed-roots.js';
+import { config } from '../config/constants.js';
+
+// Directories never searched for context files (an entry may still name a path inside them)
+const SKIPPED_DIRS = new Set(['.git', '.cerebras-mcp', 'node_modules']);
+// Most directory entries one request may look at: a glob matching few files in a huge tree
+// stops here instead of walking all of it
+export const MAX_VISITED_ENTRIES = 10000;
+// Bytes sniffed to tell binary files apart: like git, a NUL byte among them means binary
+const BINARY_SNIFF_BYTES = 8000;
+
+export function isGlobPattern(entry) {
+  return /[*?[{]/.test(entry);
+}
+
+const escapeRegExp = (text) => text.replace(/[.+^$()|\\\]{}]/g, '\\$&');
+
+// RegExp source for a glob over '/'-separated paths: ** (any number of directories), *, ?, [...] and {a,b}
+function globSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += body.startsWith('!') ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = end;
+    } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i);
+      source += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+export function globToRegExp(glob) {
+  return new RegExp(`^${globSource(glob)}$`);
+}
+
+const toPosix = (relative) => relative.split(path.sep).join('/');
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Rules of the .gitignore in dir, if any: [{ dir, regex, negate, dirOnly }]
+async function readGitignore(dir) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(dir, '.gitignore'), 'utf-8');
+  } catch (error) {
+    return [];
+  }
+
+  const rules = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.trimEnd();
+    if (line === '' || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    if (line.startsWith('\\')) line = line.slice(1);
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    // A slash at the start or in the middle anchors the pattern to the directory of the .gitignore
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+    if (line === '') continue;
+
+    const source = globSource(line);
+    rules.push({ dir, negate, dirOnly, regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`) });
+  }
+  return rules;
+}
+
+// The last matching rule decides, so later (deeper) .gitignore files and negations win
+function isIgnored(absolutePath, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.regex.test(toPosix(path.relative(rule.dir, absolutePath)))) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+// .gitignore rules from the enclosing git repository that apply below dir (excluding dir's own)
+async function inheritedGitignoreRules(dir) {
+  const ancestors = [];
+  let current = dir;
+  while (!await pathExists(path.join(current, '.git'))) {
+    const parent = path.dirname(current);
+    if (parent === current) {
+      // Not inside a git repository: only .gitignore files below dir apply
+      return [];
+    }
+    current = parent;
+    ancestors.unshift(current);
+  }
+
+  const rules = [];
+  for (const ancestor of ancestors) {
+    rules.push(...await readGitignore(ancestor));
+  }
+  return rules;
+}
+
+// Visit the files below dir in name order, skipping ignored files and directories.
+// Stops early when visit returns false or after walk.maxEntries directory entries (setting
+// walk.truncated); symlinks are not followed.
+async function walkFiles(dir, rules, visit, walk) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    console.error(`Warning: Could not read context directory ${dir}: ${error.message}`);
+    return true;
+  }
+  const dirRules = [...rules, ...await readGitignore(dir)];
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    if (++walk.visited > walk.maxEntries) {
+      walk.truncated = true;
+      return false;
+    }
+    const absolutePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (SKIPPED_DIRS.has(entry.name) || isIgnored(absolutePath, true, dirRules)) continue;
+      if (!await walkFiles(absolutePath, dirRules, visit, walk)) return false;
+    } else if (entry.isFile() && !isIgnored(absolutePath, false, dirRules)) {
+      if (!await visit(absolutePath)) return false;
+    }
+  }
+  return true;
+}
+
+async function isBinaryFile(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, BINARY_SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } catch (error) {
+    // Let reading the file report the problem
+    return false;
+  } finally {
+    await handle?.close();
+  }
+}
+
+// Split a glob into the directory to search and the pattern for the paths below it
+function splitGlob(entry) {
+  const segments = entry.split('/');
+  const first = segments.findIndex(isGlobPattern);
+  const base = segments.slice(0, first).join('/');
+  return { base: base || (first > 0 ? '/' : '.'), pattern: segments.slice(first).join('/') };
+}
+
+// The directory an entry expands from and the pattern files below it must match (null: every file),
+// or null for an entry naming a single file (which may not exist)
+async function expansionRoot(entry) {
+  let literal = null;
+  try {
+    const root = await resolveAllowedPath(resolveFilePath(entry));
+    literal = { root, stats: await fs.stat(root) };
+  } catch (error) {
+    // Missing and disallowed paths are reported when the file is checked and read
+  }
+
+  if (literal?.stats.isDirectory()) {
+    return { base: entry, root: literal.root, regex: null };
+  }
+  // An existing path is taken literally even if it looks like a glob (app/[slug]/page.tsx)
+  if (literal || !isGlobPattern(entry)) {
+    return null;
+  }
+
+  const { base, pattern } = splitGlob(entry);
+  // A pattern outside the workspace sandbox fails the call like any other path
+  const root = await resolveAllowedPath(resolveFilePath(base));
+  return { base, root, regex: globToRegExp(pattern) };
+}
+
+// Expand the context_files of a request: globs (src/api/**/*.js) and directories become the files
+// below them, skipping .gitignored and binary files, with at most maxFiles files in total (0 = no limit).
+// Returns { files, expansions: [{ entry, files, binary }], capped, truncated } where expansions lists
+// each glob or directory with the files it contributed and the number of binary files skipped, and
+// truncated says the search stopped after maxEntries directory entries.
+export async function expandContextFiles(entries = [], maxFiles = config.contextMaxFiles, maxEntries = MAX_VISITED_ENTRIES) {
+  const limit = maxFiles > 0 ? maxFiles : Infinity;
+  const files = [];
+  const seen = new Set();
+  const expansions = [];
+  let capped = false;
+  const walk = { visited: 0, maxEntries, truncated: false };
+
+  // Returns false once the cap is reached
+  const add = (file, expansion = null) => {
+    const key = path.resolve(file);
+    if (seen.has(key)) return true;
+    if (files.length >= limit) {
+      capped = true;
+      return false;
+    }
+    seen.add(key);
+    files.push(file);
+    expansion?.files.push(file);
+    return true;
+  };
+
+  for (const entry of entries || []) {
+    const expansionFrom = await expansionRoot(entry);
+    if (!expansionFrom) {
+      if (!add(entry)) break;
+      continue;
+    }
+
+    const { base, root, regex } = expansionFrom;
+    const expansion = { entry, files: [], binary: 0 };
+    expansions.push(expansion);
+    const rules = await inheritedGitignoreRules(root);
+
+    const complete = await walkFiles(root, rules, async (absolutePath) => {
+      const relative = toPosix(path.relative(root, absolutePath));
+      if (regex && !regex.test(relative)) return true;
+      if (await isBinaryFile(absolutePath)) {
+        expansion.binary++;
+        return true;
+      }
+      return add(path.join(base, relative), expansion);
+    }, walk);
+    if (!complete) break;
+  }
+
+  return { files, expansions, capped, truncated: walk.truncated };
+}
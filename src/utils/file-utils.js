@@ -1,27 +1,36 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { resolveAllowedPath, isPathNotAllowedError } from './allowed-roots.js';
+
+// Resolve a tool-supplied path to an absolute path
+export function resolveFilePath(filePath) {
+  // Handle different path scenarios
+  let absolutePath = filePath;
+  
+  // If it's already absolute, use it as-is
+  if (path.isAbsolute(filePath)) {
+    absolutePath = filePath;
+    console.error(`  Absolute path detected: "${absolutePath}"`);
+  } 
+  // If it starts with ~, expand to home directory
+  else if (filePath.startsWith('~')) {
+    absolutePath = filePath.replace('~', process.env.HOME);
+    console.error(`  Home path expanded: "${filePath}" → "${absolutePath}"`);
+  }
+  // If it's relative, convert to absolute based on current working directory
+  else {
+    absolutePath = path.join(process.cwd(), filePath);
+    console.error(`  Relative path converted: "${filePath}" → "${absolutePath}"`);
+  }
+  
+  return absolutePath;
+}
 
 // Read file content safely
 export async function readFileContent(filePath) {
   try {
-    // Handle different path scenarios
-    let absolutePath = filePath;
-    
-    // If it's already absolute, use it as-is
-    if (path.isAbsolute(filePath)) {
-      absolutePath = filePath;
-      console.error(`  Absolute path detected: "${absolutePath}"`);
-    } 
-    // If it starts with ~, expand to home directory
-    else if (filePath.startsWith('~')) {
-      absolutePath = filePath.replace('~', process.env.HOME);
-      console.error(`  Home path expanded: "${filePath}" → "${absolutePath}"`);
-    }
-    // If it's relative, convert to absolute based on current working directory
-    else {
-      absolutePath = path.join(process.cwd(), filePath);
-      console.error(`  Relative path converted: "${filePath}" → "${absolutePath}"`);
-    }
+    // Reject paths outside the workspace sandbox (including via .. segments and symlinks)
+    const absolutePath = await resolveAllowedPath(resolveFilePath(filePath));
     
     const content = await fs.readFile(absolutePath, 'utf-8');
     return content;
@@ -29,6 +38,9 @@ export async function readFileContent(filePath) {
     if (error.code === 'ENOENT') {
       return null; // File doesn't exist
     }
+    if (isPathNotAllowedError(error)) {
+      throw error;
+    }
     throw new Error(`Failed to read file ${filePath}: ${error.message}`);
   }
 }
@@ -36,24 +48,8 @@ export async function readFileContent(filePath) {
 // Write file content safely
 export async function writeFileContent(filePath, content) {
   try {
-    // Handle different path scenarios
-    let absolutePath = filePath;
-    
-    // If it's already absolute, use it as-is
-    if (path.isAbsolute(filePath)) {
-      absolutePath = filePath;
-      console.error(`  Absolute path detected: "${absolutePath}"`);
-    } 
-    // If it starts with ~, expand to home directory
-    else if (filePath.startsWith('~')) {
-      absolutePath = filePath.replace('~', process.env.HOME);
-      console.error(`  Home path expanded: "${filePath}" → "${absolutePath}"`);
-    }
-    // If it's relative, convert to absolute based on current working directory
-    else {
-      absolutePath = path.join(process.cwd(), filePath);
-      console.error(`  Relative path converted: "${filePath}" → "${absolutePath}"`);
-    }
+    // Reject paths outside the workspace sandbox before creating any directories
+    const absolutePath = await resolveAllowedPath(resolveFilePath(filePath));
     
     // Ensure directory exists
     const dir = path.dirname(absolutePath);
@@ -65,6 +61,9 @@ export async function writeFileContent(filePath, content) {
     console.error(`Original path: ${filePath}`);
     return true;
   } catch (error) {
+    if (isPathNotAllowedError(error)) {
+      throw error;
+    }
     throw new Error(`Failed to write file ${filePath}: ${error.message}`);
   }
 }
@@ -0,0 +1,107 @@
+import path from 'path';
+import { getLanguageFromFile } from './file-utils.js';
+
+// Markers the model wraps each generated file in
+const FILE_START = /^\s*<<<FILE:\s*(.+?)\s*>>>\s*$/;
+const FILE_END = /^\s*<<<END FILE>>>\s*$/;
+
+// System prompt used when several files are generated by one request
+export function getMultiFileSystemPrompt() {
+  return `You are an expert programmer generating several related files at once. For EVERY requested file, output its complete content wrapped in exactly these markers, using the file path exactly as given:
+
+<<<FILE: /path/to/file>>>
+complete file content
+<<<END FILE>>>
+
+Output every requested file once, in the order requested. Generate ONLY clean, functional code with no explanations and no markdown code blocks. Keep the files consistent with each other (matching imports, exports and names). When a file already exists, preserve its structure and style while implementing the requested changes.`;
+}
+
+// Describe every target file (with its existing content, if any) for the model
+export function buildMultiFilePrompt(prompt, outputFiles) {
+  const sections = [`Generate the following ${outputFiles.length} files for: ${prompt}`, ''];
+
+  outputFiles.forEach((target, index) => {
+    const language = getLanguageFromFile(target.filePath);
+    sections.push(`File ${index + 1}: ${target.filePath} (${language})`);
+    if (target.prompt) {
+      sections.push(`Instructions: ${target.prompt}`);
+    }
+    if (target.existingContent) {
+      sections.push(`Existing file content:\n\`\`\`${language}\n${target.existingContent}\n\`\`\``);
+    } else {
+      sections.push('This is a new file.');
+    }
+    sections.push('');
+  });
+
+  return sections.join('\n').trim();
+}
+
+// Match a path echoed by the model to one of the requested files
+function matchTarget(reportedPath, filePaths) {
+  if (filePaths.includes(reportedPath)) {
+    return reportedPath;
+  }
+
+  const normalized = path.normalize(reportedPath);
+  const exact = filePaths.find(filePath => path.normalize(filePath) === normalized);
+  if (exact) {
+    return exact;
+  }
+
+  // Models sometimes shorten paths; accept a unique suffix match
+  const suffixMatches = filePaths.filter(filePath => {
+    const candidate = path.normalize(filePath);
+    return candidate.endsWith(path.sep + normalized) || normalized.endsWith(path.sep + candidate);
+  });
+  return suffixMatches.length === 1 ? suffixMatches[0] : null;
+}
+
+// Split a multi-file model response into per-file content.
+// Throws unless every requested file is present exactly once.
+export function parseMultiFileResponse(response, filePaths) {
+  const files = new Map();
+  const unexpected = [];
+  const lines = (response || '').replace(/\r\n/g, '\n').split('\n');
+  let current = null;
+  let buffer = [];
+
+  for (const line of lines) {
+    if (current === null) {
+      const start = line.match(FILE_START);
+      if (start) {
+        current = start[1];
+        buffer = [];
+      }
+    } else if (FILE_END.test(line)) {
+      const target = matchTarget(current, filePaths);
+      if (!target) {
+        unexpected.push(current);
+      } else if (files.has(target)) {
+        throw new Error(`MultiFileParseFailed: The model returned ${target} more than once. No files were written.`);
+      } else {
+        files.set(target, buffer.join('\n'));
+      }
+      current = null;
+    } else {
+      buffer.push(line);
+    }
+  }
+
+  const missing = filePaths.filter(filePath => !files.has(filePath));
+  if (missing.length > 0 || current !== null) {
+    const problems = [];
+    if (missing.length > 0) {
+      problems.push(`missing or incomplete output for: ${missing.join(', ')}`);
+    }
+    if (unexpected.length > 0) {
+      problems.push(`unexpected files: ${unexpected.join(', ')}`);
+    }
+    if (current !== null && missing.length === 0) {
+      problems.push(`unterminated file block for ${current}`);
+    }
+    throw new Error(`MultiFileParseFailed: Could not parse the model response - ${problems.join('; ')}. No files were written.`);
+  }
+
+  return files;
+}
@@ -0,0 +1,74 @@
+import { readFileContent, getLanguageFromFile } from './file-utils.js';
+import { loadContextFiles } from './context-budget.js';
+import { getSearchReplaceSystemPrompt } from './search-replace.js';
+import { getMultiFileSystemPrompt, buildMultiFilePrompt } from './multi-file.js';
+
+// System prompt used when a whole file is generated
+export function getCodeSystemPrompt(language) {
+  return `You are an expert programmer. Generate ONLY clean, functional code in ${language} with no explanations, comments about the code generation process, or markdown formatting. Include necessary imports and ensure the code is ready to run. When modifying existing files, preserve the structure and style while implementing the requested changes. Output raw code only. Never use markdown code blocks.`;
+}
+
+// Build the chat messages for a request from structured inputs:
+// { prompt, language, context, contextFiles: [{ file, content, status }], existingContent, editMode, outputFiles }
+// Context files with status 'truncated' hold an outline and are labelled as such (see context-budget.js).
+// Returns [system, user]. The user message holds, in order: the existing file, the context,
+// the context files and the instruction. outputFiles (multi-file mode) carry their own existing content.
+export function buildMessages({ prompt, language, context = '', contextFiles = [], existingContent = null, editMode = 'full', outputFiles = [] }) {
+  const multiFile = outputFiles.length > 0;
+
+  let systemPrompt;
+  let instruction;
+  if (multiFile) {
+    systemPrompt = getMultiFileSystemPrompt();
+    instruction = buildMultiFilePrompt(prompt, outputFiles);
+  } else if (editMode === 'search_replace') {
+    systemPrompt = getSearchReplaceSystemPrompt(language);
+    instruction = `Edit the existing ${language} file for: ${prompt}`;
+  } else {
+    systemPrompt = getCodeSystemPrompt(language);
+    instruction = `Generate ${language} code for: ${prompt}`;
+  }
+
+  const sections = [];
+  if (existingContent && !multiFile) {
+    sections.push(`Existing file content:\n\`\`\`${language}\n${existingContent}\n\`\`\``);
+  }
+  if (context) {
+    sections.push(`Context: ${context}`);
+  }
+  const includedFiles = contextFiles.filter(({ content }) => content);
+  if (includedFiles.length > 0) {
+    const files = includedFiles.map(({ file, content, status }) => {
+      const label = status === 'truncated' ? `${file} (outline only: bodies omitted to fit the context budget)` : file;
+      return `\nFile: ${label}\n\`\`\`${getLanguageFromFile(file)}\n${content}\n\`\`\``;
+    });
+    sections.push(`Context Files:\n${files.join('\n')}`);
+  }
+  sections.push(instruction);
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: sections.join('\n\n') }
+  ];
+}
+
+// Read the files a request refers to and build its messages. options.contextSelection holds context
+// files already loaded and fitted into the context budget; without it every context file is loaded in full.
+export async function buildRequestMessages(prompt, context = "", outputFile = "", language = null, contextFiles = [], options = {}) {
+  // In multi-file mode one request generates every file in options.outputFiles
+  const outputFiles = Array.isArray(options.outputFiles) ? options.outputFiles : [];
+  const multiFile = outputFiles.length > 0;
+  const selectedContextFiles = options.contextSelection ?? await loadContextFiles(contextFiles, outputFile);
+
+  return buildMessages({
+    prompt,
+    // Determine language from file extension or explicit parameter
+    language: getLanguageFromFile(outputFile, language),
+    context,
+    contextFiles: selectedContextFiles.filter(({ status }) => status !== 'dropped'),
+    // Multi-file prompts already carry the existing content of every target
+    existingContent: multiFile ? null : await readFileContent(outputFile),
+    editMode: options.editMode,
+    outputFiles
+  });
+}
@@ -0,0 +1,270 @@
+import { parsePatch } from 'diff';
+
+// Markers for SEARCH/REPLACE edit blocks (git-conflict style, 5-9 chars wide)
+const SEARCH_MARKER = /^<{5,9} ?SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} ?REPLACE\s*$/;
+
+// System prompt used when the model should return edit blocks instead of the whole file
+export function getSearchReplaceSystemPrompt(language) {
+  return `You are an expert programmer editing an existing ${language} file. Do NOT output the whole file. Output ONLY the changes as one or more SEARCH/REPLACE blocks in exactly this format:
+
+<<<<<<< SEARCH
+exact lines copied from the existing file
+=======
+replacement lines
+>>>>>>> REPLACE
+
+Rules: the SEARCH section must match the existing file character for character, including indentation and comments. Include just enough surrounding lines to make each SEARCH section unique. Use several small blocks rather than one large block. To add code at the end of the file, use an empty SEARCH section. No explanations and no markdown code blocks.`;
+}
+
+// Parse SEARCH/REPLACE blocks from a model response
+export function parseSearchReplaceBlocks(response) {
+  if (!response) return [];
+
+  const lines = response.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let state = 'outside';
+  let search = [];
+  let replace = [];
+
+  for (const line of lines) {
+    if (state === 'outside') {
+      if (SEARCH_MARKER.test(line)) {
+        state = 'search';
+        search = [];
+        replace = [];
+      }
+    } else if (state === 'search') {
+      if (DIVIDER_MARKER.test(line)) {
+        state = 'replace';
+      } else {
+        search.push(line);
+      }
+    } else if (state === 'replace') {
+      if (REPLACE_MARKER.test(line)) {
+        blocks.push({ search: search.join('\n'), replace: replace.join('\n') });
+        state = 'outside';
+      } else {
+        replace.push(line);
+      }
+    }
+  }
+
+  return blocks;
+}
+
+// Path named by a diff file header, without the a/ and b/ prefixes of git diffs (null for /dev/null)
+function diffHeaderPath(fileName) {
+  if (!fileName || fileName === '/dev/null') return null;
+  return fileName.replace(/\\/g, '/').replace(/^[ab]\//, '').replace(/^\.\//, '');
+}
+
+// Whether a diff header path names filePath, either as the same path or relative to a directory above it
+function headerNamesFile(headerPath, filePath) {
+  const target = filePath.replace(/\\/g, '/');
+  return target === headerPath || target.endsWith(`/${headerPath}`);
+}
+
+// Convert the hunks of a unified diff into SEARCH/REPLACE blocks.
+// Hunks without context lines have nothing to search for: pure insertions keep the line they
+// go after instead (line), counted in the file as edited by the hunks before them.
+// With filePath, a diff whose file headers name another file is rejected.
+export function parseUnifiedDiffBlocks(response, filePath = null) {
+  if (!response || !/^@@ /m.test(response)) return [];
+
+  // Models often wrap diffs in ```diff fences
+  const patchText = response.replace(/\r\n/g, '\n').replace(/^```[a-zA-Z]*\s*$/gm, '');
+
+  let patches;
+  try {
+    patches = parsePatch(patchText);
+  } catch (error) {
+    return [];
+  }
+
+  const blocks = [];
+  for (const patch of patches) {
+    if (filePath) {
+      for (const headerPath of [diffHeaderPath(patch.oldFileName), diffHeaderPath(patch.newFileName)]) {
+        if (headerPath && !headerNamesFile(headerPath, filePath)) {
+          throw new Error(`SearchReplaceFailed: The diff edits ${headerPath}, not ${filePath}. No changes were written.`);
+        }
+      }
+    }
+
+    // Lines added minus lines removed by the hunks so far
+    let lineOffset = 0;
+    for (const hunk of patch.hunks) {
+      const search = [];
+      const replace = [];
+      for (const line of hunk.lines) {
+        const marker = line[0];
+        const text = line.substring(1);
+        if (marker === ' ') {
+          search.push(text);
+          replace.push(text);
+        } else if (marker === '-') {
+          search.push(text);
+        } else if (marker === '+') {
+          replace.push(text);
+        }
+      }
+
+      const block = { search: search.join('\n'), replace: replace.join('\n') };
+      if (search.length === 0) {
+        // parsePatch reports an insertion after line N as starting at N + 1
+        block.line = hunk.oldStart - 1 + lineOffset;
+      }
+      blocks.push(block);
+      lineOffset += replace.length - search.length;
+    }
+  }
+
+  return blocks;
+}
+
+// Parse edit blocks from a model response, accepting SEARCH/REPLACE blocks or a unified diff for filePath
+export function parseEditBlocks(response, filePath = null) {
+  const blocks = parseSearchReplaceBlocks(response);
+  if (blocks.length > 0) {
+    return blocks;
+  }
+  return parseUnifiedDiffBlocks(response, filePath);
+}
+
+// Locate a block's SEARCH text, ignoring trailing whitespace differences if the exact text is missing.
+// Returns { start, end }, { matches } when the text is found in more than one place, or null.
+function findBlock(content, search) {
+  const exactIndex = content.indexOf(search);
+  if (exactIndex !== -1) {
+    let matches = 1;
+    for (let index = content.indexOf(search, exactIndex + 1); index !== -1; index = content.indexOf(search, index + 1)) {
+      matches++;
+    }
+    return matches > 1 ? { matches } : { start: exactIndex, end: exactIndex + search.length };
+  }
+
+  const contentLines = content.split('\n');
+  const searchLines = search.split('\n').map(line => line.trimEnd());
+
+  // Offsets of every line start so a line match can be mapped back to character positions
+  const lineStarts = [];
+  let offset = 0;
+  for (const line of contentLines) {
+    lineStarts.push(offset);
+    offset += line.length + 1;
+  }
+
+  const found = [];
+  for (let i = 0; i + searchLines.length <= contentLines.length; i++) {
+    let matches = true;
+    for (let j = 0; j < searchLines.length; j++) {
+      if (contentLines[i + j].trimEnd() !== searchLines[j]) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) {
+      const lastLine = i + searchLines.length - 1;
+      found.push({ start: lineStarts[i], end: lineStarts[lastLine] + contentLines[lastLine].length });
+    }
+  }
+
+  if (found.length > 1) {
+    return { matches: found.length };
+  }
+  return found[0] || null;
+}
+
+// Insert text as whole lines after the first `line` lines of content, or null if content is shorter
+function insertAfterLine(content, line, text) {
+  let offset = 0;
+  for (let i = 0; i < line; i++) {
+    const newline = content.indexOf('\n', offset);
+    if (newline === -1) {
+      // The last line has no line break
+      return i === line - 1 && offset < content.length ? `${content}\n${text}` : null;
+    }
+    offset = newline + 1;
+  }
+  return `${content.substring(0, offset)}${text}\n${content.substring(offset)}`;
+}
+
+// Apply edit blocks in order to the existing content
+// Returns the edited content plus the blocks that applied and the ones that did not match
+// (failed blocks whose SEARCH text is found more than once carry the number of matches)
+export function applyEditBlocks(content, blocks) {
+  const usesCRLF = content.includes('\r\n');
+  let result = usesCRLF ? content.replace(/\r\n/g, '\n') : content;
+  const applied = [];
+  const failed = [];
+
+  blocks.forEach((block, index) => {
+    const search = block.search.replace(/\r\n/g, '\n');
+    const replace = block.replace.replace(/\r\n/g, '\n');
+
+    // An empty SEARCH section inserts after the block's line, or appends to the end of the file
+    if (search.trim() === '') {
+      if (block.line !== undefined) {
+        const inserted = insertAfterLine(result, block.line, replace);
+        if (inserted === null) {
+          failed.push({ index, ...block });
+          return;
+        }
+        result = inserted;
+      } else {
+        const separator = result.length > 0 && !result.endsWith('\n') ? '\n' : '';
+        result = result + separator + replace;
+      }
+      applied.push({ index, ...block });
+      return;
+    }
+
+    const match = findBlock(result, search);
+    if (!match) {
+      failed.push({ index, ...block });
+      return;
+    }
+    if (match.matches) {
+      failed.push({ index, ...block, matches: match.matches });
+      return;
+    }
+
+    result = result.substring(0, match.start) + replace + result.substring(match.end);
+    applied.push({ index, ...block });
+  });
+
+  return {
+    content: usesCRLF ? result.replace(/\n/g, '\r\n') : result,
+    applied,
+    failed
+  };
+}
+
+// Build a readable error message listing the blocks that did not match
+export function formatFailedBlocks(filePath, failed, totalBlocks) {
+  const lines = [
+    `SearchReplaceFailed: ${failed.length} of ${totalBlocks} edit block${totalBlocks !== 1 ? 's' : ''} did not match ${filePath}. No changes were written.`
+  ];
+
+  for (const block of failed) {
+    // Insertions have no SEARCH text: show what they insert
+    const isInsertion = block.line !== undefined;
+    const previewLines = (isInsertion ? block.replace : block.search).split('\n');
+    const preview = previewLines.slice(0, 5).map(line => `    | ${line}`);
+    if (previewLines.length > 5) {
+      preview.push(`    | ... ${previewLines.length - 5} more line${previewLines.length - 5 !== 1 ? 's' : ''}`);
+    }
+
+    let heading = `  Block ${block.index + 1}:`;
+    if (block.matches) {
+      heading = `  Block ${block.index + 1} matches ${block.matches} places. Include more surrounding lines so it matches exactly once:`;
+    } else if (isInsertion) {
+      heading = `  Block ${block.index + 1} inserts after line ${block.line}, past the end of the file:`;
+    }
+    lines.push(heading, ...preview);
+  }
+
+  return lines.join('\n');
+}
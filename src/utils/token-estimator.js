@@ -0,0 +1,62 @@
+import { readFileContent } from './file-utils.js';
+
+// Rough characters-per-token ratio for code and English text with the models we route to
+const CHARS_PER_TOKEN = 4;
+
+// Tokens taken by the system prompt, message framing and prompt scaffolding
+const PROMPT_OVERHEAD_TOKENS = 200;
+
+// Estimate the token count of a piece of text
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Estimate the prompt tokens of a request before it is built: the prompt, context,
+// the existing output file(s) and every readable context file
+export async function estimateRequestTokens(prompt, context = "", outputFile = "", contextFiles = [], options = {}) {
+  return (await estimatePromptTokens(prompt, context, outputFile, contextFiles, options)).total;
+}
+
+// Same estimate with the share of each context file: { total, contextFiles: [{ file, tokens }] }
+export async function estimatePromptTokens(prompt, context = "", outputFile = "", contextFiles = [], options = {}) {
+  let total = PROMPT_OVERHEAD_TOKENS + estimateTokens(prompt) + estimateTokens(context);
+
+  if (Array.isArray(options.outputFiles) && options.outputFiles.length > 0) {
+    for (const target of options.outputFiles) {
+      total += estimateTokens(target.prompt) + estimateTokens(target.existingContent);
+    }
+  } else if (outputFile) {
+    total += estimateTokens(await readOptional(outputFile));
+  }
+
+  // Context files already fitted into the context budget count with their selected content
+  const contextFileTokens = [];
+  if (options.contextSelection) {
+    for (const { file, tokens, status } of options.contextSelection) {
+      if (status !== 'dropped') {
+        contextFileTokens.push({ file, tokens });
+        total += tokens;
+      }
+    }
+  } else {
+    for (const contextFile of contextFiles || []) {
+      if (contextFile !== outputFile) {
+        const tokens = estimateTokens(await readOptional(contextFile));
+        contextFileTokens.push({ file: contextFile, tokens });
+        total += tokens;
+      }
+    }
+  }
+
+  return { total, contextFiles: contextFileTokens };
+}
+
+// Unreadable files are skipped by the providers too, so they don't count
+async function readOptional(filePath) {
+  try {
+    return await readFileContent(filePath);
+  } catch (error) {
+    return null;
+  }
+}
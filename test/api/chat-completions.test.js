@@ -0,0 +1,206 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { EventEmitter } from 'events';
+
+vi.mock('https', () => ({
+  default: { request: vi.fn() }
+}));
+
+import https from 'https';
+import { streamChatCompletion, parseSSEBuffer, chatCompletionsEndpoint } from '../../src/api/chat-completions.js';
+
+// Fake https.request that answers with the given status, headers and body chunks
+function mockResponse({ statusCode = 200, contentType = 'text/event-stream', chunks = [], end = true }) {
+  const req = new EventEmitter();
+  req.write = vi.fn();
+  req.end = vi.fn();
+  req.destroy = vi.fn();
+
+  https.request.mockImplementation((options, callback) => {
+    const res = new EventEmitter();
+    res.statusCode = statusCode;
+    res.headers = { 'content-type': contentType };
+    res.setEncoding = vi.fn();
+    setImmediate(() => {
+      callback(res);
+      for (const chunk of chunks) {
+        res.emit('data', chunk);
+      }
+      if (end) {
+        res.emit('end');
+      }
+    });
+    return req;
+  });
+
+  return req;
+}
+
+function sse(...events) {
+  return events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+}
+
+function delta(content) {
+  return { choices: [{ delta: { content } }] };
+}
+
+const baseRequest = {
+  providerName: 'Cerebras',
+  requestOptions: { hostname: 'api.example.com', port: 443, path: '/v1/chat/completions', headers: { Authorization: 'Bearer key' } },
+  requestData: { model: 'test-model', messages: [], stream: true }
+};
+
+describe('ChatCompletions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('parseSSEBuffer', () => {
+    it('should return complete data payloads and keep the partial line', () => {
+      const { payloads, remainder } = parseSSEBuffer('data: {"a":1}\r\n\r\n: comment\ndata: [DONE]\ndata: {"b"');
+
+      expect(payloads).toEqual(['{"a":1}', '[DONE]']);
+      expect(remainder).toBe('data: {"b"');
+    });
+  });
+
+  describe('chatCompletionsEndpoint', () => {
+    it('should append the chat completions path to the base URL', () => {
+      expect(chatCompletionsEndpoint('https://api.cerebras.ai/v1')).toEqual({ protocol: 'https:', hostname: 'api.cerebras.ai', port: 443, path: '/v1/chat/completions' });
+      expect(chatCompletionsEndpoint('https://gateway.example.com:8443/cerebras/v1/')).toEqual({ protocol: 'https:', hostname: 'gateway.example.com', port: 8443, path: '/cerebras/v1/chat/completions' });
+    });
+
+    it('should support plain http servers and a custom path', () => {
+      expect(chatCompletionsEndpoint('http://localhost:8000/v1')).toEqual({ protocol: 'http:', hostname: 'localhost', port: 8000, path: '/v1/chat/completions' });
+      expect(chatCompletionsEndpoint('http://gateway.internal/llm/', '/v2/completions')).toEqual({ protocol: 'http:', hostname: 'gateway.internal', port: 80, path: '/llm/v2/completions' });
+    });
+
+    it('should reject other protocols', () => {
+      expect(() => chatCompletionsEndpoint('ftp://example.com/v1')).toThrow('Unsupported base URL');
+    });
+  });
+
+  describe('streamChatCompletion', () => {
+    it('should join streamed deltas split across chunks', async () => {
+      const body = sse(delta('const a'), delta(' = 1;'), '[DONE]');
+      mockResponse({ chunks: [body.slice(0, 20), body.slice(20)] });
+
+      const content = await streamChatCompletion(baseRequest);
+
+      expect(content).toBe('const a = 1;');
+      const [options] = https.request.mock.calls[0];
+      expect(options.method).toBe('POST');
+      expect(options.headers.Authorization).toBe('Bearer key');
+      expect(options.headers.Accept).toBe('text/event-stream');
+    });
+
+    it('should report progress as content arrives', async () => {
+      mockResponse({ chunks: [sse(delta('abc')), sse(delta('de'), '[DONE]')] });
+      const onProgress = vi.fn();
+
+      await streamChatCompletion({ ...baseRequest, onProgress });
+
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(onProgress).toHaveBeenNthCalledWith(1, { characters: 3, chunks: 1 });
+      expect(onProgress).toHaveBeenNthCalledWith(2, { characters: 5, chunks: 2 });
+    });
+
+    it('should report the usage sent with the final chunk', async () => {
+      const usage = { prompt_tokens: 50, completion_tokens: 5, total_tokens: 55 };
+      mockResponse({ chunks: [sse(delta('abc'), { choices: [], usage }, '[DONE]')] });
+      const onUsage = vi.fn();
+
+      await streamChatCompletion({ ...baseRequest, onUsage });
+
+      expect(onUsage).toHaveBeenCalledWith(usage);
+    });
+
+    it('should accept a non-streamed JSON completion', async () => {
+      mockResponse({
+        contentType: 'application/json',
+        chunks: [JSON.stringify({ choices: [{ message: { content: 'full answer' } }] })]
+      });
+
+      await expect(streamChatCompletion(baseRequest)).resolves.toBe('full answer');
+    });
+
+    it('should reject with the API error for non-200 responses', async () => {
+      mockResponse({
+        statusCode: 429,
+        contentType: 'application/json',
+        chunks: [JSON.stringify({ error: { message: 'Too many requests' } })]
+      });
+
+      await expect(streamChatCompletion(baseRequest)).rejects.toThrow('Cerebras API error: 429 - Too many requests');
+    });
+
+    it('should reject when the stream reports an error', async () => {
+      const req = mockResponse({ chunks: [sse(delta('partial'), { error: { message: 'overloaded' } })] });
+
+      await expect(streamChatCompletion(baseRequest)).rejects.toThrow('Cerebras API error: overloaded');
+      expect(req.destroy).toHaveBeenCalled();
+    });
+
+    it('should pass response headers to onResponseHeaders', async () => {
+      mockResponse({ statusCode: 429, contentType: 'application/json', chunks: ['{}'] });
+      const onResponseHeaders = vi.fn();
+
+      await expect(streamChatCompletion({ ...baseRequest, onResponseHeaders })).rejects.toThrow('429');
+      expect(onResponseHeaders).toHaveBeenCalledWith({ 'content-type': 'application/json' }, 429);
+    });
+
+    it('should reject malformed events', async () => {
+      mockResponse({ chunks: ['data: {not json}\n\n'] });
+
+      await expect(streamChatCompletion(baseRequest)).rejects.toThrow('Failed to parse API response');
+    });
+
+    it('should fail when the connection is not established in time', async () => {
+      vi.useFakeTimers();
+      const req = mockResponse({ end: false });
+      https.request.mockImplementation(() => req);
+
+      const pending = streamChatCompletion({ ...baseRequest, connectTimeoutMs: 5000 });
+      vi.advanceTimersByTime(5000);
+
+      await expect(pending).rejects.toThrow('Connect timeout after 5 seconds');
+      expect(req.destroy).toHaveBeenCalled();
+      vi.useRealTimers();
+    });
+
+    it('should stop waiting for a connection once the socket connects', async () => {
+      vi.useFakeTimers();
+      const req = mockResponse({ end: false });
+      https.request.mockImplementation(() => req);
+
+      const pending = streamChatCompletion({ ...baseRequest, connectTimeoutMs: 5000, requestTimeoutMs: 60000 });
+      const socket = new EventEmitter();
+      socket.connecting = true;
+      req.emit('socket', socket);
+      socket.emit('connect');
+      vi.advanceTimersByTime(59000);
+      expect(req.destroy).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(1000);
+      await expect(pending).rejects.toThrow('Request timeout after 60 seconds');
+      vi.useRealTimers();
+    });
+
+    it('should abort the request when the signal is aborted', async () => {
+      const req = mockResponse({ chunks: [sse(delta('partial'))], end: false });
+      const controller = new AbortController();
+      const onProgress = vi.fn(() => controller.abort());
+
+      await expect(streamChatCompletion({ ...baseRequest, onProgress, signal: controller.signal }))
+        .rejects.toThrow('RequestCancelled');
+      expect(req.destroy).toHaveBeenCalled();
+    });
+
+    it('should not send a request when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(streamChatCompletion({ ...baseRequest, signal: controller.signal })).rejects.toThrow('RequestCancelled');
+      expect(https.request).not.toHaveBeenCalled();
+    });
+  });
+});
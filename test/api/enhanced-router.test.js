@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../src/api/chat-completions.js', () => ({
+  streamChatCompletion: vi.fn(),
+  chatCompletionsEndpoint: vi.fn(() => ({ hostname: 'api.cerebras.ai', port: 443, path: '/v1/chat/completions' }))
+}));
+
+vi.mock('../../src/utils/file-utils.js', () => ({
+  readFileContent: vi.fn(),
+  getLanguageFromFile: vi.fn(() => 'javascript')
+}));
+
+vi.mock('../../src/config/constants.js', () => ({
+  config: {
+    cerebrasApiKey: 'global-key',
+    cerebrasModel: 'global-model',
+    cerebrasModelChain: [],
+    cerebrasBaseUrl: 'https://api.cerebras.ai/v1',
+    openRouterApiKey: 'openrouter-key',
+    openRouterModel: 'qwen/qwen3-coder',
+    openRouterBaseUrl: 'https://openrouter.ai/api/v1',
+    providerOrder: [],
+    providerModules: [],
+    contextBudgetTokens: 0,
+    rateStateFile: null,
+    rateLimitMaxWaitMs: 0,
+    temperature: 0.1,
+    maxTokens: null,
+    maxRetries: 0
+  },
+  debugLog: vi.fn()
+}));
+
+vi.mock('../../src/config/api-keys.js', () => ({
+  loadApiKeys: vi.fn(() => [
+    { id: 'paid', key: 'paid-key', tier: 'paid' },
+    { id: 'free', key: 'free-key', tier: 'free' }
+  ])
+}));
+
+import { streamChatCompletion, chatCompletionsEndpoint } from '../../src/api/chat-completions.js';
+import { readFileContent } from '../../src/utils/file-utils.js';
+import { config } from '../../src/config/constants.js';
+import { CerebrasApiClient, routeAPICall } from '../../src/api/router/enhanced-router.js';
+
+describe('EnhancedRouter', () => {
+  describe('CerebrasApiClient', () => {
+    beforeEach(() => {
+      readFileContent.mockResolvedValue(null);
+      // Answer with the key and model the request was sent with, finishing in a different order than started
+      let calls = 0;
+      streamChatCompletion.mockImplementation(async ({ requestOptions, requestData }) => {
+        const delay = (7 - (calls++ % 7)) * 3;
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return `${requestOptions.headers.Authorization} ${requestData.model}`;
+      });
+    });
+
+    it('should never send a concurrent request with another client\'s key or model', async () => {
+      const clients = ['key-a', 'key-b', 'key-c'].map(key => new CerebrasApiClient(key));
+      const models = ['model-1', 'model-2'];
+
+      const calls = [];
+      for (let i = 0; i < 12; i++) {
+        const key = `key-${'abc'[i % 3]}`;
+        const model = models[i % 2];
+        calls.push(clients[i % 3].callCerebras(model, `prompt ${i}`, '', 'out.js', null, []).then(result => ({ result, key, model })));
+      }
+
+      for (const { result, key, model } of await Promise.all(calls)) {
+        expect(result).toBe(`Bearer ${key} ${model}`);
+      }
+      expect(streamChatCompletion).toHaveBeenCalledTimes(12);
+      expect(config.cerebrasApiKey).toBe('global-key');
+      expect(config.cerebrasModel).toBe('global-model');
+    });
+
+    it('should pass per-call settings through to the request', async () => {
+      const client = new CerebrasApiClient('key-a');
+
+      await client.callCerebras('model-1', 'prompt', '', 'out.js', null, [], { temperature: 0.6, maxTokens: 2048 });
+
+      const { requestData } = streamChatCompletion.mock.calls[0][0];
+      expect(requestData).toMatchObject({ model: 'model-1', temperature: 0.6, max_tokens: 2048 });
+    });
+
+    it('should send requests for a key with its own base URL there', async () => {
+      await new CerebrasApiClient('key-a', 'https://llm-gateway.internal/cerebras/v1').callCerebras('model-1', 'prompt', '', 'out.js', null, []);
+      await new CerebrasApiClient('key-b').callCerebras('model-1', 'prompt', '', 'out.js', null, []);
+
+      expect(chatCompletionsEndpoint.mock.calls.map(([baseUrl]) => baseUrl)).toEqual([
+        'https://llm-gateway.internal/cerebras/v1',
+        'https://api.cerebras.ai/v1'
+      ]);
+    });
+  });
+
+  describe('routeAPICall with a key pool', () => {
+    const unavailable = () => new Error('Cerebras API error: 503 - Service unavailable');
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      readFileContent.mockResolvedValue(null);
+      config.cerebrasModel = 'llama-3.3-70b';
+    });
+
+    afterEach(() => {
+      config.cerebrasModel = 'global-model';
+    });
+
+    it('should retry a request that failed with a server error on another key', async () => {
+      streamChatCompletion.mockImplementation(async ({ requestOptions }) => {
+        if (requestOptions.headers.Authorization === 'Bearer paid-key') throw unavailable();
+        return 'generated by the free key';
+      });
+
+      await expect(routeAPICall('prompt', '', 'out.js')).resolves.toBe('generated by the free key');
+      expect(streamChatCompletion.mock.calls.map(([{ requestOptions }]) => requestOptions.headers.Authorization)).toEqual(['Bearer paid-key', 'Bearer free-key']);
+    });
+
+    it('should fall back to the next provider when every key keeps failing', async () => {
+      streamChatCompletion.mockImplementation(async ({ requestOptions }) => {
+        if (requestOptions.headers.Authorization === 'Bearer openrouter-key') return 'generated by OpenRouter';
+        throw unavailable();
+      });
+
+      await expect(routeAPICall('prompt', '', 'out.js')).resolves.toBe('generated by OpenRouter');
+    });
+  });
+});
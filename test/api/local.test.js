@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+
+vi.mock('../../src/api/cerebras.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const callCerebras = vi.fn();
+  return { ...actual, callCerebras, cerebrasProvider: { ...actual.cerebrasProvider, call: (...args) => callCerebras(...args.slice(0, 6)) } };
+});
+
+vi.mock('../../src/utils/file-utils.js', () => ({
+  readFileContent: vi.fn(),
+  getLanguageFromFile: vi.fn(() => 'javascript')
+}));
+
+vi.mock('../../src/config/constants.js', () => ({
+  config: {
+    cerebrasApiKey: null,
+    cerebrasModel: 'qwen-3-coder-480b',
+    openRouterApiKey: null,
+    openAICompatibleBaseUrl: null,
+    localBackend: 'ollama',
+    localBaseUrl: null,
+    localModel: null,
+    localModelMap: {},
+    localPriority: 'last-resort',
+    providerOrder: [],
+    providerModules: [],
+    temperature: 0.1,
+    maxTokens: null,
+    maxRetries: 0,
+    connectTimeoutMs: 2000,
+    requestTimeoutMs: 5000
+  },
+  debugLog: vi.fn()
+}));
+
+import { callCerebras } from '../../src/api/cerebras.js';
+import { readFileContent } from '../../src/utils/file-utils.js';
+import { config } from '../../src/config/constants.js';
+import { callLocal, resolveLocalModel } from '../../src/api/local.js';
+import { routeAPICall, resetCircuitBreakers } from '../../src/api/router/router.js';
+import { sse, delta, startStubServer } from '../helpers/chat-completions-server.js';
+
+describe('Local provider', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startStubServer([sse(delta('print('), delta('"offline")'), '[DONE]')]);
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    server.requests = [];
+    readFileContent.mockResolvedValue(null);
+    resetCircuitBreakers();
+    Object.assign(config, {
+      cerebrasApiKey: null,
+      localBackend: 'ollama',
+      localBaseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      localModel: 'qwen2.5-coder:7b',
+      localModelMap: {},
+      localPriority: 'last-resort'
+    });
+  });
+
+  describe('resolveLocalModel', () => {
+    it('should map the requested model, falling back to the default local model', () => {
+      config.localModelMap = { 'llama-3.3-70b': 'llama3.2:3b' };
+
+      expect(resolveLocalModel('llama-3.3-70b')).toBe('llama3.2:3b');
+      expect(resolveLocalModel('qwen-3-coder-480b')).toBe('qwen2.5-coder:7b');
+      config.localModel = null;
+      expect(resolveLocalModel('qwen-3-coder-480b')).toBeNull();
+    });
+  });
+
+  describe('callLocal', () => {
+    it('should send the mapped model to the local server without remote credentials', async () => {
+      config.localModelMap = { 'qwen-3-coder-480b': 'qwen2.5-coder:32b' };
+
+      const code = await callLocal('print a greeting', '', 'hello.py', null, [], { apiKey: 'csk-remote', model: 'qwen-3-coder-480b' });
+
+      expect(code).toBe('print("offline")');
+      const [request] = server.requests;
+      expect(request.url).toBe('/v1/chat/completions');
+      expect(request.body.model).toBe('qwen2.5-coder:32b');
+      expect(request.headers.authorization).toBeUndefined();
+    });
+
+    it('should let llama.cpp use its loaded model when none is configured', async () => {
+      config.localBackend = 'llamacpp';
+      config.localModel = null;
+
+      await callLocal('print a greeting', '', 'hello.py', null, []);
+
+      expect(server.requests[0].body).not.toHaveProperty('model');
+    });
+
+    it('should require a model for Ollama', async () => {
+      config.localModel = null;
+
+      await expect(callLocal('prompt', '', 'hello.py', null, [])).rejects.toThrow('No local model configured for Ollama');
+      expect(server.requests).toHaveLength(0);
+    });
+
+    it('should require a backend', async () => {
+      config.localBackend = undefined;
+
+      await expect(callLocal('prompt', '', 'hello.py', null, [])).rejects.toThrow('No local model server configured');
+    });
+  });
+
+  describe('routing', () => {
+    it('should generate offline when the local server is the only provider', async () => {
+      await expect(routeAPICall('print a greeting', '', 'hello.py', null, [])).resolves.toBe('print("offline")');
+      expect(server.requests).toHaveLength(1);
+    });
+
+    it('should fall back to the local server when Cerebras is unreachable', async () => {
+      config.cerebrasApiKey = 'csk-test';
+      callCerebras.mockRejectedValue(new Error('Cerebras API call failed: Request failed: getaddrinfo ENOTFOUND api.cerebras.ai'));
+
+      await expect(routeAPICall('print a greeting', '', 'hello.py', null, [])).resolves.toBe('print("offline")');
+      expect(callCerebras).toHaveBeenCalledTimes(1);
+      expect(server.requests).toHaveLength(1);
+    });
+
+    it('should use the local server before Cerebras when it is the primary', async () => {
+      config.cerebrasApiKey = 'csk-test';
+      config.localPriority = 'primary';
+
+      await expect(routeAPICall('print a greeting', '', 'hello.py', null, [])).resolves.toBe('print("offline")');
+      expect(callCerebras).not.toHaveBeenCalled();
+    });
+  });
+});
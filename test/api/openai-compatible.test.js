@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/file-utils.js', () => ({
+  readFileContent: vi.fn(),
+  getLanguageFromFile: vi.fn(() => 'javascript')
+}));
+
+vi.mock('../../src/config/constants.js', () => ({
+  config: {
+    openAICompatibleName: 'Local vLLM',
+    openAICompatibleBaseUrl: null,
+    openAICompatiblePath: '/chat/completions',
+    openAICompatibleApiKey: null,
+    openAICompatibleAuthHeader: 'Authorization',
+    openAICompatibleModel: 'qwen2.5-coder',
+    openAICompatibleHeaders: {},
+    temperature: 0.1,
+    maxTokens: null,
+    maxRetries: 0,
+    connectTimeoutMs: 2000,
+    requestTimeoutMs: 5000
+  },
+  debugLog: vi.fn()
+}));
+
+import { readFileContent } from '../../src/utils/file-utils.js';
+import { config } from '../../src/config/constants.js';
+import { callChatCompletions, callOpenAICompatible } from '../../src/api/openai-compatible.js';
+import { sse, delta, startStubServer } from '../helpers/chat-completions-server.js';
+
+describe('OpenAI-compatible provider', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = await startStubServer([sse(delta('const a'), delta(' = 1;'), '[DONE]')]);
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    server.requests = [];
+    server.reply = {};
+    readFileContent.mockResolvedValue(null);
+    config.openAICompatibleBaseUrl = baseUrl;
+    config.openAICompatibleApiKey = null;
+    config.openAICompatibleAuthHeader = 'Authorization';
+    config.openAICompatibleHeaders = {};
+  });
+
+  it('should stream a completion from the configured server', async () => {
+    const onProgress = vi.fn();
+
+    const code = await callOpenAICompatible('add a constant', '', 'out.js', null, [], { onProgress });
+
+    expect(code).toBe('const a = 1;');
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    const [request] = server.requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBeUndefined();
+    expect(request.body).toMatchObject({ model: 'qwen2.5-coder', temperature: 0.1, stream: true });
+    expect(request.body.messages[1].content).toContain('Generate javascript code for: add a constant');
+  });
+
+  it('should send the key in the configured auth header along with extra headers', async () => {
+    config.openAICompatibleApiKey = 'gateway-key';
+    config.openAICompatibleAuthHeader = 'api-key';
+    config.openAICompatibleHeaders = { 'X-Team': 'tools' };
+
+    await callOpenAICompatible('add a constant', '', 'out.js', null, []);
+
+    const { headers } = server.requests[0];
+    expect(headers['api-key']).toBe('gateway-key');
+    expect(headers.authorization).toBeUndefined();
+    expect(headers['x-team']).toBe('tools');
+  });
+
+  it('should use a Bearer token, custom path and extra body fields from the settings', async () => {
+    await callChatCompletions({
+      name: 'Gateway',
+      baseUrl,
+      path: '/openai/completions',
+      apiKey: 'secret',
+      model: 'default-model',
+      body: { provider: { order: ['cerebras'] } }
+    }, 'prompt', '', 'out.js', null, [], { model: 'call-model', maxTokens: 256 });
+
+    const [request] = server.requests;
+    expect(request.url).toBe('/v1/openai/completions');
+    expect(request.headers.authorization).toBe('Bearer secret');
+    expect(request.body).toMatchObject({ model: 'call-model', max_tokens: 256, provider: { order: ['cerebras'] } });
+  });
+
+  it('should label server errors with the provider name', async () => {
+    server.reply = { status: 503, chunks: [JSON.stringify({ error: { message: 'model is loading' } })] };
+
+    await expect(callOpenAICompatible('prompt', '', 'out.js', null, []))
+      .rejects.toThrow('Local vLLM API call failed: Local vLLM API error: 503 - model is loading');
+  });
+
+  it('should require a base URL', async () => {
+    config.openAICompatibleBaseUrl = null;
+
+    await expect(callOpenAICompatible('prompt', '', 'out.js', null, []))
+      .rejects.toThrow('No OpenAI-compatible server configured');
+    expect(server.requests).toHaveLength(0);
+  });
+});
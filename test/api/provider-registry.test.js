@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  hasProvider,
+  resolveProviderSettings,
+  isProviderAvailable,
+  requiredEnvVars,
+  loadProviderModules
+} from '../../src/api/router/provider-registry.js';
+
+const echoProvider = {
+  name: 'echo',
+  config: {
+    apiKey: { env: 'ECHO_API_KEY', required: true },
+    model: { env: 'ECHO_MODEL', default: 'echo-1' }
+  },
+  call: async (prompt) => prompt
+};
+
+describe('ProviderRegistry', () => {
+  afterEach(() => {
+    ['echo', 'file-provider', 'file-provider-2'].forEach(unregisterProvider);
+  });
+
+  describe('registerProvider', () => {
+    it('should register a provider by name', () => {
+      registerProvider(echoProvider);
+
+      expect(hasProvider('echo')).toBe(true);
+      expect(getProvider('echo')).toBe(echoProvider);
+    });
+
+    it('should reject a second provider with the same name', () => {
+      registerProvider(echoProvider);
+
+      expect(() => registerProvider({ ...echoProvider })).toThrow('InvalidProvider: A provider named "echo" is already registered');
+    });
+
+    it.each([
+      [null, 'InvalidProvider: A provider must be an object'],
+      [{ call: () => {} }, 'InvalidProvider: A provider needs a name'],
+      [{ name: 'echo' }, 'InvalidProvider: Provider "echo" has no call function'],
+      [{ name: 'echo', call: () => {}, config: { apiKey: {} } }, 'InvalidProvider: Provider "echo" setting "apiKey" needs an env variable name'],
+      [{ name: 'echo', call: () => {}, isAvailable: true }, 'InvalidProvider: Provider "echo" isAvailable must be a function']
+    ])('should reject invalid provider %#', (provider, message) => {
+      expect(() => registerProvider(provider)).toThrow(message);
+    });
+
+    it('should report unknown providers', () => {
+      expect(() => getProvider('missing')).toThrow('Unknown provider: missing');
+    });
+  });
+
+  describe('settings', () => {
+    it('should resolve settings from the environment with defaults', () => {
+      expect(resolveProviderSettings(echoProvider, { ECHO_API_KEY: 'secret' })).toEqual({ apiKey: 'secret', model: 'echo-1' });
+      expect(resolveProviderSettings(echoProvider, { ECHO_API_KEY: 'secret', ECHO_MODEL: 'echo-2' }).model).toBe('echo-2');
+    });
+
+    it('should treat a provider as available once its required settings are set', () => {
+      expect(isProviderAvailable(echoProvider, {})).toBe(false);
+      expect(isProviderAvailable(echoProvider, { ECHO_API_KEY: 'secret' })).toBe(true);
+      expect(requiredEnvVars(echoProvider)).toEqual(['ECHO_API_KEY']);
+    });
+
+    it('should let the provider decide availability itself', () => {
+      const provider = { ...echoProvider, isAvailable: (settings) => settings.model === 'echo-2' };
+
+      expect(isProviderAvailable(provider, { ECHO_API_KEY: 'secret' })).toBe(false);
+      expect(isProviderAvailable(provider, { ECHO_MODEL: 'echo-2' })).toBe(true);
+    });
+  });
+
+  describe('loadProviderModules', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'provider-modules-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should register the providers exported by a module file', async () => {
+      await fs.writeFile(path.join(tempDir, 'providers.mjs'), [
+        "export default [",
+        "  { name: 'file-provider', call: async (prompt) => `one: ${prompt}` },",
+        "  { name: 'file-provider-2', call: async (prompt) => `two: ${prompt}` }",
+        "];"
+      ].join('\n'));
+
+      const loaded = await loadProviderModules(['./providers.mjs'], tempDir);
+
+      expect(loaded.map(provider => provider.name)).toEqual(['file-provider', 'file-provider-2']);
+      await expect(getProvider('file-provider-2').call('hi')).resolves.toBe('two: hi');
+    });
+
+    it('should accept a named provider export', async () => {
+      const file = path.join(tempDir, 'provider.mjs');
+      await fs.writeFile(file, "export const provider = { name: 'file-provider', call: async () => 'ok' };");
+
+      await loadProviderModules([file]);
+
+      expect(hasProvider('file-provider')).toBe(true);
+    });
+
+    it('should import packages from the node_modules of the base directory', async () => {
+      const packageDir = path.join(tempDir, 'node_modules', 'cerebras-mcp-test-provider');
+      await fs.mkdir(packageDir, { recursive: true });
+      await fs.writeFile(path.join(packageDir, 'package.json'), JSON.stringify({ name: 'cerebras-mcp-test-provider', type: 'module', main: 'index.js' }));
+      await fs.writeFile(path.join(packageDir, 'index.js'), "export const provider = { name: 'file-provider', call: async () => 'from package' };");
+
+      await loadProviderModules(['cerebras-mcp-test-provider'], tempDir);
+
+      await expect(getProvider('file-provider').call('hi')).resolves.toBe('from package');
+    });
+
+    it('should report modules that cannot be loaded or export nothing', async () => {
+      await fs.writeFile(path.join(tempDir, 'empty.mjs'), 'export const unrelated = 1;');
+
+      await expect(loadProviderModules(['cerebras-mcp-provider-that-does-not-exist'])).rejects.toThrow('InvalidProvider: Cannot load provider module cerebras-mcp-provider-that-does-not-exist');
+      await expect(loadProviderModules(['./empty.mjs'], tempDir)).rejects.toThrow('InvalidProvider: ./empty.mjs exports no provider');
+    });
+  });
+});
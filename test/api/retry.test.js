@@ -0,0 +1,105 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../src/config/constants.js', () => ({
+  config: {
+    maxRetries: 2,
+    retryBaseDelayMs: 500,
+    retryMaxDelayMs: 8000
+  },
+  debugLog: vi.fn()
+}));
+
+import { withRetry, isRetryableError, getRetryDelay } from '../../src/api/retry.js';
+import { debugLog } from '../../src/config/constants.js';
+
+describe('Retry', () => {
+  describe('isRetryableError', () => {
+    it('should retry server errors, dropped or refused connections and timeouts', () => {
+      expect(isRetryableError(new Error('Cerebras API error: 503 - Service Unavailable'))).toBe(true);
+      expect(isRetryableError(new Error('Request failed: read ECONNRESET'))).toBe(true);
+      expect(isRetryableError(new Error('Request failed: socket hang up'))).toBe(true);
+      expect(isRetryableError(new Error('Connect timeout after 10 seconds'))).toBe(true);
+      expect(isRetryableError(new Error('Request timeout after 120 seconds'))).toBe(true);
+      expect(isRetryableError(new Error('Request failed: connect ECONNREFUSED 127.0.0.1:443'))).toBe(true);
+      expect(isRetryableError(new Error('OpenRouter API call failed: Connect timeout after 10 seconds'))).toBe(true);
+    });
+
+    it('should not retry client errors, rate limits or cancellations', () => {
+      expect(isRetryableError(new Error('Cerebras API error: 400 - Bad Request'))).toBe(false);
+      expect(isRetryableError(new Error('Cerebras API error: 429 - Too many requests'))).toBe(false);
+      expect(isRetryableError(new Error('RequestCancelled: The request was cancelled by the client'))).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should grow exponentially up to the maximum delay', () => {
+      const policy = { baseDelayMs: 500, maxDelayMs: 8000 };
+      const max = () => 0.9999;
+
+      expect(getRetryDelay(0, policy, max)).toBe(499);
+      expect(getRetryDelay(2, policy, max)).toBe(1999);
+      expect(getRetryDelay(10, policy, max)).toBe(7999);
+      expect(getRetryDelay(3, policy, () => 0)).toBe(0);
+    });
+  });
+
+  describe('withRetry', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.clearAllMocks();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should retry retryable errors and return the first success', async () => {
+      const operation = vi.fn()
+        .mockRejectedValueOnce(new Error('Cerebras API error: 502 - Bad Gateway'))
+        .mockRejectedValueOnce(new Error('Request failed: read ECONNRESET'))
+        .mockResolvedValue('code');
+
+      const pending = withRetry(operation, { label: 'Cerebras test' });
+      await vi.runAllTimersAsync();
+
+      await expect(pending).resolves.toBe('code');
+      expect(operation).toHaveBeenCalledTimes(3);
+      expect(debugLog).toHaveBeenCalledWith('Cerebras test: attempt 1/3');
+      expect(debugLog).toHaveBeenCalledWith(expect.stringMatching(/^Cerebras test: attempt 1\/3 failed, retrying in \d+ms: Cerebras API error: 502/));
+      expect(debugLog).toHaveBeenCalledWith('Cerebras test: attempt 3/3 succeeded');
+    });
+
+    it('should rethrow the last error once retries are exhausted', async () => {
+      const operation = vi.fn().mockRejectedValue(new Error('Cerebras API error: 500 - Internal'));
+
+      const pending = withRetry(operation, { maxRetries: 1 });
+      const assertion = expect(pending).rejects.toThrow('Cerebras API error: 500');
+      await vi.runAllTimersAsync();
+
+      await assertion;
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(debugLog).toHaveBeenCalledWith('API call: attempt 2/2 failed, giving up: Cerebras API error: 500 - Internal');
+    });
+
+    it('should not retry other errors', async () => {
+      const operation = vi.fn().mockRejectedValue(new Error('Cerebras API error: 401 - Unauthorized'));
+
+      await expect(withRetry(operation)).rejects.toThrow('401');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop waiting when the request is cancelled during backoff', async () => {
+      const controller = new AbortController();
+      const operation = vi.fn().mockRejectedValue(new Error('Request failed: socket hang up'));
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      const pending = withRetry(operation, { signal: controller.signal, baseDelayMs: 10000, maxDelayMs: 10000 });
+      const assertion = expect(pending).rejects.toThrow('RequestCancelled');
+      await vi.advanceTimersByTimeAsync(0);
+      controller.abort();
+
+      await assertion;
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -1,13 +1,35 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { routeAPICall, getAvailableProviders } from '../../src/api/router/router.js';
+import { routeAPICall, getAvailableProviders, getProviderChain, resetCircuitBreakers } from '../../src/api/router/router.js';
+import { registerProvider, unregisterProvider } from '../../src/api/router/provider-registry.js';
 
-// Mock the API modules
-vi.mock('../../src/api/cerebras.js', () => ({
-  callCerebras: vi.fn()
-}));
+// Mock the API modules: their registry entries keep the real availability checks but call the mocks
+vi.mock('../../src/api/cerebras.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const callCerebras = vi.fn();
+  return { ...actual, callCerebras, cerebrasProvider: { ...actual.cerebrasProvider, call: (...args) => callCerebras(...args.slice(0, 6)) } };
+});
+
+vi.mock('../../src/api/openrouter.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const callOpenRouter = vi.fn();
+  return { ...actual, callOpenRouter, openRouterProvider: { ...actual.openRouterProvider, call: (...args) => callOpenRouter(...args.slice(0, 6)) } };
+});
+
+vi.mock('../../src/api/openai-compatible.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const callOpenAICompatible = vi.fn();
+  return { ...actual, callOpenAICompatible, openAICompatibleProvider: { ...actual.openAICompatibleProvider, call: (...args) => callOpenAICompatible(...args.slice(0, 6)) } };
+});
 
-vi.mock('../../src/api/openrouter.js', () => ({
-  callOpenRouter: vi.fn()
+vi.mock('../../src/api/local.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const callLocal = vi.fn();
+  return { ...actual, callLocal, localProvider: { ...actual.localProvider, call: (...args) => callLocal(...args.slice(0, 6)) } };
+});
+
+vi.mock('../../src/utils/file-utils.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  readFileContent: vi.fn(async () => null)
 }));
 
 // Mock the config
@@ -17,6 +39,15 @@ vi.mock('../../src/config/constants.js', () => ({
     openRouterApiKey: null,
     cerebrasModel: 'llama3.1-70b',
     openRouterModel: 'cerebras/llama3.1-70b',
+    openAICompatibleBaseUrl: null,
+    openAICompatibleModel: 'qwen2.5-coder',
+    localBackend: null,
+    localModel: 'qwen2.5-coder:7b',
+    localModelMap: {},
+    localPriority: 'last-resort',
+    providerOrder: [],
+    providerModules: [],
+    contextBudgetTokens: 4096,
     temperature: 0.7,
     maxTokens: null
   },
@@ -25,6 +56,9 @@ vi.mock('../../src/config/constants.js', () => ({
 
 import { callCerebras } from '../../src/api/cerebras.js';
 import { callOpenRouter } from '../../src/api/openrouter.js';
+import { callOpenAICompatible } from '../../src/api/openai-compatible.js';
+import { callLocal } from '../../src/api/local.js';
+import { readFileContent } from '../../src/utils/file-utils.js';
 import { config } from '../../src/config/constants.js';
 
 describe('APIRouter', () => {
@@ -33,6 +67,11 @@ describe('APIRouter', () => {
     // Reset config to default state
     config.cerebrasApiKey = null;
     config.openRouterApiKey = null;
+    config.openAICompatibleBaseUrl = null;
+    config.localBackend = null;
+    config.localPriority = 'last-resort';
+    config.providerOrder = [];
+    resetCircuitBreakers();
   });
 
   afterEach(() => {
@@ -48,7 +87,7 @@ describe('APIRouter', () => {
       
       const result = await routeAPICall('prompt', 'context', 'output.js', 'javascript', ['file1.js']);
       
-      expect(callCerebras).toHaveBeenCalledWith('prompt', 'context', 'output.js', 'javascript', ['file1.js']);
+      expect(callCerebras).toHaveBeenCalledWith('prompt', 'context', 'output.js', 'javascript', ['file1.js'], { contextSelection: expect.any(Array) });
       expect(callOpenRouter).not.toHaveBeenCalled();
       expect(result).toBe('cerebras response');
     });
@@ -61,7 +100,7 @@ describe('APIRouter', () => {
       
       const result = await routeAPICall('prompt', 'context', 'output.js', 'javascript', ['file1.js']);
       
-      expect(callOpenRouter).toHaveBeenCalledWith('prompt', 'context', 'output.js', 'javascript', ['file1.js']);
+      expect(callOpenRouter).toHaveBeenCalledWith('prompt', 'context', 'output.js', 'javascript', ['file1.js'], { contextSelection: expect.any(Array) });
       expect(callCerebras).not.toHaveBeenCalled();
       expect(result).toBe('openrouter response');
     });
@@ -93,6 +132,16 @@ describe('APIRouter', () => {
       expect(result).toBe('openrouter fallback response');
     });
 
+    it('should not fall back when the request was cancelled', async () => {
+      config.cerebrasApiKey = 'test-cerebras-key';
+      config.openRouterApiKey = 'test-openrouter-key';
+      
+      callCerebras.mockRejectedValue(new Error('RequestCancelled: The request was cancelled by the client'));
+      
+      await expect(routeAPICall('prompt', 'context')).rejects.toThrow('RequestCancelled');
+      expect(callOpenRouter).not.toHaveBeenCalled();
+    });
+
     it('should throw error when no API keys are configured', async () => {
       config.cerebrasApiKey = null;
       config.openRouterApiKey = null;
@@ -119,6 +168,29 @@ describe('APIRouter', () => {
       await expect(routeAPICall('prompt')).rejects.toThrow('Cerebras failed');
     });
 
+    it('should route to the OpenAI-compatible server when no Cerebras key is set', async () => {
+      config.openAICompatibleBaseUrl = 'http://localhost:8000/v1';
+      config.openRouterApiKey = 'test-openrouter-key';
+      
+      callOpenAICompatible.mockResolvedValue('local response');
+      
+      const result = await routeAPICall('prompt', '', 'output.js', null, []);
+      
+      expect(callOpenAICompatible).toHaveBeenCalledWith('prompt', '', 'output.js', null, [], {});
+      expect(callOpenRouter).not.toHaveBeenCalled();
+      expect(result).toBe('local response');
+    });
+
+    it('should fall back from Cerebras to the OpenAI-compatible server without an OpenRouter key', async () => {
+      config.cerebrasApiKey = 'test-cerebras-key';
+      config.openAICompatibleBaseUrl = 'http://localhost:8000/v1';
+      
+      callCerebras.mockRejectedValue(new Error('Cerebras failed'));
+      callOpenAICompatible.mockResolvedValue('local response');
+      
+      await expect(routeAPICall('prompt')).resolves.toBe('local response');
+    });
+
     it('should handle empty context and files gracefully', async () => {
       config.cerebrasApiKey = 'test-cerebras-key';
       
@@ -126,7 +198,7 @@ describe('APIRouter', () => {
       
       const result = await routeAPICall('prompt', '', '', null, []);
       
-      expect(callCerebras).toHaveBeenCalledWith('prompt', '', '', null, []);
+      expect(callCerebras).toHaveBeenCalledWith('prompt', '', '', null, [], {});
       expect(result).toBe('response');
     });
 
@@ -143,7 +215,140 @@ describe('APIRouter', () => {
       
       await routeAPICall(prompt, context, outputFile, language, contextFiles);
       
-      expect(callCerebras).toHaveBeenCalledWith(prompt, context, outputFile, language, contextFiles);
+      expect(callCerebras).toHaveBeenCalledWith(prompt, context, outputFile, language, contextFiles, { contextSelection: expect.any(Array) });
+    });
+
+    it('should fit context files into the context budget once for every provider tried', async () => {
+      config.cerebrasApiKey = 'test-cerebras-key';
+      config.openRouterApiKey = 'test-openrouter-key';
+      readFileContent.mockImplementation(async (file) => file === 'lib.js' ? 'export const lib = 1;' : null);
+      callCerebras.mockRejectedValue(new Error('Cerebras down'));
+      callOpenRouter.mockResolvedValue('openrouter response');
+      const onContextFiles = vi.fn();
+
+      await routeAPICall('prompt', '', 'output.js', null, ['lib.js', 'gone.js'], { onContextFiles });
+
+      expect(onContextFiles).toHaveBeenCalledTimes(1);
+      const [selection] = onContextFiles.mock.calls[0];
+      expect(selection.map(({ file, status }) => [file, status])).toEqual([['lib.js', 'included'], ['gone.js', 'dropped']]);
+      expect(callCerebras.mock.calls[0][5].contextSelection).toBe(selection);
+      expect(callOpenRouter.mock.calls[0][5].contextSelection).toBe(selection);
+      expect(readFileContent).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getProviderChain', () => {
+    beforeEach(() => {
+      config.openRouterApiKey = 'test-openrouter-key';
+      config.openAICompatibleBaseUrl = 'http://localhost:8000/v1';
+      config.localBackend = 'ollama';
+    });
+
+    it('should put the local model where LOCAL_LLM_PRIORITY says', () => {
+      config.cerebrasApiKey = 'test-cerebras-key';
+
+      expect(getProviderChain()).toEqual(['cerebras', 'openrouter', 'openai-compatible', 'local']);
+      config.localPriority = 'fallback';
+      expect(getProviderChain()).toEqual(['cerebras', 'local', 'openrouter', 'openai-compatible']);
+      config.localPriority = 'primary';
+      expect(getProviderChain()).toEqual(['local', 'cerebras', 'openrouter', 'openai-compatible']);
+    });
+
+    it('should prefer the OpenAI-compatible server over OpenRouter without a Cerebras key', () => {
+      expect(getProviderChain()).toEqual(['openai-compatible', 'openrouter', 'local']);
+      expect(getProviderChain({ cerebras: true })[0]).toBe('cerebras');
+    });
+
+    it('should follow the order in CEREBRAS_MCP_PROVIDERS, skipping unconfigured providers', () => {
+      config.providerOrder = ['local', 'openrouter', 'cerebras'];
+
+      expect(getProviderChain()).toEqual(['local', 'openrouter']);
+    });
+
+    it('should reject unknown names in CEREBRAS_MCP_PROVIDERS', () => {
+      config.providerOrder = ['cerebras', 'anthropic'];
+
+      expect(() => getProviderChain()).toThrow('InvalidProvider: CEREBRAS_MCP_PROVIDERS names unknown provider(s) anthropic');
+    });
+
+    it('should try every provider and report each failure', async () => {
+      config.cerebrasApiKey = 'test-cerebras-key';
+      config.openAICompatibleBaseUrl = null;
+      callCerebras.mockRejectedValue(new Error('Cerebras failed'));
+      callOpenRouter.mockRejectedValue(new Error('OpenRouter failed'));
+      callLocal.mockRejectedValue(new Error('Ollama failed'));
+
+      await expect(routeAPICall('prompt')).rejects.toThrow('All providers failed (cerebras, openrouter, local): Cerebras failed | OpenRouter failed | Ollama failed');
+    });
+  });
+
+  describe('third-party providers', () => {
+    const callThirdParty = vi.fn();
+
+    beforeEach(() => {
+      registerProvider({
+        name: 'third-party',
+        config: { token: { env: 'THIRD_PARTY_TOKEN', required: true }, model: { env: 'THIRD_PARTY_MODEL', default: 'tp-1' } },
+        isAvailable: () => true,
+        call: callThirdParty,
+        describe: (settings) => ({ model: settings.model })
+      });
+    });
+
+    afterEach(() => {
+      unregisterProvider('third-party');
+    });
+
+    it('should fall back to a registered provider and pass it its settings', async () => {
+      config.cerebrasApiKey = 'test-cerebras-key';
+      callCerebras.mockRejectedValue(new Error('Cerebras failed'));
+      callThirdParty.mockResolvedValue('third-party response');
+
+      await expect(routeAPICall('prompt', '', 'out.js', null, [])).resolves.toBe('third-party response');
+      expect(callThirdParty).toHaveBeenCalledWith('prompt', '', 'out.js', null, [], {}, { token: undefined, model: 'tp-1' });
+    });
+
+    it('should be used first when CEREBRAS_MCP_PROVIDERS says so', async () => {
+      config.cerebrasApiKey = 'test-cerebras-key';
+      config.providerOrder = ['third-party', 'cerebras'];
+      callThirdParty.mockResolvedValue('third-party response');
+
+      await routeAPICall('prompt');
+
+      expect(callCerebras).not.toHaveBeenCalled();
+      expect(getAvailableProviders().map(p => p.name)).toEqual(['cerebras', 'third-party']);
+      expect(getAvailableProviders()[1].model).toBe('tp-1');
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should skip a provider that keeps timing out until the cool-down has passed', async () => {
+      vi.useFakeTimers();
+      try {
+        config.cerebrasApiKey = 'test-cerebras-key';
+        config.openRouterApiKey = 'test-openrouter-key';
+        
+        callCerebras.mockRejectedValue(new Error('Cerebras API call failed: Request timeout after 120 seconds'));
+        callOpenRouter.mockResolvedValue('openrouter response');
+        
+        for (let i = 0; i < 3; i++) {
+          await routeAPICall('prompt');
+        }
+        expect(callCerebras).toHaveBeenCalledTimes(3);
+        expect(getAvailableProviders()[0]).toMatchObject({ name: 'cerebras', available: false, circuit: { state: 'open', consecutiveFailures: 3 } });
+        
+        // Open: straight to the fallback
+        await expect(routeAPICall('prompt')).resolves.toBe('openrouter response');
+        expect(callCerebras).toHaveBeenCalledTimes(3);
+        
+        // After the cool-down one probe decides
+        vi.advanceTimersByTime(30000);
+        callCerebras.mockResolvedValue('cerebras response');
+        await expect(routeAPICall('prompt')).resolves.toBe('cerebras response');
+        expect(getAvailableProviders()[0].circuit.state).toBe('closed');
+      } finally {
+        vi.useRealTimers();
+      }
     });
   });
 
@@ -187,6 +392,17 @@ describe('APIRouter', () => {
       });
     });
 
+    it('should return the OpenAI-compatible server when a base URL is configured', () => {
+      config.openAICompatibleBaseUrl = 'http://localhost:8000/v1';
+      
+      expect(getAvailableProviders()).toEqual([expect.objectContaining({
+        name: 'openai-compatible',
+        model: 'qwen2.5-coder',
+        baseUrl: 'http://localhost:8000/v1',
+        available: true
+      })]);
+    });
+
     it('should return both providers when both keys configured', () => {
       config.cerebrasApiKey = 'cerebras-key';
       config.openRouterApiKey = 'openrouter-key';
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { loadApiKeys, isKeyPoolConfigured } from '../../src/config/api-keys.js';
+
+describe('API keys', () => {
+  describe('loadApiKeys', () => {
+    it('should load a key list from CEREBRAS_API_KEYS', () => {
+      const keys = loadApiKeys({
+        CEREBRAS_API_KEYS: JSON.stringify([
+          { id: 'team-1', key: 'csk-1', tier: 'paid', weight: 2, baseUrl: 'https://llm-gateway.internal/cerebras/v1' },
+          { id: 'team-2', key: 'csk-2', models: ['qwen-3-coder-480b'] }
+        ])
+      });
+
+      expect(keys).toEqual([
+        { id: 'team-1', key: 'csk-1', tier: 'paid', models: null, weight: 2, baseUrl: 'https://llm-gateway.internal/cerebras/v1' },
+        { id: 'team-2', key: 'csk-2', tier: 'free', models: ['qwen-3-coder-480b'], weight: 1, baseUrl: null }
+      ]);
+    });
+
+    it('should default ids and read keys from the variable named by keyEnv', () => {
+      const keys = loadApiKeys({
+        CEREBRAS_API_KEYS: JSON.stringify([{ keyEnv: 'TEAM_KEY' }]),
+        TEAM_KEY: 'csk-env'
+      });
+
+      expect(keys).toEqual([{ id: 'key-1', key: 'csk-env', tier: 'free', models: null, weight: 1, baseUrl: null }]);
+    });
+
+    describe('config file', () => {
+      let tempDir;
+
+      beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-'));
+      });
+
+      afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      });
+
+      it('should load keys from CEREBRAS_API_KEYS_FILE', async () => {
+        const file = path.join(tempDir, 'keys.json');
+        await fs.writeFile(file, JSON.stringify([{ id: 'a', key: 'csk-a' }, { id: 'b', key: 'csk-b', tier: 'paid' }]));
+
+        const keys = loadApiKeys({ CEREBRAS_API_KEYS_FILE: file });
+
+        expect(keys.map(key => `${key.id}:${key.tier}`)).toEqual(['a:free', 'b:paid']);
+      });
+
+      it('should report a missing file', () => {
+        expect(() => loadApiKeys({ CEREBRAS_API_KEYS_FILE: path.join(tempDir, 'missing.json') }))
+          .toThrow('InvalidApiKeys: Cannot read');
+      });
+    });
+
+    it('should fall back to the free and paid keys', () => {
+      expect(loadApiKeys({ CEREBRAS_FREE_KEY: 'csk-free', CEREBRAS_PAID_KEY: 'csk-paid' })).toEqual([
+        { id: 'free', key: 'csk-free', tier: 'free', models: null, weight: 1, baseUrl: null },
+        { id: 'paid', key: 'csk-paid', tier: 'paid', models: null, weight: 1, baseUrl: null }
+      ]);
+      expect(loadApiKeys({ CEREBRAS_API_KEY: 'csk-single' })).toEqual([
+        { id: 'free', key: 'csk-single', tier: 'free', models: null, weight: 1, baseUrl: null }
+      ]);
+      expect(loadApiKeys({})).toEqual([]);
+    });
+
+    it.each([
+      ['not json', 'InvalidApiKeys: CEREBRAS_API_KEYS is not valid JSON'],
+      ['[]', 'InvalidApiKeys: CEREBRAS_API_KEYS must be a non-empty JSON array of keys'],
+      ['[{"id":"a"}]', 'InvalidApiKeys: Key "a" has no API key'],
+      ['[{"id":"a","key":"k","tier":"enterprise"}]', 'InvalidApiKeys: Key "a" has unknown tier "enterprise"'],
+      ['[{"id":"a","key":"k","models":"qwen"}]', 'InvalidApiKeys: Key "a" models must be a non-empty list of model names'],
+      ['[{"id":"a","key":"k","weight":0}]', 'InvalidApiKeys: Key "a" weight must be a positive number'],
+      ['[{"id":"a","key":"k","baseUrl":"ftp://example.com"}]', 'InvalidApiKeys: Key "a" baseUrl must be an http or https URL'],
+      ['[{"id":"a","key":"k1"},{"id":"a","key":"k2"}]', 'InvalidApiKeys: CEREBRAS_API_KEYS uses the id "a" more than once']
+    ])('should reject %s', (value, message) => {
+      expect(() => loadApiKeys({ CEREBRAS_API_KEYS: value })).toThrow(message);
+    });
+  });
+
+  describe('isKeyPoolConfigured', () => {
+    it('should need a key list or both the free and paid keys', () => {
+      expect(isKeyPoolConfigured({ CEREBRAS_API_KEYS: '[]' })).toBe(true);
+      expect(isKeyPoolConfigured({ CEREBRAS_API_KEYS_FILE: '/etc/keys.json' })).toBe(true);
+      expect(isKeyPoolConfigured({ CEREBRAS_FREE_KEY: 'a', CEREBRAS_PAID_KEY: 'b' })).toBe(true);
+      expect(isKeyPoolConfigured({ CEREBRAS_API_KEY: 'a' })).toBe(false);
+    });
+  });
+});
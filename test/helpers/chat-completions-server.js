@@ -0,0 +1,27 @@
+import http from 'http';
+
+// Server-sent events body of a streamed chat completion
+export const sse = (...events) => events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+export const delta = (content) => ({ choices: [{ delta: { content } }] });
+
+// Local stand-in for an OpenAI-compatible server (vLLM, Ollama, llama.cpp, ...) that records each
+// request in server.requests and streams defaultChunks back. Set server.reply = { status, chunks }
+// to answer differently.
+export function startStubServer(defaultChunks) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      server.requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const { status = 200, chunks = defaultChunks } = server.reply;
+      res.writeHead(status, { 'Content-Type': status === 200 ? 'text/event-stream' : 'application/json' });
+      chunks.forEach(chunk => res.write(chunk));
+      res.end();
+    });
+  });
+  server.requests = [];
+  server.reply = {};
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
@@ -0,0 +1,240 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { realpathSync } from 'fs';
+import { setAllowedRoots, clearAllowedRoots } from '../../src/utils/allowed-roots.js';
+import {
+  findWorkspaceRoot,
+  getHistoryDir,
+  recordWrite,
+  listEntries,
+  pruneHistory,
+  undo,
+  formatUndoSummary
+} from '../../src/history/journal.js';
+
+describe('HistoryJournal', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'cerebras-history-'));
+    await fs.mkdir(path.join(workspace, '.git'));
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(workspace, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  // Simulate what the write tool does: write the file, then journal it
+  async function write(relativePath, content) {
+    const filePath = path.join(workspace, relativePath);
+    let before = null;
+    try {
+      before = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      // New file
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    await recordWrite(filePath, before, content);
+    return filePath;
+  }
+
+  describe('findWorkspaceRoot', () => {
+    it('should find the nearest directory with a .git marker', async () => {
+      const root = await findWorkspaceRoot(path.join(workspace, 'src', 'deep', 'file.js'));
+      expect(root).toBe(workspace);
+    });
+
+    it('should fall back to the current working directory', async () => {
+      expect(await findWorkspaceRoot()).toBe(process.cwd());
+    });
+
+    describe('inside the workspace sandbox', () => {
+      let outer;
+
+      beforeEach(async () => {
+        outer = realpathSync(workspace);
+      });
+
+      afterEach(() => {
+        clearAllowedRoots();
+      });
+
+      it('should not look above the allowed root holding the file', async () => {
+        const project = path.join(outer, 'project');
+        await fs.mkdir(path.join(project, 'src'), { recursive: true });
+        setAllowedRoots([project]);
+
+        expect(await findWorkspaceRoot(path.join(project, 'src', 'a.js'))).toBe(project);
+
+        await recordWrite(path.join(project, 'src', 'a.js'), null, 'const a = 1;');
+        expect(await listEntries(project)).toHaveLength(1);
+        expect(await listEntries(outer)).toEqual([]);
+      });
+
+      it('should still use a marker below the allowed root', async () => {
+        const nested = path.join(outer, 'packages', 'lib');
+        await fs.mkdir(path.join(nested, '.git'), { recursive: true });
+        setAllowedRoots([outer]);
+
+        expect(await findWorkspaceRoot(path.join(nested, 'src', 'a.js'))).toBe(nested);
+      });
+
+      it('should use the first allowed root without a file when the working directory is outside them', async () => {
+        setAllowedRoots([outer]);
+
+        expect(await findWorkspaceRoot()).toBe(outer);
+      });
+    });
+
+    it('should not take the .cerebras-mcp state directory in the home directory for a workspace', async () => {
+      const home = path.join(workspace, 'home');
+      await fs.mkdir(path.join(home, '.cerebras-mcp'), { recursive: true });
+      await fs.writeFile(path.join(home, '.cerebras-mcp', 'rate-limits.json'), '{}');
+      vi.spyOn(os, 'homedir').mockReturnValue(home);
+
+      expect(await findWorkspaceRoot(path.join(home, 'scratch', 'a.js'))).toBe(workspace);
+    });
+  });
+
+  describe('recordWrite', () => {
+    it('should store before and after content in the workspace journal', async () => {
+      const filePath = await write('a.js', 'const a = 1;');
+
+      const entries = await listEntries(workspace);
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ filePath, before: null, after: 'const a = 1;' });
+    });
+
+    it('should keep the journal out of git', async () => {
+      await write('a.js', 'const a = 1;');
+
+      const gitignore = await fs.readFile(path.join(workspace, '.cerebras-mcp', '.gitignore'), 'utf-8');
+      expect(gitignore.trim()).toBe('*');
+    });
+
+    it('should list entries newest first and filter by file', async () => {
+      await write('a.js', 'a1');
+      const bPath = await write('b.js', 'b1');
+      await write('a.js', 'a2');
+
+      const all = await listEntries(workspace);
+      expect(all.map(e => e.after)).toEqual(['a2', 'b1', 'a1']);
+
+      const onlyB = await listEntries(workspace, bPath);
+      expect(onlyB.map(e => e.after)).toEqual(['b1']);
+    });
+  });
+
+  describe('pruneHistory', () => {
+    it('should cap the number of entries', async () => {
+      for (let i = 0; i < 5; i++) {
+        await write('a.js', `v${i}`);
+      }
+
+      await pruneHistory(workspace, { maxEntries: 3, maxBytes: Infinity });
+
+      const entries = await listEntries(workspace);
+      expect(entries.map(e => e.after)).toEqual(['v4', 'v3', 'v2']);
+    });
+
+    it('should cap the total size but keep the newest entry', async () => {
+      await write('a.js', 'x'.repeat(1000));
+      await write('a.js', 'y'.repeat(1000));
+
+      await pruneHistory(workspace, { maxEntries: 100, maxBytes: 10 });
+
+      const entries = await listEntries(workspace);
+      expect(entries).toHaveLength(1);
+      expect(entries[0].after).toBe('y'.repeat(1000));
+    });
+  });
+
+  describe('undo', () => {
+    it('should restore the previous content of an edited file', async () => {
+      const filePath = await write('a.js', 'v1');
+      await write('a.js', 'v2');
+
+      const undone = await undo({ workspaceRoot: workspace });
+
+      expect(undone).toEqual([expect.objectContaining({ filePath, action: 'restored' })]);
+      expect(await fs.readFile(filePath, 'utf-8')).toBe('v1');
+      expect(await listEntries(workspace)).toHaveLength(1);
+    });
+
+    it('should delete files that were created by the write', async () => {
+      const filePath = await write('new.js', 'created');
+
+      const undone = await undo({ workspaceRoot: workspace });
+
+      expect(undone[0].action).toBe('deleted');
+      await expect(fs.access(filePath)).rejects.toThrow();
+    });
+
+    it('should undo several steps', async () => {
+      const aPath = await write('a.js', 'a1');
+      const bPath = await write('b.js', 'b1');
+      await write('a.js', 'a2');
+
+      await undo({ workspaceRoot: workspace, steps: 3 });
+
+      await expect(fs.access(aPath)).rejects.toThrow();
+      await expect(fs.access(bPath)).rejects.toThrow();
+      expect(await listEntries(workspace)).toEqual([]);
+    });
+
+    it('should only undo writes to the given file', async () => {
+      const aPath = await write('a.js', 'a1');
+      const bPath = await write('b.js', 'b1');
+      await write('a.js', 'a2');
+
+      await undo({ workspaceRoot: workspace, steps: 2, filePath: aPath });
+
+      await expect(fs.access(aPath)).rejects.toThrow();
+      expect(await fs.readFile(bPath, 'utf-8')).toBe('b1');
+    });
+
+    it('should refuse to undo a file modified after the write', async () => {
+      const filePath = await write('a.js', 'v1');
+      await write('a.js', 'v2');
+      await fs.writeFile(filePath, 'edited by hand');
+
+      await expect(undo({ workspaceRoot: workspace })).rejects.toThrow('was modified after the write');
+      expect(await fs.readFile(filePath, 'utf-8')).toBe('edited by hand');
+
+      await undo({ workspaceRoot: workspace, force: true });
+      expect(await fs.readFile(filePath, 'utf-8')).toBe('v1');
+    });
+
+    it('should fail when there is nothing to undo', async () => {
+      await expect(undo({ workspaceRoot: workspace })).rejects.toThrow('Nothing to undo');
+    });
+
+    it('should reject invalid step counts', async () => {
+      await expect(undo({ workspaceRoot: workspace, steps: 0 })).rejects.toThrow('positive integer');
+    });
+  });
+
+  describe('formatUndoSummary', () => {
+    it('should describe each undone write', () => {
+      const summary = formatUndoSummary([
+        { filePath: '/w/a.js', action: 'restored', timestamp: 't1' },
+        { filePath: '/w/b.js', action: 'deleted', timestamp: 't2' }
+      ]);
+
+      expect(summary).toContain('Undid 2 writes');
+      expect(summary).toContain('Restored /w/a.js');
+      expect(summary).toContain('Deleted created file /w/b.js');
+    });
+  });
+
+  it('should store the journal under .cerebras-mcp/history', () => {
+    expect(getHistoryDir('/workspace')).toBe(path.join('/workspace', '.cerebras-mcp', 'history'));
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { parseUndoArgs } from '../../src/history/undo-command.js';
+
+describe('UndoCommand', () => {
+  describe('parseUndoArgs', () => {
+    it('should default to one step for the whole workspace', () => {
+      expect(parseUndoArgs([])).toEqual({ steps: 1, filePath: null, force: false });
+    });
+
+    it('should parse steps, force and a file', () => {
+      expect(parseUndoArgs(['--steps', '3', '--force', 'src/a.js'])).toEqual({
+        steps: 3,
+        filePath: 'src/a.js',
+        force: true
+      });
+      expect(parseUndoArgs(['--steps=2']).steps).toBe(2);
+    });
+
+    it('should reject invalid arguments', () => {
+      expect(() => parseUndoArgs(['--steps', 'zero'])).toThrow('positive integer');
+      expect(() => parseUndoArgs(['--bogus'])).toThrow('Unknown option');
+      expect(() => parseUndoArgs(['a.js', 'b.js'])).toThrow('Unexpected argument');
+    });
+  });
+});
@@ -2,7 +2,11 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { RateTracker } from '../../src/ratelimit/rate-tracker.js';
 import { RateLimitedProvider } from '../../src/providers/rate-limited-provider.js';
 import { ProviderPool } from '../../src/providers/provider-pool.js';
-import { CostOptimizedStrategy } from '../../src/routing/routing-strategy.js';
+import { CostOptimizedStrategy, LatencyAwareStrategy } from '../../src/routing/routing-strategy.js';
+
+vi.mock('../../src/config/constants.js', () => ({
+  debugLog: vi.fn()
+}));
 
 describe('Rate Limiting Integration', () => {
   beforeEach(() => {
@@ -119,6 +123,145 @@ describe('Rate Limiting Integration', () => {
       ).rejects.toThrow('RateLimitExceeded');
     });
 
+    it('should not record cancelled requests', async () => {
+      const mockApiClient = {
+        callCerebras: vi.fn().mockRejectedValue(new Error('RequestCancelled: The request was cancelled by the client'))
+      };
+      
+      const modelConfigs = {
+        'test-model': {
+          free: {
+            limits: {
+              requests: { minute: 5, hour: 10, day: 20 }
+            }
+          }
+        }
+      };
+      
+      const provider = new RateLimitedProvider(mockApiClient, 'test-key', 'free', modelConfigs);
+      const controller = new AbortController();
+      
+      await expect(
+        provider.execute('test-model', 'prompt', '', '', null, [], { signal: controller.signal })
+      ).rejects.toThrow('RequestCancelled');
+      
+      expect(mockApiClient.callCerebras).toHaveBeenCalledWith('test-model', 'prompt', '', '', null, [], expect.objectContaining({ signal: controller.signal }));
+      expect(provider.getTracker('test-model').getAvailability().minute.used).toBe(0);
+    });
+
+    it('should block until the reset time reported with a 429', async () => {
+      const mockApiClient = {
+        callCerebras: vi.fn().mockImplementation(async (model, prompt, context, outputFile, language, contextFiles, options) => {
+          options.onResponseHeaders({ 'retry-after': '20', 'x-ratelimit-remaining-requests-minute': '0', 'x-ratelimit-reset-requests-minute': '45' }, 429);
+          throw new Error('Cerebras API error: 429 - Too many requests');
+        })
+      };
+      
+      const modelConfigs = {
+        'test-model': { free: { limits: { requests: { minute: 5, hour: 10, day: 20 } } } }
+      };
+      
+      const provider = new RateLimitedProvider(mockApiClient, 'test-key', 'free', modelConfigs);
+      
+      await expect(provider.execute('test-model', 'prompt', '', '', null, [])).rejects.toThrow('429');
+      
+      // No fake requests are recorded; the provider is blocked until the later of the two reset times
+      expect(provider.getTracker('test-model').getAvailability().hour.used).toBe(0);
+      expect(provider.getAvailability('test-model').blockedUntil).toBe(new Date(Date.now() + 45000).toISOString());
+      expect(provider.canHandle('test-model')).toBe(false);
+      
+      vi.advanceTimersByTime(44000);
+      expect(provider.canHandle('test-model')).toBe(false);
+      vi.advanceTimersByTime(1000);
+      expect(provider.canHandle('test-model')).toBe(true);
+    });
+
+    it('should keep the reset time of the headers after a slow response', async () => {
+      const startedAt = Date.now();
+      const mockApiClient = {
+        callCerebras: vi.fn().mockImplementation(async (model, prompt, context, outputFile, language, contextFiles, options) => {
+          options.onResponseHeaders({ 'x-ratelimit-remaining-requests-minute': '0', 'x-ratelimit-reset-requests-minute': '30' }, 200);
+          // Streaming the completion takes 20 seconds after the headers arrived
+          vi.advanceTimersByTime(20000);
+          return 'generated code';
+        })
+      };
+      
+      const modelConfigs = {
+        'test-model': { free: { limits: { requests: { minute: 5, hour: 10, day: 20 } } } }
+      };
+      
+      const provider = new RateLimitedProvider(mockApiClient, 'test-key', 'free', modelConfigs);
+      
+      await provider.execute('test-model', 'prompt', '', '', null, []);
+      
+      expect(provider.getTracker('test-model').getBlockedUntil()).toBe(startedAt + 30000);
+      vi.advanceTimersByTime(10000);
+      expect(provider.canHandle('test-model')).toBe(true);
+    });
+
+    it('should back off for a minute after a 429 without rate limit headers', async () => {
+      const mockApiClient = {
+        callCerebras: vi.fn().mockRejectedValue(new Error('Cerebras API error: 429 - Too many requests'))
+      };
+      
+      const modelConfigs = {
+        'test-model': { free: { limits: { requests: { minute: 5, hour: 10, day: 20 } } } }
+      };
+      
+      const provider = new RateLimitedProvider(mockApiClient, 'test-key', 'free', modelConfigs);
+      
+      await expect(provider.execute('test-model', 'prompt', '', '', null, [])).rejects.toThrow('429');
+      expect(provider.canHandle('test-model')).toBe(false);
+      
+      vi.advanceTimersByTime(60 * 1000);
+      expect(provider.canHandle('test-model')).toBe(true);
+    });
+
+    it('should record the token usage reported by the completion', async () => {
+      const mockApiClient = {
+        callCerebras: vi.fn().mockImplementation(async (model, prompt, context, outputFile, language, contextFiles, options) => {
+          options.onUsage({ prompt_tokens: 900, completion_tokens: 100, total_tokens: 1000 });
+          return 'response';
+        })
+      };
+      
+      const modelConfigs = {
+        'test-model': {
+          free: { limits: { requests: { minute: 5, hour: 10, day: 20 }, tokens: { minute: 1500 } } }
+        }
+      };
+      
+      const provider = new RateLimitedProvider(mockApiClient, 'test-key', 'free', modelConfigs);
+      
+      await provider.execute('test-model', 'prompt', '', '', null, [], { estimatedTokens: 800 });
+      
+      expect(provider.getTracker('test-model').getAvailability().tokens.minute.used).toBe(1000);
+      expect(provider.canHandle('test-model', 500)).toBe(true);
+      expect(provider.canHandle('test-model', 501)).toBe(false);
+      await expect(
+        provider.execute('test-model', 'prompt', '', '', null, [], { estimatedTokens: 501 })
+      ).rejects.toThrow('RateLimitExceeded: test-key tokens-minute');
+    });
+
+    it('should estimate tokens when the completion reports no usage', async () => {
+      const mockApiClient = {
+        callCerebras: vi.fn().mockResolvedValue('x'.repeat(400))
+      };
+      
+      const modelConfigs = {
+        'test-model': {
+          free: { limits: { requests: { minute: 5 }, tokens: { minute: 10000 } } }
+        }
+      };
+      
+      const provider = new RateLimitedProvider(mockApiClient, 'test-key', 'free', modelConfigs);
+      
+      await provider.execute('test-model', 'prompt', '', '', null, [], { estimatedTokens: 300 });
+      
+      expect(provider.getTracker('test-model').getAvailability().tokens.minute.used).toBe(400);
+    });
+
     it('should track different models independently', () => {
       const mockApiClient = {
         callCerebras: vi.fn()
@@ -202,6 +345,247 @@ describe('Rate Limiting Integration', () => {
       expect(mockClient2.callCerebras).toHaveBeenCalledTimes(1);
     });
 
+    it('should skip providers whose token budget cannot fit the request', async () => {
+      const mockClient1 = {
+        callCerebras: vi.fn().mockResolvedValue('response1')
+      };
+      const mockClient2 = {
+        callCerebras: vi.fn().mockResolvedValue('response2')
+      };
+      
+      const pool = new ProviderPool([
+        { apiClient: mockClient1, keyId: 'free', tier: 'free' },
+        { apiClient: mockClient2, keyId: 'paid', tier: 'paid' }
+      ], new CostOptimizedStrategy());
+      
+      pool.providers[0].modelConfigs = {
+        'test-model': { free: { limits: { requests: { minute: 30 }, tokens: { minute: 10000 } } } }
+      };
+      pool.providers[1].modelConfigs = {
+        'test-model': { paid: { limits: { requests: { minute: 30 }, tokens: { minute: 100000 } } } }
+      };
+      
+      await pool.execute('test-model', 'small', '', '', null, [], { estimatedTokens: 2000 });
+      await pool.execute('test-model', 'big', '', '', null, [], { estimatedTokens: 20000 });
+      
+      expect(mockClient1.callCerebras).toHaveBeenCalledTimes(1);
+      expect(mockClient2.callCerebras).toHaveBeenCalledTimes(1);
+      expect(mockClient2.callCerebras.mock.calls[0][1]).toBe('big');
+    });
+
+    it('should not fail over once the request was cancelled', async () => {
+      const controller = new AbortController();
+      const mockClient1 = {
+        callCerebras: vi.fn().mockImplementation(async () => {
+          controller.abort();
+          throw new Error('Cerebras API error: 429 - Too many requests');
+        })
+      };
+      const mockClient2 = {
+        callCerebras: vi.fn().mockResolvedValue('response2')
+      };
+      
+      const pool = new ProviderPool([
+        { apiClient: mockClient1, keyId: 'free', tier: 'free' },
+        { apiClient: mockClient2, keyId: 'paid', tier: 'paid' }
+      ], new CostOptimizedStrategy());
+      
+      pool.providers[0].modelConfigs = {
+        'test-model': { free: { limits: { requests: { minute: 2, hour: 10, day: 20 } } } }
+      };
+      pool.providers[1].modelConfigs = {
+        'test-model': { paid: { limits: { requests: { minute: 5, hour: 20, day: 40 } } } }
+      };
+      
+      await expect(
+        pool.execute('test-model', 'prompt', '', '', null, [], { signal: controller.signal })
+      ).rejects.toThrow('RequestCancelled');
+      expect(mockClient2.callCerebras).not.toHaveBeenCalled();
+    });
+
+    it('should only use keys for the models they are enabled for', async () => {
+      const mockClient1 = {
+        callCerebras: vi.fn().mockResolvedValue('response1')
+      };
+      const mockClient2 = {
+        callCerebras: vi.fn().mockResolvedValue('response2')
+      };
+      
+      const pool = new ProviderPool([
+        { apiClient: mockClient1, keyId: 'team-1', tier: 'free', models: ['other-model'] },
+        { apiClient: mockClient2, keyId: 'team-2', tier: 'free' }
+      ], new CostOptimizedStrategy());
+      const modelConfigs = {
+        'test-model': { free: { limits: { requests: { minute: 30 } } } },
+        'other-model': { free: { limits: { requests: { minute: 30 } } } }
+      };
+      pool.providers.forEach(provider => { provider.modelConfigs = modelConfigs; });
+      
+      await pool.execute('test-model', 'prompt', '', '', null, []);
+      
+      expect(mockClient1.callCerebras).not.toHaveBeenCalled();
+      expect(mockClient2.callCerebras).toHaveBeenCalledTimes(1);
+      expect(pool.providers[0].canHandle('test-model')).toBe(false);
+      expect(pool.providers[0].getAvailability('test-model').error).toBe('NoConfigForModel: test-model is not enabled for key team-1');
+    });
+
+    it('should spread load across keys in proportion to their weight', async () => {
+      const clients = [1, 2, 3].map(n => ({
+        apiClient: { callCerebras: vi.fn().mockResolvedValue(`response${n}`) },
+        keyId: `key-${n}`,
+        tier: 'free',
+        weight: n === 3 ? 2 : 1
+      }));
+      
+      const pool = new ProviderPool(clients, new CostOptimizedStrategy());
+      pool.providers.forEach(provider => {
+        provider.modelConfigs = { 'test-model': { free: { limits: { requests: { minute: 100 } } } } };
+      });
+      
+      for (let i = 0; i < 8; i++) {
+        await pool.execute('test-model', `prompt${i}`, '', '', null, []);
+      }
+      
+      expect(clients.map(client => client.apiClient.callCerebras.mock.calls.length)).toEqual([2, 2, 4]);
+    });
+
+    it('should feed request latency to the strategy and report it', async () => {
+      const mockClient = {
+        callCerebras: vi.fn().mockImplementation(async (model, prompt, context, outputFile, language, contextFiles, options) => {
+          vi.advanceTimersByTime(200);
+          options.onProgress({ characters: 10, chunks: 1 });
+          vi.advanceTimersByTime(800);
+          return 'response';
+        })
+      };
+      
+      const pool = new ProviderPool([{ apiClient: mockClient, keyId: 'only', tier: 'free' }], new LatencyAwareStrategy());
+      pool.providers[0].modelConfigs = {
+        'test-model': { free: { limits: { requests: { minute: 30 } } } }
+      };
+      const onProgress = vi.fn();
+      
+      await pool.execute('test-model', 'prompt', '', '', null, [], { onProgress });
+      
+      expect(onProgress).toHaveBeenCalledWith({ characters: 10, chunks: 1 });
+      expect(pool.getAvailability('test-model')[0].latency).toEqual({ timeToFirstTokenMs: 200, totalMs: 1000, samples: 1 });
+    });
+
+    describe('context windows', () => {
+      const createPool = () => {
+        const clients = ['free', 'paid'].map(tier => ({
+          apiClient: { callCerebras: vi.fn().mockResolvedValue(`${tier} response`) },
+          keyId: tier,
+          tier
+        }));
+        const pool = new ProviderPool(clients, new CostOptimizedStrategy());
+        const modelConfigs = {
+          'test-model': {
+            free: { contextWindow: 8192, limits: { requests: { minute: 30 } } },
+            paid: { contextWindow: 65536, limits: { requests: { minute: 30 } } }
+          }
+        };
+        pool.providers.forEach(provider => { provider.modelConfigs = modelConfigs; });
+        return { pool, clients };
+      };
+
+      it('should skip keys whose context window is too small for the prompt', async () => {
+        const { pool, clients } = createPool();
+        
+        await expect(pool.execute('test-model', 'small', '', '', null, [], { estimatedTokens: 4000 })).resolves.toBe('free response');
+        await expect(pool.execute('test-model', 'large', '', '', null, [], { estimatedTokens: 20000 })).resolves.toBe('paid response');
+        expect(clients[0].apiClient.callCerebras).toHaveBeenCalledTimes(1);
+      });
+
+      it('should say which context files to drop when no context window fits', async () => {
+        const { pool, clients } = createPool();
+        const contextFileTokens = [
+          { file: 'src/small.js', tokens: 3000 },
+          { file: 'src/huge.js', tokens: 40000 },
+          { file: 'src/medium.js', tokens: 20000 }
+        ];
+        
+        await expect(
+          pool.execute('test-model', 'prompt', '', '', null, [], { estimatedTokens: 70000, contextFileTokens })
+        ).rejects.toThrow('ContextTooLarge: The prompt is ~70000 tokens but the largest context window for test-model is 65536 tokens. Remove these context files to fit: src/huge.js (~40000 tokens)');
+        expect(clients[1].apiClient.callCerebras).not.toHaveBeenCalled();
+      });
+
+      it('should say when the prompt does not fit even without context files', async () => {
+        const { pool } = createPool();
+        
+        await expect(
+          pool.execute('test-model', 'prompt', '', '', null, [], { estimatedTokens: 90000, contextFileTokens: [{ file: 'src/a.js', tokens: 10000 }] })
+        ).rejects.toThrow('Even without context files it is ~80000 tokens; split the request into smaller files or use a model with a larger context window.');
+      });
+    });
+
+    it('should skip a key whose circuit breaker is open', async () => {
+      const failingClient = {
+        callCerebras: vi.fn().mockRejectedValue(new Error('Cerebras API call failed: Cerebras API error: 503 - Service unavailable'))
+      };
+      const healthyClient = {
+        callCerebras: vi.fn().mockResolvedValue('healthy response')
+      };
+      
+      const pool = new ProviderPool([
+        { apiClient: failingClient, keyId: 'failing', tier: 'free' },
+        { apiClient: healthyClient, keyId: 'healthy', tier: 'paid' }
+      ], new CostOptimizedStrategy(), { circuitBreaker: { failureThreshold: 2, cooldownMs: 30000 } });
+      const modelConfigs = {
+        'test-model': {
+          free: { limits: { requests: { minute: 30 } } },
+          paid: { limits: { requests: { minute: 30 } } }
+        }
+      };
+      pool.providers.forEach(provider => { provider.modelConfigs = modelConfigs; });
+      
+      // Each failure fails over to the healthy key until the failing key's breaker opens
+      for (let i = 0; i < 3; i++) {
+        await expect(pool.execute('test-model', 'prompt', '', '', null, [])).resolves.toBe('healthy response');
+      }
+      expect(failingClient.callCerebras).toHaveBeenCalledTimes(2);
+      expect(healthyClient.callCerebras).toHaveBeenCalledTimes(3);
+      expect(pool.getAvailability('test-model')[0].circuit).toEqual({
+        state: 'open',
+        consecutiveFailures: 2,
+        retryAt: new Date(Date.now() + 30000).toISOString()
+      });
+    });
+
+    it('should fail over to another key when a key returns 503 after its retries', async () => {
+      const clients = ['first', 'second', 'third'].map(keyId => ({
+        apiClient: { callCerebras: vi.fn().mockRejectedValue(new Error('Cerebras API call failed: Cerebras API error: 503 - Service unavailable')) },
+        keyId,
+        tier: 'free'
+      }));
+      clients[2].apiClient.callCerebras.mockResolvedValue('third key response');
+      
+      const pool = new ProviderPool(clients, new CostOptimizedStrategy());
+      pool.providers.forEach(provider => { provider.modelConfigs = { 'test-model': { free: { limits: { requests: { minute: 30 } } } } }; });
+      
+      await expect(pool.execute('test-model', 'prompt', '', '', null, [])).resolves.toBe('third key response');
+      clients.forEach(({ apiClient }) => expect(apiClient.callCerebras).toHaveBeenCalledTimes(1));
+      
+      // With every key failing the last error is passed on for the router to fall back
+      clients[2].apiClient.callCerebras.mockRejectedValue(new Error('Cerebras API call failed: Request timeout after 120000ms'));
+      await expect(pool.execute('test-model', 'prompt', '', '', null, [])).rejects.toThrow(/503|timeout/);
+    });
+
+    it('should not fail over for client errors', async () => {
+      const clients = ['first', 'second'].map(keyId => ({
+        apiClient: { callCerebras: vi.fn().mockRejectedValue(new Error('Cerebras API call failed: Cerebras API error: 400 - Bad request')) },
+        keyId,
+        tier: 'free'
+      }));
+      
+      const pool = new ProviderPool(clients, new CostOptimizedStrategy());
+      pool.providers.forEach(provider => { provider.modelConfigs = { 'test-model': { free: { limits: { requests: { minute: 30 } } } } }; });
+      
+      await expect(pool.execute('test-model', 'prompt', '', '', null, [])).rejects.toThrow('400');
+      expect(clients[0].apiClient.callCerebras.mock.calls.length + clients[1].apiClient.callCerebras.mock.calls.length).toBe(1);
+    });
+
     it('should throw when all providers exhausted', async () => {
       const mockClient = {
         callCerebras: vi.fn().mockResolvedValue('response')
@@ -228,4 +612,116 @@ describe('Rate Limiting Integration', () => {
       ).rejects.toThrow('NoProvidersAvailable');
     });
   });
-});
\ No newline at end of file
+
+  describe('ProviderPool wait mode', () => {
+    const createPool = (maxWaitMs) => {
+      const mockClient = {
+        callCerebras: vi.fn().mockResolvedValue('response')
+      };
+      const pool = new ProviderPool([{ apiClient: mockClient, keyId: 'only', tier: 'free' }], null, { maxWaitMs });
+      pool.providers[0].modelConfigs = {
+        'test-model': { free: { limits: { requests: { minute: 1, hour: 100 } } } }
+      };
+      return { pool, mockClient };
+    };
+
+    it('should queue until the minute window frees up and report the wait', async () => {
+      const { pool, mockClient } = createPool(90 * 1000);
+      const onProgress = vi.fn();
+      
+      await pool.execute('test-model', 'prompt1', '', '', null, []);
+      vi.advanceTimersByTime(55 * 1000);
+      
+      const pending = pool.execute('test-model', 'prompt2', '', '', null, [], { onProgress });
+      await vi.advanceTimersByTimeAsync(4000);
+      expect(mockClient.callCerebras).toHaveBeenCalledTimes(1);
+      
+      await vi.advanceTimersByTimeAsync(1000);
+      await expect(pending).resolves.toBe('response');
+      expect(mockClient.callCerebras).toHaveBeenCalledTimes(2);
+      expect(onProgress).toHaveBeenCalledWith({ waitMs: 5000, message: 'Rate limited: waiting 5s for test-model capacity' });
+      expect(onProgress).toHaveBeenLastCalledWith({ waitMs: 1000, message: 'Rate limited: waiting 1s for test-model capacity' });
+    });
+
+    it('should fail at once when the reset is further away than the maximum wait', async () => {
+      const { pool } = createPool(10 * 1000);
+      
+      await pool.execute('test-model', 'prompt1', '', '', null, []);
+      
+      await expect(
+        pool.execute('test-model', 'prompt2', '', '', null, [])
+      ).rejects.toThrow('NoProvidersAvailable: test-model (all keys are rate limited for another 60s, longer than the 10s maximum wait)');
+    });
+
+    it('should stop waiting when the request is cancelled', async () => {
+      const { pool, mockClient } = createPool(90 * 1000);
+      const controller = new AbortController();
+      
+      await pool.execute('test-model', 'prompt1', '', '', null, []);
+      
+      const pending = pool.execute('test-model', 'prompt2', '', '', null, [], { signal: controller.signal });
+      const assertion = expect(pending).rejects.toThrow('RequestCancelled');
+      await vi.advanceTimersByTimeAsync(2000);
+      controller.abort();
+      await assertion;
+      expect(mockClient.callCerebras).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('ProviderPool model chain', () => {
+    const createPool = (maxWaitMs = 0) => {
+      const mockClient = {
+        callCerebras: vi.fn().mockImplementation(async (model) => `${model} response`)
+      };
+      const pool = new ProviderPool([{ apiClient: mockClient, keyId: 'only', tier: 'free' }], null, { maxWaitMs });
+      pool.providers[0].modelConfigs = {
+        'model-a': { free: { contextWindow: 8192, limits: { requests: { minute: 1 } } } },
+        'model-b': { free: { contextWindow: 65536, limits: { requests: { minute: 1 } } } },
+        'model-c': { free: { contextWindow: 65536, limits: { requests: { minute: 1 } } } }
+      };
+      return { pool, mockClient };
+    };
+    const models = ['model-a', 'model-b', 'model-c'];
+
+    it('should walk the chain when the preferred model is exhausted on every key', async () => {
+      const { pool } = createPool();
+      const onModelFallback = vi.fn();
+      
+      await expect(pool.executeChain(models, 'p1', '', '', null, [], { onModelFallback })).resolves.toBe('model-a response');
+      expect(onModelFallback).not.toHaveBeenCalled();
+      
+      await expect(pool.executeChain(models, 'p2', '', '', null, [], { onModelFallback })).resolves.toBe('model-b response');
+      await expect(pool.executeChain(models, 'p3', '', '', null, [], { onModelFallback })).resolves.toBe('model-c response');
+      expect(onModelFallback).toHaveBeenLastCalledWith({ requested: 'model-a', used: 'model-c' });
+      
+      await expect(pool.executeChain(models, 'p4', '', '', null, [])).rejects.toThrow('NoProvidersAvailable: model-a');
+    });
+
+    it('should use a later model with a larger context window', async () => {
+      const { pool } = createPool();
+      
+      await expect(pool.executeChain(models, 'big', '', '', null, [], { estimatedTokens: 20000 })).resolves.toBe('model-b response');
+    });
+
+    it('should wait for the first rate limited model once the whole chain is exhausted', async () => {
+      const { pool, mockClient } = createPool(90 * 1000);
+      for (const model of models) {
+        await pool.execute(model, 'fill', '', '', null, []);
+      }
+      
+      const pending = pool.executeChain(models, 'queued', '', '', null, []);
+      await vi.advanceTimersByTimeAsync(60 * 1000);
+      
+      await expect(pending).resolves.toBe('model-a response');
+      expect(mockClient.callCerebras).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not move down the chain for other errors', async () => {
+      const { pool, mockClient } = createPool();
+      mockClient.callCerebras.mockRejectedValueOnce(new Error('Cerebras API call failed: Cerebras API error: 400 - bad request'));
+      
+      await expect(pool.executeChain(models, 'p', '', '', null, [])).rejects.toThrow('400 - bad request');
+      expect(mockClient.callCerebras).toHaveBeenCalledTimes(1);
+    });
+  });
+});
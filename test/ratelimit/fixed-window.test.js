@@ -95,6 +95,16 @@ describe('FixedWindow', () => {
       expect(window.canIncrement(6)).toBe(true);
     });
 
+    it('should check amounts larger than one', () => {
+      const window = new FixedWindow(3600);
+      
+      window.increment(700);
+      
+      expect(window.getCount()).toBe(700);
+      expect(window.canIncrement(1000, 300)).toBe(true);
+      expect(window.canIncrement(1000, 301)).toBe(false);
+    });
+
     it('should allow after reset', () => {
       const window = new FixedWindow(3600);
       
@@ -134,6 +144,17 @@ describe('FixedWindow', () => {
     });
   });
 
+  describe('timeUntilAvailable', () => {
+    it('should wait for the window reset once the limit is reached', () => {
+      const window = new FixedWindow(86400);
+      
+      expect(window.timeUntilAvailable(2)).toBe(0);
+      window.increment(2);
+      expect(window.timeUntilAvailable(2)).toBe(12 * 60 * 60 * 1000);
+      expect(window.timeUntilAvailable(2, 3)).toBe(Infinity);
+    });
+  });
+
   describe('reset', () => {
     it('should manually reset counter', () => {
       const window = new FixedWindow(3600);
@@ -176,4 +197,30 @@ describe('FixedWindow', () => {
       expect(window.getCount()).toBe(1);
     });
   });
-});
\ No newline at end of file
+
+  describe('snapshot and restore', () => {
+    it('should restore the count within the same day', () => {
+      const window = new FixedWindow(86400);
+      window.increment(40);
+      const snapshot = JSON.parse(JSON.stringify(window.snapshot()));
+      
+      vi.advanceTimersByTime(60 * 60 * 1000);
+      const restored = new FixedWindow(86400);
+      
+      expect(restored.restore(snapshot)).toBe(true);
+      expect(restored.getCount()).toBe(40);
+    });
+
+    it('should start a new day when the saved window has expired', () => {
+      const window = new FixedWindow(86400);
+      window.increment(40);
+      const snapshot = window.snapshot();
+      
+      vi.advanceTimersByTime(24 * 60 * 60 * 1000);
+      const restored = new FixedWindow(86400);
+      restored.restore(snapshot);
+      
+      expect(restored.getCount()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { parseRateLimitHeaders, parseResetValue, parseRetryAfter } from '../../src/ratelimit/rate-limit-headers.js';
+
+describe('RateLimitHeaders', () => {
+  describe('parseResetValue', () => {
+    it('should parse seconds and durations', () => {
+      expect(parseResetValue('33.5')).toBe(33500);
+      expect(parseResetValue('6m0s')).toBe(360000);
+      expect(parseResetValue('1h2m3s')).toBe(3723000);
+      expect(parseResetValue('250ms')).toBe(250);
+      expect(parseResetValue('soon')).toBeNull();
+      expect(parseResetValue(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delay seconds and HTTP dates', () => {
+      const now = Date.parse('2024-01-01T12:00:00Z');
+
+      expect(parseRetryAfter('12', now)).toBe(12000);
+      expect(parseRetryAfter('Mon, 01 Jan 2024 12:00:30 GMT', now)).toBe(30000);
+      expect(parseRetryAfter('garbage', now)).toBeNull();
+    });
+  });
+
+  describe('parseRateLimitHeaders', () => {
+    it('should parse Cerebras per-period headers', () => {
+      const info = parseRateLimitHeaders({
+        'x-ratelimit-limit-requests-day': '14400',
+        'x-ratelimit-remaining-requests-day': '14350',
+        'x-ratelimit-reset-requests-day': '33011.38',
+        'x-ratelimit-limit-tokens-minute': '60000',
+        'x-ratelimit-remaining-tokens-minute': '59000',
+        'x-ratelimit-reset-tokens-minute': '11.38',
+        'content-type': 'text/event-stream'
+      });
+
+      expect(info.retryAfterMs).toBeNull();
+      expect(info.limits['requests-day']).toEqual({ resource: 'requests', period: 'day', limit: 14400, remaining: 14350, resetMs: 33011380 });
+      expect(info.limits['tokens-minute']).toEqual({ resource: 'tokens', period: 'minute', limit: 60000, remaining: 59000, resetMs: 11380 });
+    });
+
+    it('should treat headers without a period as per minute', () => {
+      const info = parseRateLimitHeaders({
+        'x-ratelimit-remaining-requests': '0',
+        'x-ratelimit-reset-requests': '1m30s',
+        'retry-after': '90'
+      });
+
+      expect(info.retryAfterMs).toBe(90000);
+      expect(info.limits['requests-minute']).toMatchObject({ remaining: 0, resetMs: 90000 });
+    });
+
+    it('should return null without rate limit headers', () => {
+      expect(parseRateLimitHeaders({ 'content-type': 'application/json' })).toBeNull();
+    });
+  });
+});
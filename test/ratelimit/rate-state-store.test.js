@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { RateStateStore } from '../../src/ratelimit/rate-state-store.js';
+import { RateTracker } from '../../src/ratelimit/rate-tracker.js';
+import { RateLimitedProvider } from '../../src/providers/rate-limited-provider.js';
+import { ProviderPool } from '../../src/providers/provider-pool.js';
+import { CostOptimizedStrategy } from '../../src/routing/routing-strategy.js';
+
+describe('RateStateStore', () => {
+  let tempDir;
+  let statePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rate-state-'));
+    statePath = path.join(tempDir, 'nested', 'rate-limits.json');
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return no state when the file does not exist', () => {
+    const store = new RateStateStore(statePath);
+
+    expect(store.get('free', 'qwen-3-coder-480b')).toBeNull();
+  });
+
+  it('should save and reload snapshots per key and model', async () => {
+    const store = new RateStateStore(statePath);
+    await store.update('free', 'model-a', () => ({ windows: { day: { windowSeconds: 86400, count: 7, windowStart: 0 } } }));
+    await store.update('paid', 'model-a', () => ({ windows: {} }));
+
+    const reloaded = new RateStateStore(statePath);
+
+    expect(reloaded.get('free', 'model-a').windows.day.count).toBe(7);
+    expect(reloaded.get('paid', 'model-a')).toEqual({ windows: {} });
+    expect(reloaded.get('free', 'model-b')).toBeNull();
+  });
+
+  it('should ignore a corrupt state file', async () => {
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await fs.writeFile(statePath, '{not json');
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const store = new RateStateStore(statePath);
+
+    expect(store.get('free', 'model-a')).toBeNull();
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  it('should restore a tracker in a new process', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01 12:00:00'));
+
+    const tracker = new RateTracker({ minute: 10, hour: 100, day: 100 });
+    for (let i = 0; i < 5; i++) {
+      tracker.recordRequest();
+    }
+    tracker.blockUntil(Date.now() + 30000, 'retry-after');
+
+    const store = new RateStateStore(statePath);
+    await store.update('free', 'qwen-3-coder-480b', () => tracker.snapshot());
+
+    // Two minutes later: the minute window has expired, the hour and day windows still count
+    vi.advanceTimersByTime(2 * 60 * 1000);
+    const restored = new RateTracker({ minute: 10, hour: 100, day: 100 });
+    restored.restore(new RateStateStore(statePath).get('free', 'qwen-3-coder-480b'));
+
+    const availability = restored.getAvailability();
+    expect(availability.minute.used).toBe(0);
+    expect(availability.hour.used).toBe(5);
+    expect(availability.day.available).toBe(95);
+    expect(restored.getBlockedUntil()).toBeNull();
+  });
+
+  it('should let a provider pick up the quota a previous process spent', async () => {
+    const modelConfigs = {
+      'test-model': { free: { limits: { requests: { minute: 10, hour: 100, day: 3 } } } }
+    };
+    const apiClient = { callCerebras: vi.fn().mockResolvedValue('response') };
+
+    const first = new RateLimitedProvider(apiClient, 'free', 'free', modelConfigs, new RateStateStore(statePath));
+    await first.execute('test-model', 'prompt', '', '', null, []);
+    await first.execute('test-model', 'prompt', '', '', null, []);
+
+    const second = new RateLimitedProvider(apiClient, 'free', 'free', modelConfigs, new RateStateStore(statePath));
+    expect(second.getAvailability('test-model').day).toEqual({ used: 2, limit: 3, available: 1 });
+
+    await second.execute('test-model', 'prompt', '', '', null, []);
+    expect(second.canHandle('test-model')).toBe(false);
+  });
+
+  describe('shared between processes', () => {
+    const modelConfigs = {
+      'test-model': {
+        free: { limits: { requests: { minute: 10, hour: 100, day: 3 } } },
+        paid: { limits: { requests: { minute: 10, hour: 100, day: 100 } } }
+      }
+    };
+
+    it('should combine usage recorded by concurrent processes', async () => {
+      const apiClient = { callCerebras: vi.fn().mockResolvedValue('response') };
+
+      // Each server process has its own pool and its own view of the state file
+      const poolA = new ProviderPool([{ apiClient, keyId: 'free', tier: 'free' }], new CostOptimizedStrategy(), { stateStore: new RateStateStore(statePath) });
+      const poolB = new ProviderPool([{ apiClient, keyId: 'free', tier: 'free' }], new CostOptimizedStrategy(), { stateStore: new RateStateStore(statePath) });
+      poolA.providers[0].modelConfigs = modelConfigs;
+      poolB.providers[0].modelConfigs = modelConfigs;
+
+      await Promise.all([
+        poolA.execute('test-model', 'a1', '', '', null, []),
+        poolB.execute('test-model', 'b1', '', '', null, [])
+      ]);
+      await poolA.execute('test-model', 'a2', '', '', null, []);
+
+      // The day limit of 3 is used up across both processes
+      await expect(poolB.execute('test-model', 'b2', '', '', null, [])).rejects.toThrow('NoProvidersAvailable');
+      expect(apiClient.callCerebras).toHaveBeenCalledTimes(3);
+    });
+
+    it('should serialize updates with a lock file', async () => {
+      const stores = [new RateStateStore(statePath), new RateStateStore(statePath), new RateStateStore(statePath)];
+
+      await Promise.all(stores.map((store, index) => store.update('free', 'test-model', (saved) => ({ count: (saved?.count || 0) + 1, by: index }))));
+
+      expect(new RateStateStore(statePath).get('free', 'test-model').count).toBe(3);
+      await expect(fs.access(`${statePath}.lock`)).rejects.toThrow();
+    });
+
+    it('should take over a stale lock', async () => {
+      await fs.mkdir(path.dirname(statePath), { recursive: true });
+      await fs.writeFile(`${statePath}.lock`, '12345');
+      const old = new Date(Date.now() - 60 * 1000);
+      await fs.utimes(`${statePath}.lock`, old, old);
+
+      await new RateStateStore(statePath).update('free', 'test-model', () => ({ count: 1 }));
+
+      expect(new RateStateStore(statePath).get('free', 'test-model')).toEqual({ count: 1 });
+    });
+
+    it('should fall back to in-process tracking when the store is unavailable', async () => {
+      // A regular file where the state directory should be
+      const blocker = path.join(tempDir, 'blocker');
+      await fs.writeFile(blocker, '');
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const apiClient = { callCerebras: vi.fn().mockResolvedValue('response') };
+      const provider = new RateLimitedProvider(apiClient, 'free', 'free', modelConfigs, new RateStateStore(path.join(blocker, 'rate-limits.json')));
+
+      await provider.execute('test-model', 'prompt', '', '', null, []);
+
+      expect(provider.getAvailability('test-model').day.used).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('tracking usage in this process only'));
+      errorSpy.mockRestore();
+    });
+
+    it('should keep counting in-process in a pool while the state file cannot be locked', async () => {
+      // A directory where the lock file should be: the lock can never be taken
+      await fs.mkdir(`${statePath}.lock`, { recursive: true });
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const apiClient = { callCerebras: vi.fn().mockResolvedValue('response') };
+      const pool = new ProviderPool([{ apiClient, keyId: 'paid', tier: 'paid' }], new CostOptimizedStrategy(), { stateStore: new RateStateStore(statePath) });
+      pool.providers[0].modelConfigs = modelConfigs;
+
+      const startedAt = Date.now();
+      for (let i = 0; i < 3; i++) {
+        await pool.execute('test-model', `prompt ${i}`, '', '', null, []);
+      }
+
+      expect(pool.providers[0].getAvailability('test-model').day.used).toBe(3);
+      // Only the first request waits for the lock; later ones don't retry it yet
+      expect(Date.now() - startedAt).toBeLessThan(4000);
+      const warnings = errorSpy.mock.calls.map(([message]) => message);
+      expect(warnings.filter(message => message.includes('tracking usage in this process only'))).toHaveLength(1);
+      expect(warnings.filter(message => message.includes('available again'))).toHaveLength(0);
+    });
+  });
+});
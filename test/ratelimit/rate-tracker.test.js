@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RateTracker } from '../../src/ratelimit/rate-tracker.js';
+import { parseRateLimitHeaders } from '../../src/ratelimit/rate-limit-headers.js';
+
+describe('RateTracker server state', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01 12:00:00'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should report what the server says is remaining', () => {
+    const tracker = new RateTracker({ minute: 30, hour: 900, day: 14400 });
+
+    tracker.updateFromServer(parseRateLimitHeaders({
+      'x-ratelimit-remaining-requests-day': '3',
+      'x-ratelimit-reset-requests-day': '3600'
+    }));
+
+    expect(tracker.getAvailability().day).toEqual({ used: 14397, limit: 14400, available: 3, serverRemaining: 3 });
+    expect(tracker.canHandle()).toBe(true);
+  });
+
+  it('should count requests made after the server report', () => {
+    const tracker = new RateTracker({ minute: 30, hour: 900, day: 14400 });
+
+    // Headers of a successful request that is recorded right after
+    tracker.updateFromServer(parseRateLimitHeaders({
+      'x-ratelimit-remaining-requests-day': '2',
+      'x-ratelimit-reset-requests-day': '3600'
+    }), { pendingRequest: true });
+    tracker.recordRequest();
+    expect(tracker.getAvailability().day.available).toBe(2);
+
+    tracker.recordRequest();
+    tracker.recordRequest();
+    expect(tracker.canHandle()).toBe(false);
+    expect(tracker.getBottleneck()).toBe('day');
+  });
+
+  it('should block exactly until the reported reset', () => {
+    const tracker = new RateTracker({ minute: 30, hour: 900, day: 14400 });
+
+    tracker.updateFromServer(parseRateLimitHeaders({
+      'x-ratelimit-remaining-tokens-minute': '0',
+      'x-ratelimit-reset-tokens-minute': '12.5'
+    }));
+
+    expect(tracker.canHandle()).toBe(false);
+    expect(tracker.getBottleneck()).toBe(`tokens-minute until ${new Date(Date.now() + 12500).toISOString()}`);
+
+    vi.advanceTimersByTime(12499);
+    expect(tracker.canHandle()).toBe(false);
+    vi.advanceTimersByTime(1);
+    expect(tracker.canHandle()).toBe(true);
+  });
+
+  it('should fall back to local counts after the server window resets', () => {
+    const tracker = new RateTracker({ minute: 30, hour: 900, day: 14400 });
+
+    tracker.updateFromServer(parseRateLimitHeaders({
+      'x-ratelimit-remaining-requests-minute': '1',
+      'x-ratelimit-reset-requests-minute': '10'
+    }));
+    expect(tracker.getAvailability().minute.available).toBe(1);
+
+    vi.advanceTimersByTime(10000);
+    expect(tracker.getAvailability().minute).toEqual({ used: 0, limit: 30, available: 30 });
+  });
+
+  it('should honor Retry-After', () => {
+    const tracker = new RateTracker({ minute: 30, hour: 900, day: 14400 });
+
+    tracker.updateFromServer(parseRateLimitHeaders({ 'retry-after': '5' }));
+
+    expect(tracker.getBlockedUntil()).toBe(Date.now() + 5000);
+    vi.advanceTimersByTime(5000);
+    expect(tracker.getBlockedUntil()).toBeNull();
+    expect(tracker.canHandle()).toBe(true);
+  });
+
+  describe('token limits', () => {
+    it('should track tokens alongside requests', () => {
+      const tracker = new RateTracker({ minute: 30, hour: 900, day: 14400 }, { minute: 1000, day: 5000 });
+
+      tracker.recordRequest();
+      tracker.recordTokens(400);
+
+      const availability = tracker.getAvailability();
+      expect(availability.minute.used).toBe(1);
+      expect(availability.tokens.minute).toEqual({ used: 400, limit: 1000, available: 600 });
+      expect(availability.tokens.day).toEqual({ used: 400, limit: 5000, available: 4600 });
+    });
+
+    it('should refuse requests that do not fit the remaining token budget', () => {
+      const tracker = new RateTracker({ minute: 30 }, { minute: 1000 });
+      tracker.recordTokens(700);
+
+      expect(tracker.canHandle(300)).toBe(true);
+      expect(tracker.canHandle(301)).toBe(false);
+      expect(tracker.getBottleneck(301)).toBe('tokens-minute (300 left, ~301 needed)');
+
+      vi.advanceTimersByTime(60 * 1000);
+      expect(tracker.canHandle(301)).toBe(true);
+    });
+
+    it('should use the remaining tokens the server reports', () => {
+      const tracker = new RateTracker({ minute: 30 }, { minute: 60000 });
+
+      tracker.updateFromServer(parseRateLimitHeaders({
+        'x-ratelimit-remaining-tokens-minute': '5000',
+        'x-ratelimit-reset-tokens-minute': '30'
+      }));
+      tracker.recordTokens(1000);
+
+      expect(tracker.getAvailability().tokens.minute.available).toBe(4000);
+      expect(tracker.canHandle(4500)).toBe(false);
+    });
+
+    it('should not track tokens without token limits', () => {
+      const tracker = new RateTracker({ minute: 30 });
+      tracker.recordTokens(1000000);
+
+      expect(tracker.getAvailability().tokens).toBeUndefined();
+      expect(tracker.canHandle(1000000)).toBe(true);
+    });
+  });
+
+  describe('timeUntilAvailable', () => {
+    it('should be zero when the tracker can handle the request', () => {
+      const tracker = new RateTracker({ minute: 30 }, { minute: 10000 });
+
+      expect(tracker.timeUntilAvailable(5000)).toBe(0);
+    });
+
+    it('should wait for the slowest exhausted window', () => {
+      const tracker = new RateTracker({ minute: 2, hour: 100 }, { minute: 10000 });
+      tracker.recordRequest();
+      tracker.recordTokens(8000);
+      vi.advanceTimersByTime(20 * 1000);
+      tracker.recordRequest();
+
+      // Requests free up 40s from now; a 5000 token request also needs the first 8000 tokens to expire
+      expect(tracker.timeUntilAvailable()).toBe(40 * 1000);
+      expect(tracker.timeUntilAvailable(5000)).toBe(40 * 1000);
+
+      vi.advanceTimersByTime(40 * 1000);
+      expect(tracker.canHandle(5000)).toBe(true);
+      expect(tracker.timeUntilAvailable(5000)).toBe(0);
+    });
+
+    it('should wait out blocks and exhausted server budgets', () => {
+      const tracker = new RateTracker({ minute: 30 }, { minute: 100000 });
+      tracker.updateFromServer(parseRateLimitHeaders({
+        'x-ratelimit-remaining-tokens-minute': '1000',
+        'x-ratelimit-reset-tokens-minute': '15'
+      }));
+
+      expect(tracker.timeUntilAvailable(500)).toBe(0);
+      expect(tracker.timeUntilAvailable(2000)).toBe(15 * 1000);
+
+      tracker.blockUntil(Date.now() + 30 * 1000, 'retry-after');
+      expect(tracker.timeUntilAvailable()).toBe(30 * 1000);
+    });
+
+    it('should never fit a request larger than the token limit', () => {
+      const tracker = new RateTracker({ minute: 30 }, { minute: 10000 });
+
+      expect(tracker.timeUntilAvailable(20000)).toBe(Infinity);
+    });
+  });
+});
@@ -80,6 +80,16 @@ describe('SlidingWindow', () => {
       expect(window.canIncrement(6)).toBe(true);
     });
 
+    it('should check amounts larger than one', () => {
+      const window = new SlidingWindow(60, 10);
+      
+      window.increment(700);
+      
+      expect(window.getCount()).toBe(700);
+      expect(window.canIncrement(1000, 300)).toBe(true);
+      expect(window.canIncrement(1000, 301)).toBe(false);
+    });
+
     it('should respect sliding window', () => {
       const window = new SlidingWindow(30, 10);
       
@@ -94,6 +104,38 @@ describe('SlidingWindow', () => {
     });
   });
 
+  describe('timeUntilAvailable', () => {
+    it('should be zero while the limit has room', () => {
+      const window = new SlidingWindow(60, 1);
+      window.increment(2);
+      
+      expect(window.timeUntilAvailable(3)).toBe(0);
+    });
+
+    it('should wait until enough of the oldest buckets expire', () => {
+      const window = new SlidingWindow(60, 1);
+      window.increment(2);
+      vi.advanceTimersByTime(10 * 1000);
+      window.increment(1);
+      vi.advanceTimersByTime(5 * 1000);
+      
+      // The two oldest requests leave the window 60s after they were made
+      expect(window.timeUntilAvailable(3)).toBe(45 * 1000);
+      // Fitting two more also needs the third one to expire
+      expect(window.timeUntilAvailable(3, 3)).toBe(55 * 1000);
+      
+      vi.advanceTimersByTime(45 * 1000);
+      expect(window.canIncrement(3)).toBe(true);
+      expect(window.timeUntilAvailable(3)).toBe(0);
+    });
+
+    it('should never fit more than the limit', () => {
+      const window = new SlidingWindow(60, 1);
+      
+      expect(window.timeUntilAvailable(1000, 1001)).toBe(Infinity);
+    });
+  });
+
   describe('reset', () => {
     it('should clear all buckets', () => {
       const window = new SlidingWindow(60, 10);
@@ -142,4 +184,31 @@ describe('SlidingWindow', () => {
       expect(window.getCount()).toBe(1); // First increment should be gone
     });
   });
-});
\ No newline at end of file
+
+  describe('snapshot and restore', () => {
+    it('should rehydrate buckets and expire the ones that aged out', () => {
+      const window = new SlidingWindow(60, 1);
+      window.increment(3);
+      vi.advanceTimersByTime(30 * 1000);
+      window.increment(2);
+      const snapshot = JSON.parse(JSON.stringify(window.snapshot()));
+      
+      // 40 seconds later a new process restores the state: the first 3 requests have aged out
+      vi.advanceTimersByTime(40 * 1000);
+      const restored = new SlidingWindow(60, 1);
+      
+      expect(restored.restore(snapshot)).toBe(true);
+      expect(restored.getCount()).toBe(2);
+    });
+
+    it('should ignore snapshots of a differently shaped window', () => {
+      const window = new SlidingWindow(60, 1);
+      window.increment(5);
+      
+      const other = new SlidingWindow(3600, 60);
+      
+      expect(other.restore(window.snapshot())).toBe(false);
+      expect(other.getCount()).toBe(0);
+    });
+  });
+});
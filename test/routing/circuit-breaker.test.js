@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../src/config/constants.js', () => ({
+  debugLog: vi.fn()
+}));
+
+import { CircuitBreaker, isProviderFailure } from '../../src/routing/circuit-breaker.js';
+
+const timeout = () => Promise.reject(new Error('Cerebras API call failed: Request timeout after 120 seconds'));
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01 12:00:00'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should open after consecutive failures and fail fast while open', async () => {
+    const breaker = new CircuitBreaker('cerebras', { failureThreshold: 3, cooldownMs: 30000 });
+    const operation = vi.fn(timeout);
+
+    for (let i = 0; i < 3; i++) {
+      await expect(breaker.execute(operation)).rejects.toThrow('Request timeout');
+    }
+
+    expect(breaker.getStatus()).toEqual({ state: 'open', consecutiveFailures: 3, retryAt: '2024-01-01T12:00:30.000Z' });
+    await expect(breaker.execute(operation)).rejects.toThrow('CircuitOpen: cerebras failed 3 times in a row, skipping it until 2024-01-01T12:00:30.000Z');
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  it('should reset the count when a request succeeds', async () => {
+    const breaker = new CircuitBreaker('cerebras', { failureThreshold: 2 });
+
+    await expect(breaker.execute(timeout)).rejects.toThrow();
+    await breaker.execute(async () => 'ok');
+    await expect(breaker.execute(timeout)).rejects.toThrow();
+
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+
+  it('should let a single probe through after the cool-down', async () => {
+    const breaker = new CircuitBreaker('cerebras', { failureThreshold: 1, cooldownMs: 30000 });
+    await expect(breaker.execute(timeout)).rejects.toThrow();
+
+    vi.advanceTimersByTime(30000);
+    expect(breaker.getStatus().state).toBe('half-open');
+
+    let finishProbe;
+    const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+    expect(breaker.isAvailable()).toBe(false);
+    await expect(breaker.execute(async () => 'second')).rejects.toThrow('CircuitOpen: cerebras is being probed after repeated failures');
+
+    finishProbe('ok');
+    await expect(probe).resolves.toBe('ok');
+    expect(breaker.getStatus()).toEqual({ state: 'closed', consecutiveFailures: 0, retryAt: null });
+  });
+
+  it('should open again when the probe fails', async () => {
+    const breaker = new CircuitBreaker('cerebras', { failureThreshold: 3, cooldownMs: 30000 });
+    for (let i = 0; i < 3; i++) {
+      await expect(breaker.execute(timeout)).rejects.toThrow();
+    }
+
+    vi.advanceTimersByTime(30000);
+    await expect(breaker.execute(timeout)).rejects.toThrow('Request timeout');
+
+    expect(breaker.getStatus()).toEqual({ state: 'open', consecutiveFailures: 4, retryAt: '2024-01-01T12:01:00.000Z' });
+  });
+
+  it('should not count client errors or cancellations as failures', async () => {
+    const breaker = new CircuitBreaker('cerebras', { failureThreshold: 1 });
+
+    await expect(breaker.execute(() => Promise.reject(new Error('Cerebras API error: 429 - Too many requests')))).rejects.toThrow();
+    await expect(breaker.execute(() => Promise.reject(new Error('RequestCancelled: The request was cancelled by the client')))).rejects.toThrow();
+
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+
+  it('should recognize provider failures', () => {
+    expect(isProviderFailure(new Error('Cerebras API call failed: Cerebras API error: 503 - unavailable'))).toBe(true);
+    expect(isProviderFailure(new Error('Request failed: connect ECONNREFUSED 127.0.0.1:443'))).toBe(true);
+    expect(isProviderFailure(new Error('OpenRouter API call failed: Connect timeout after 10 seconds'))).toBe(true);
+    expect(isProviderFailure(new Error('Cerebras API error: 400 - bad request'))).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { LatencyAwareStrategy } from '../../src/routing/routing-strategy.js';
+
+// Minimal provider: fixed utilization, optionally unable to take requests
+function fakeProvider(keyId, { utilization = 0, canHandle = true } = {}) {
+  return {
+    keyId,
+    canHandle: () => canHandle,
+    getUtilization: () => utilization
+  };
+}
+
+describe('LatencyAwareStrategy', () => {
+  it('should try unmeasured providers first', () => {
+    const strategy = new LatencyAwareStrategy();
+    const fast = fakeProvider('fast');
+    const fresh = fakeProvider('fresh');
+    strategy.recordLatency(fast, 'model', { timeToFirstTokenMs: 100, totalMs: 900 });
+
+    expect(strategy.select([fast, fresh], 'model')).toBe(fresh);
+  });
+
+  it('should prefer the lowest average time to first token', () => {
+    const strategy = new LatencyAwareStrategy();
+    const a = fakeProvider('a');
+    const b = fakeProvider('b');
+    strategy.recordLatency(a, 'model', { timeToFirstTokenMs: 300, totalMs: 2000 });
+    strategy.recordLatency(b, 'model', { timeToFirstTokenMs: 500, totalMs: 1500 });
+
+    expect(strategy.select([a, b], 'model')).toBe(a);
+
+    // a slows down: the moving average follows it until b is faster
+    strategy.recordLatency(a, 'model', { timeToFirstTokenMs: 1000, totalMs: 3000 });
+    expect(strategy.getStats(a, 'model')).toEqual({ timeToFirstTokenMs: 510, totalMs: 2300, samples: 2 });
+    expect(strategy.select([a, b], 'model')).toBe(b);
+  });
+
+  it('should keep statistics per model', () => {
+    const strategy = new LatencyAwareStrategy();
+    const a = fakeProvider('a');
+    strategy.recordLatency(a, 'model-1', { timeToFirstTokenMs: 300, totalMs: 2000 });
+
+    expect(strategy.getStats(a, 'model-2')).toBeNull();
+  });
+
+  it('should skip fast providers without headroom while others have it', () => {
+    const strategy = new LatencyAwareStrategy({ maxUtilization: 0.8 });
+    const busy = fakeProvider('busy', { utilization: 0.9 });
+    const idle = fakeProvider('idle', { utilization: 0.1 });
+    strategy.recordLatency(busy, 'model', { timeToFirstTokenMs: 100, totalMs: 500 });
+    strategy.recordLatency(idle, 'model', { timeToFirstTokenMs: 800, totalMs: 3000 });
+
+    expect(strategy.select([busy, idle], 'model')).toBe(idle);
+    expect(strategy.select([busy, fakeProvider('full', { canHandle: false })], 'model')).toBe(busy);
+  });
+
+  it('should throw when no provider can handle the request', () => {
+    const strategy = new LatencyAwareStrategy();
+
+    expect(() => strategy.select([fakeProvider('a', { canHandle: false })], 'model')).toThrow('NoProvidersAvailable: model');
+  });
+});
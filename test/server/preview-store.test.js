@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { savePreview, getPreview, deletePreview, clearPreviews, PREVIEW_TTL_MS } from '../../src/server/preview-store.js';
+
+describe('PreviewStore', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01 12:00:00'));
+    clearPreviews();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should store and retrieve previews by token', () => {
+    const token = savePreview({ filePath: '/test/file.js', originalContent: null, newContent: 'code' });
+
+    expect(getPreview(token)).toMatchObject({ filePath: '/test/file.js', newContent: 'code' });
+  });
+
+  it('should issue unique tokens', () => {
+    const first = savePreview({ filePath: '/a.js', originalContent: null, newContent: 'a' });
+    const second = savePreview({ filePath: '/a.js', originalContent: null, newContent: 'a' });
+
+    expect(first).not.toBe(second);
+  });
+
+  it('should delete previews', () => {
+    const token = savePreview({ filePath: '/test/file.js', originalContent: null, newContent: 'code' });
+    deletePreview(token);
+
+    expect(getPreview(token)).toBeNull();
+  });
+
+  it('should expire previews after the TTL', () => {
+    const token = savePreview({ filePath: '/test/file.js', originalContent: null, newContent: 'code' });
+
+    vi.advanceTimersByTime(PREVIEW_TTL_MS - 1000);
+    expect(getPreview(token)).not.toBeNull();
+
+    vi.advanceTimersByTime(1000);
+    expect(getPreview(token)).toBeNull();
+  });
+
+  it('should evict the oldest previews when full', () => {
+    const first = savePreview({ filePath: '/0.js', originalContent: null, newContent: '0' });
+    for (let i = 1; i <= 50; i++) {
+      savePreview({ filePath: `/${i}.js`, originalContent: null, newContent: String(i) });
+    }
+
+    expect(getPreview(first)).toBeNull();
+  });
+});
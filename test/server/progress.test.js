@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../src/config/constants.js', () => ({
+  debugLog: vi.fn()
+}));
+
+import { createProgressReporter } from '../../src/server/progress.js';
+
+describe('Progress', () => {
+  let server;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    server = { notification: vi.fn().mockResolvedValue(undefined) };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should return undefined when the client sent no progress token', () => {
+    expect(createProgressReporter(server, { params: { name: 'write' } })).toBeUndefined();
+  });
+
+  it('should send progress notifications with the client token', () => {
+    const onProgress = createProgressReporter(server, { params: { _meta: { progressToken: 'tok-1' } } });
+
+    onProgress({ characters: 120, chunks: 4 });
+
+    expect(server.notification).toHaveBeenCalledWith({
+      method: 'notifications/progress',
+      params: { progressToken: 'tok-1', progress: 120 }
+    });
+  });
+
+  it('should throttle notifications', () => {
+    const onProgress = createProgressReporter(server, { params: { _meta: { progressToken: 7 } } }, 250);
+
+    onProgress({ characters: 10 });
+    onProgress({ characters: 20 });
+    expect(server.notification).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(250);
+    onProgress({ characters: 30 });
+    expect(server.notification).toHaveBeenCalledTimes(2);
+    expect(server.notification.mock.calls[1][0].params.progress).toBe(30);
+  });
+
+  it('should report rate limit waits and keep progress increasing afterwards', () => {
+    const onProgress = createProgressReporter(server, { params: { _meta: { progressToken: 'tok' } } }, 250);
+
+    onProgress({ waitMs: 5000, message: 'Rate limited: waiting 5s for test-model capacity' });
+    onProgress({ waitMs: 4000, message: 'Rate limited: waiting 4s for test-model capacity' });
+    vi.advanceTimersByTime(250);
+    onProgress({ characters: 10 });
+
+    expect(server.notification.mock.calls.map(([notification]) => notification.params)).toEqual([
+      { progressToken: 'tok', progress: 1, message: 'Rate limited: waiting 5s for test-model capacity' },
+      { progressToken: 'tok', progress: 2, message: 'Rate limited: waiting 4s for test-model capacity' },
+      { progressToken: 'tok', progress: 12 }
+    ]);
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { handleWriteTool } from '../../src/server/tool-handlers.js';
+import { handleWriteTool, handleWriteManyTool, handleApplyTool, handleUndoTool } from '../../src/server/tool-handlers.js';
+import { clearPreviews } from '../../src/server/preview-store.js';
 import path from 'path';
 import os from 'os';
 import fs from 'fs/promises';
@@ -12,7 +13,8 @@ vi.mock('../../src/config/constants.js', () => ({
 
 vi.mock('../../src/utils/file-utils.js', () => ({
   readFileContent: vi.fn(),
-  writeFileContent: vi.fn()
+  writeFileContent: vi.fn(),
+  resolveFilePath: vi.fn(filePath => filePath)
 }));
 
 vi.mock('../../src/utils/code-cleaner.js', () => ({
@@ -28,18 +30,27 @@ vi.mock('../../src/api/router/router.js', () => ({
   routeAPICall: vi.fn()
 }));
 
+vi.mock('../../src/history/journal.js', () => ({
+  recordWrite: vi.fn(),
+  findWorkspaceRoot: vi.fn(),
+  undo: vi.fn(),
+  formatUndoSummary: vi.fn()
+}));
+
 vi.mock('../../src/formatting/response-formatter.js', () => ({
   formatEditResponse: vi.fn(),
   formatCreateResponse: vi.fn()
 }));
 
-import { readFileContent, writeFileContent } from '../../src/utils/file-utils.js';
+import { readFileContent, writeFileContent, resolveFilePath } from '../../src/utils/file-utils.js';
+import { setAllowedRoots, clearAllowedRoots } from '../../src/utils/allowed-roots.js';
 import { cleanCodeResponse } from '../../src/utils/code-cleaner.js';
 import { formatEditResponse, formatCreateResponse } from '../../src/formatting/response-formatter.js';
+import { recordWrite, findWorkspaceRoot, undo, formatUndoSummary } from '../../src/history/journal.js';
 
 // Import the mocked router - it will be one or the other based on env vars
 let routeAPICall;
-if (process.env.CEREBRAS_FREE_KEY && process.env.CEREBRAS_PAID_KEY) {
+if (process.env.CEREBRAS_API_KEYS || process.env.CEREBRAS_API_KEYS_FILE || (process.env.CEREBRAS_FREE_KEY && process.env.CEREBRAS_PAID_KEY)) {
   const module = await import('../../src/api/router/enhanced-router.js');
   routeAPICall = module.routeAPICall;
 } else {
@@ -52,6 +63,7 @@ describe('ToolHandlers', () => {
     vi.clearAllMocks();
     // Set default mock implementations
     cleanCodeResponse.mockImplementation(code => code);
+    resolveFilePath.mockImplementation(filePath => filePath);
   });
 
   afterEach(() => {
@@ -82,7 +94,8 @@ describe('ToolHandlers', () => {
         '',
         '/test/new-file.js',
         null,
-        []
+        [],
+        { editMode: 'full', onModelFallback: expect.any(Function), onContextFiles: expect.any(Function) }
       );
       expect(writeFileContent).toHaveBeenCalledWith(
         '/test/new-file.js',
@@ -141,8 +154,99 @@ describe('ToolHandlers', () => {
         '',
         '/test/output.js',
         null,
-        ['/test/context1.js', '/test/context2.js']
+        ['/test/context1.js', '/test/context2.js'],
+        { editMode: 'full', onModelFallback: expect.any(Function), onContextFiles: expect.any(Function) }
+      );
+    });
+
+    it('should forward progress reporting to the router', async () => {
+      const onProgress = vi.fn();
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockResolvedValue('generated code');
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+      await handleWriteTool({ file_path: '/test/output.js', prompt: 'Generate' }, { onProgress });
+
+      expect(routeAPICall.mock.calls[0][5].onProgress).toBe(onProgress);
+    });
+
+    it('should note when a fallback model generated the code', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockImplementation(async (prompt, context, outputFile, language, contextFiles, options) => {
+        options.onModelFallback({ requested: 'qwen-3-coder-480b', used: 'llama-3.3-70b' });
+        return 'generated code';
+      });
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+      const result = await handleWriteTool({ file_path: '/test/output.js', prompt: 'Generate' });
+
+      expect(result.content[result.content.length - 1].text).toBe('ℹ️ Generated with llama-3.3-70b because qwen-3-coder-480b was unavailable (rate limited or prompt too large).');
+    });
+
+    it('should report which context files were included, outlined or dropped', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockImplementation(async (prompt, context, outputFile, language, contextFiles, options) => {
+        options.onContextFiles([
+          { file: '/test/a.js', status: 'included', tokens: 300, originalTokens: 300 },
+          { file: '/test/big.js', status: 'truncated', tokens: 800, originalTokens: 9000 },
+          { file: '/test/huge.js', status: 'dropped', tokens: 0, originalTokens: 20000, reason: 'does not fit the context budget' },
+          { file: '/test/gone.js', status: 'dropped', tokens: 0, originalTokens: 0, reason: 'not found' }
+        ]);
+        return 'generated code';
+      });
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+      const result = await handleWriteTool({ file_path: '/test/output.js', prompt: 'Generate', context_files: ['/test/a.js', '/test/big.js', '/test/huge.js', '/test/gone.js'] });
+
+      expect(result.content[result.content.length - 1].text).toBe([
+        '📎 Context files:',
+        '  ✓ /test/a.js (~300 tokens)',
+        '  ✂ /test/big.js reduced to imports and declarations (~9000 → ~800 tokens)',
+        '  ✗ /test/huge.js dropped: does not fit the context budget (~20000 tokens)',
+        '  ✗ /test/gone.js dropped: not found'
+      ].join('\n'));
+    });
+
+    it('should expand globs in context_files and report what they matched', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cerebras-context-glob-'));
+      try {
+        await fs.writeFile(path.join(tempDir, 'a.js'), 'export const a = 1;');
+        await fs.writeFile(path.join(tempDir, 'b.js'), 'export const b = 2;');
+        await fs.writeFile(path.join(tempDir, 'notes.md'), '# notes');
+        readFileContent.mockResolvedValue(null);
+        routeAPICall.mockResolvedValue('generated code');
+        formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+        const result = await handleWriteTool({ file_path: '/test/output.js', prompt: 'Generate', context_files: [`${tempDir}/*.js`, `${tempDir}/*.py`] });
+
+        expect(routeAPICall.mock.calls[0][4]).toEqual([path.join(tempDir, 'a.js'), path.join(tempDir, 'b.js')]);
+        expect(result.content[result.content.length - 1].text).toBe([
+          '📎 Context files:',
+          `  ${tempDir}/*.js → 2 files`,
+          `  ${tempDir}/*.py → no files`
+        ].join('\n'));
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should skip the write when the request is cancelled', async () => {
+      const controller = new AbortController();
+      readFileContent.mockResolvedValue('old code');
+      routeAPICall.mockImplementation(async () => {
+        controller.abort();
+        return 'new code';
+      });
+
+      const result = await handleWriteTool(
+        { file_path: '/test/output.js', prompt: 'Change it' },
+        { signal: controller.signal }
       );
+
+      expect(routeAPICall.mock.calls[0][5].signal).toBe(controller.signal);
+      expect(writeFileContent).not.toHaveBeenCalled();
+      expect(recordWrite).not.toHaveBeenCalled();
+      expect(result.content[0].text).toBe('Request cancelled - no changes were written.');
     });
 
     it('should clean code response', async () => {
@@ -273,4 +377,375 @@ describe('ToolHandlers', () => {
       delete process.env.CEREBRAS_MCP_IDE;
     });
   });
+
+  describe('handleWriteTool with edit_mode search_replace', () => {
+    const existingContent = 'const a = 1;\nconst b = 2;\nconst c = 3;';
+
+    it('should apply SEARCH/REPLACE blocks to the existing content', async () => {
+      readFileContent.mockResolvedValue(existingContent);
+      routeAPICall.mockResolvedValue('<<<<<<< SEARCH\nconst b = 2;\n=======\nconst b = 20;\n>>>>>>> REPLACE');
+      formatEditResponse.mockReturnValue({ type: 'text', text: 'Modified file' });
+
+      const result = await handleWriteTool({
+        file_path: '/test/existing.js',
+        prompt: 'Change b',
+        edit_mode: 'search_replace'
+      });
+
+      expect(routeAPICall).toHaveBeenCalledWith(
+        'Change b',
+        '',
+        '/test/existing.js',
+        null,
+        [],
+        { editMode: 'search_replace', onModelFallback: expect.any(Function), onContextFiles: expect.any(Function) }
+      );
+      expect(cleanCodeResponse).not.toHaveBeenCalled();
+      expect(writeFileContent).toHaveBeenCalledWith(
+        '/test/existing.js',
+        'const a = 1;\nconst b = 20;\nconst c = 3;'
+      );
+      expect(formatEditResponse).toHaveBeenCalledWith(
+        'existing.js',
+        existingContent,
+        'const a = 1;\nconst b = 20;\nconst c = 3;',
+        '/test/existing.js'
+      );
+      expect(result.content).toHaveLength(1);
+    });
+
+    it('should not write anything when a block does not match', async () => {
+      readFileContent.mockResolvedValue(existingContent);
+      routeAPICall.mockResolvedValue([
+        '<<<<<<< SEARCH',
+        'const a = 1;',
+        '=======',
+        'const a = 10;',
+        '>>>>>>> REPLACE',
+        '<<<<<<< SEARCH',
+        'const z = 26;',
+        '=======',
+        'const z = 0;',
+        '>>>>>>> REPLACE'
+      ].join('\n'));
+
+      const result = await handleWriteTool({
+        file_path: '/test/existing.js',
+        prompt: 'Change a and z',
+        edit_mode: 'search_replace'
+      });
+
+      expect(writeFileContent).not.toHaveBeenCalled();
+      expect(result.content[0].text).toContain('1 of 2 edit blocks did not match');
+      expect(result.content[0].text).toContain('Block 2:');
+      expect(result.content[0].text).toContain('const z = 26;');
+    });
+
+    it('should fail when the response contains no edit blocks', async () => {
+      readFileContent.mockResolvedValue(existingContent);
+      routeAPICall.mockResolvedValue('const a = 1;');
+
+      const result = await handleWriteTool({
+        file_path: '/test/existing.js',
+        prompt: 'Change a',
+        edit_mode: 'search_replace'
+      });
+
+      expect(writeFileContent).not.toHaveBeenCalled();
+      expect(result.content[0].text).toContain('contained no SEARCH/REPLACE blocks');
+    });
+
+    it('should generate new files in full', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockResolvedValue('const a = 1;');
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+      await handleWriteTool({
+        file_path: '/test/new.js',
+        prompt: 'Create a',
+        edit_mode: 'search_replace'
+      });
+
+      expect(routeAPICall).toHaveBeenCalledWith('Create a', '', '/test/new.js', null, [], { editMode: 'full', onModelFallback: expect.any(Function), onContextFiles: expect.any(Function) });
+      expect(writeFileContent).toHaveBeenCalledWith('/test/new.js', 'const a = 1;');
+    });
+
+    it('should reject unknown edit modes', async () => {
+      const result = await handleWriteTool({
+        file_path: '/test/existing.js',
+        prompt: 'Change a',
+        edit_mode: 'patch'
+      });
+
+      expect(result.content[0].text).toContain('Invalid edit_mode "patch"');
+      expect(routeAPICall).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dry_run and apply', () => {
+    beforeEach(() => {
+      clearPreviews();
+    });
+
+    const extractToken = (result) => {
+      const match = result.content[result.content.length - 1].text.match(/preview_token: ([0-9a-f-]+)/);
+      return match && match[1];
+    };
+
+    it('should return the diff without writing on dry_run', async () => {
+      readFileContent.mockResolvedValue('const x = 1;');
+      routeAPICall.mockResolvedValue('const x = 2;');
+      formatEditResponse.mockReturnValue({ type: 'text', text: 'Modified file' });
+
+      const result = await handleWriteTool({
+        file_path: '/test/existing.js',
+        prompt: 'Change x',
+        dry_run: true
+      });
+
+      expect(writeFileContent).not.toHaveBeenCalled();
+      expect(formatEditResponse).toHaveBeenCalledWith('existing.js', 'const x = 1;', 'const x = 2;', '/test/existing.js');
+      expect(result.content).toHaveLength(2);
+      expect(result.content[0].text).toBe('Modified file');
+      expect(result.content[1].text).toContain('Preview only');
+      expect(extractToken(result)).toBeTruthy();
+    });
+
+    it('should apply the previewed content without another model call', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockResolvedValue('const y = 1;');
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+      const preview = await handleWriteTool({
+        file_path: '/test/new.js',
+        prompt: 'Create y',
+        dry_run: true
+      });
+      const token = extractToken(preview);
+
+      const result = await handleApplyTool({ preview_token: token });
+
+      expect(routeAPICall).toHaveBeenCalledTimes(1);
+      expect(writeFileContent).toHaveBeenCalledWith('/test/new.js', 'const y = 1;');
+      expect(result.content).toEqual([{ type: 'text', text: 'Created' }]);
+
+      // Tokens are single use
+      const second = await handleApplyTool({ preview_token: token });
+      expect(second.content[0].text).toContain('Unknown or expired preview_token');
+    });
+
+    it('should refuse to apply when the file changed since the preview', async () => {
+      readFileContent.mockResolvedValue('const x = 1;');
+      routeAPICall.mockResolvedValue('const x = 2;');
+      formatEditResponse.mockReturnValue({ type: 'text', text: 'Modified file' });
+
+      const preview = await handleWriteTool({
+        file_path: '/test/existing.js',
+        prompt: 'Change x',
+        dry_run: true
+      });
+
+      readFileContent.mockResolvedValue('const x = 3;');
+      const result = await handleApplyTool({ preview_token: extractToken(preview) });
+
+      expect(writeFileContent).not.toHaveBeenCalled();
+      expect(result.content[0].text).toContain('changed since the preview was generated');
+    });
+
+    it('should require a preview_token', async () => {
+      const result = await handleApplyTool({});
+      expect(result.content[0].text).toContain('preview_token is required');
+    });
+  });
+
+  describe('undo history', () => {
+    it('should journal writes with the previous content', async () => {
+      readFileContent.mockResolvedValue('const x = 1;');
+      routeAPICall.mockResolvedValue('const x = 2;');
+      formatEditResponse.mockReturnValue({ type: 'text', text: 'Modified file' });
+
+      await handleWriteTool({ file_path: '/test/existing.js', prompt: 'Change x' });
+
+      expect(recordWrite).toHaveBeenCalledWith('/test/existing.js', 'const x = 1;', 'const x = 2;');
+    });
+
+    it('should journal new files with null previous content', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockResolvedValue('const y = 1;');
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+      await handleWriteTool({ file_path: '/test/new.js', prompt: 'Create y' });
+
+      expect(recordWrite).toHaveBeenCalledWith('/test/new.js', null, 'const y = 1;');
+    });
+
+    it('should not journal dry runs', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockResolvedValue('const y = 1;');
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+      await handleWriteTool({ file_path: '/test/new.js', prompt: 'Create y', dry_run: true });
+
+      expect(recordWrite).not.toHaveBeenCalled();
+    });
+
+    it('should still succeed when the journal cannot be written', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockResolvedValue('const y = 1;');
+      recordWrite.mockRejectedValue(new Error('disk full'));
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+
+      const result = await handleWriteTool({ file_path: '/test/new.js', prompt: 'Create y' });
+
+      expect(writeFileContent).toHaveBeenCalled();
+      expect(result.content).toEqual([{ type: 'text', text: 'Created' }]);
+    });
+
+    it('should undo writes through the journal', async () => {
+      findWorkspaceRoot.mockResolvedValue('/test');
+      undo.mockResolvedValue([{ filePath: '/test/a.js', action: 'restored', timestamp: 't' }]);
+      formatUndoSummary.mockReturnValue('Undid 1 write');
+
+      const result = await handleUndoTool({ steps: 2, file_path: '/test/a.js' });
+
+      expect(findWorkspaceRoot).toHaveBeenCalledWith('/test/a.js');
+      expect(undo).toHaveBeenCalledWith({ workspaceRoot: '/test', steps: 2, filePath: '/test/a.js', force: false });
+      expect(result.content).toEqual([{ type: 'text', text: 'Undid 1 write' }]);
+    });
+
+    it('should report undo errors', async () => {
+      findWorkspaceRoot.mockResolvedValue('/test');
+      undo.mockRejectedValue(new Error('Nothing to undo in /test'));
+
+      const result = await handleUndoTool({});
+
+      expect(result.content[0].text).toContain('Nothing to undo');
+    });
+  });
+
+  describe('workspace sandbox', () => {
+    afterEach(() => {
+      clearAllowedRoots();
+    });
+
+    it('should reject writes outside the allowed roots with a tool error', async () => {
+      setAllowedRoots(['/test']);
+
+      const result = await handleWriteTool({ file_path: '/etc/cron.d/job', prompt: 'Write a job' });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Access denied: /etc/cron.d/job is outside the allowed workspace roots');
+      expect(routeAPICall).not.toHaveBeenCalled();
+      expect(writeFileContent).not.toHaveBeenCalled();
+    });
+
+    it('should reject context files outside the allowed roots', async () => {
+      setAllowedRoots(['/test']);
+
+      const result = await handleWriteTool({
+        file_path: '/test/file.js',
+        prompt: 'Generate code',
+        context_files: ['/test/../etc/passwd']
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Access denied');
+      expect(routeAPICall).not.toHaveBeenCalled();
+    });
+
+    it('should keep other errors as standard text', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockRejectedValue(new Error('API failed'));
+
+      const result = await handleWriteTool({ file_path: '/test/file.js', prompt: 'Generate code' });
+
+      expect(result.isError).toBeUndefined();
+    });
+  });
+
+  describe('handleWriteManyTool', () => {
+    const files = [
+      { file_path: '/test/greeter.js', prompt: 'Export greet()' },
+      { file_path: '/test/greeter.test.js' },
+      { file_path: '/test/index.js' }
+    ];
+
+    const modelOutput = [
+      '<<<FILE: /test/greeter.js>>>',
+      'export const greet = () => "hi";',
+      '<<<END FILE>>>',
+      '<<<FILE: /test/greeter.test.js>>>',
+      "import { greet } from './greeter.js';",
+      '<<<END FILE>>>',
+      '<<<FILE: /test/index.js>>>',
+      "export * from './greeter.js';",
+      '<<<END FILE>>>'
+    ].join('\n');
+
+    it('should generate all files with one request and write each', async () => {
+      readFileContent.mockImplementation(async filePath => filePath === '/test/index.js' ? "export * from './other.js';" : null);
+      routeAPICall.mockResolvedValue(modelOutput);
+      formatCreateResponse.mockImplementation(fileName => ({ type: 'text', text: `Created ${fileName}` }));
+      formatEditResponse.mockImplementation(fileName => ({ type: 'text', text: `Updated ${fileName}` }));
+
+      const result = await handleWriteManyTool({
+        files,
+        prompt: 'Add a greeter module',
+        context_files: ['/test/context.js', '/test/index.js']
+      });
+
+      expect(routeAPICall).toHaveBeenCalledTimes(1);
+      expect(routeAPICall).toHaveBeenCalledWith('Add a greeter module', '', '', null, ['/test/context.js'], {
+        outputFiles: [
+          { filePath: '/test/greeter.js', prompt: 'Export greet()', existingContent: null },
+          { filePath: '/test/greeter.test.js', prompt: '', existingContent: null },
+          { filePath: '/test/index.js', prompt: '', existingContent: "export * from './other.js';" }
+        ],
+        onModelFallback: expect.any(Function),
+        onContextFiles: expect.any(Function)
+      });
+      expect(writeFileContent).toHaveBeenCalledTimes(3);
+      expect(writeFileContent).toHaveBeenCalledWith('/test/greeter.js', 'export const greet = () => "hi";');
+      expect(result.content.map(item => item.text)).toEqual([
+        'Created greeter.js',
+        'Created greeter.test.js',
+        'Updated index.js'
+      ]);
+    });
+
+    it('should write nothing when any file fails to parse', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockResolvedValue('<<<FILE: /test/greeter.js>>>\ncode\n<<<END FILE>>>');
+
+      const result = await handleWriteManyTool({ files, prompt: 'Add a greeter module' });
+
+      expect(writeFileContent).not.toHaveBeenCalled();
+      expect(result.content[0].text).toContain('MultiFileParseFailed');
+      expect(result.content[0].text).toContain('/test/greeter.test.js, /test/index.js');
+    });
+
+    it('should report files already written when a later write fails', async () => {
+      readFileContent.mockResolvedValue(null);
+      routeAPICall.mockResolvedValue(modelOutput);
+      formatCreateResponse.mockReturnValue({ type: 'text', text: 'Created' });
+      writeFileContent
+        .mockResolvedValueOnce(true)
+        .mockRejectedValueOnce(new Error('Failed to write file /test/greeter.test.js: EACCES'));
+
+      const result = await handleWriteManyTool({ files, prompt: 'Add a greeter module' });
+
+      expect(result.content[0].text).toContain('Already written: /test/greeter.js');
+    });
+
+    it('should validate the files argument', async () => {
+      expect((await handleWriteManyTool({ prompt: 'x' })).content[0].text).toContain('files is required');
+      expect((await handleWriteManyTool({ prompt: 'x', files: [{}] })).content[0].text).toContain('files[0].file_path is required');
+      expect((await handleWriteManyTool({ files })).content[0].text).toContain('Prompt is required');
+      expect((await handleWriteManyTool({
+        prompt: 'x',
+        files: [{ file_path: '/test/a.js' }, { file_path: '/test/a.js' }]
+      })).content[0].text).toContain('Duplicate file_path');
+      expect(routeAPICall).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
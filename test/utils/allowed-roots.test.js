@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import { realpathSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+import {
+  setAllowedRoots,
+  getAllowedRoots,
+  clearAllowedRoots,
+  parseRootsList,
+  rootsFromClient,
+  resolveAllowedPath,
+  isPathNotAllowedError
+} from '../../src/utils/allowed-roots.js';
+
+describe('AllowedRoots', () => {
+  let tempDir;
+  let workspace;
+  let outside;
+
+  beforeEach(async () => {
+    tempDir = realpathSync(await fs.mkdtemp(path.join(os.tmpdir(), 'cerebras-roots-')));
+    workspace = path.join(tempDir, 'workspace');
+    outside = path.join(tempDir, 'outside');
+    await fs.mkdir(workspace);
+    await fs.mkdir(outside);
+    setAllowedRoots([workspace]);
+  });
+
+  afterEach(async () => {
+    clearAllowedRoots();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('resolveAllowedPath', () => {
+    it('should allow files inside a root', async () => {
+      const file = path.join(workspace, 'src', 'new-file.js');
+      expect(await resolveAllowedPath(file)).toBe(file);
+    });
+
+    it('should allow the root itself', async () => {
+      expect(await resolveAllowedPath(workspace)).toBe(workspace);
+    });
+
+    it('should reject files outside every root', async () => {
+      await expect(resolveAllowedPath(path.join(outside, 'file.js'))).rejects.toThrow('PathNotAllowed');
+    });
+
+    it('should reject escapes through .. segments', async () => {
+      const escaping = `${workspace}${path.sep}..${path.sep}outside${path.sep}file.js`;
+      await expect(resolveAllowedPath(escaping)).rejects.toThrow('PathNotAllowed');
+    });
+
+    it('should reject sibling directories that share a prefix', async () => {
+      const sibling = `${workspace}-other`;
+      await fs.mkdir(sibling);
+      await expect(resolveAllowedPath(path.join(sibling, 'file.js'))).rejects.toThrow('PathNotAllowed');
+    });
+
+    it('should reject escapes through symlinks', async () => {
+      const link = path.join(workspace, 'link');
+      await fs.symlink(outside, link, 'dir');
+
+      await expect(resolveAllowedPath(path.join(link, 'new-file.js'))).rejects.toThrow('resolves to');
+    });
+
+    it('should allow symlinks that stay inside the root', async () => {
+      const target = path.join(workspace, 'real');
+      await fs.mkdir(target);
+      await fs.symlink(target, path.join(workspace, 'alias'), 'dir');
+
+      expect(await resolveAllowedPath(path.join(workspace, 'alias', 'file.js'))).toBe(path.join(target, 'file.js'));
+    });
+
+    it('should allow anything when no roots are configured', async () => {
+      clearAllowedRoots();
+      expect(await resolveAllowedPath(path.join(outside, 'file.js'))).toBe(path.join(outside, 'file.js'));
+    });
+  });
+
+  describe('configuration', () => {
+    it('should deduplicate and resolve roots', () => {
+      expect(setAllowedRoots([workspace, `${workspace}${path.sep}`])).toEqual([workspace]);
+      expect(getAllowedRoots()).toEqual([workspace]);
+    });
+
+    it('should parse delimiter separated root lists', () => {
+      expect(parseRootsList(['/a', ' /b ', ''].join(path.delimiter))).toEqual(['/a', '/b']);
+      expect(parseRootsList(undefined)).toEqual([]);
+    });
+
+    it('should convert client file URIs to paths', () => {
+      const roots = rootsFromClient([
+        { uri: pathToFileURL(workspace).href, name: 'workspace' },
+        { uri: 'https://example.com/repo' }
+      ]);
+      expect(roots).toEqual([workspace]);
+    });
+  });
+
+  it('should identify sandbox errors', async () => {
+    const error = await resolveAllowedPath(path.join(outside, 'x')).catch(e => e);
+    expect(isPathNotAllowedError(error)).toBe(true);
+    expect(isPathNotAllowedError(new Error('other'))).toBe(false);
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/file-utils.js', () => ({
+  readFileContent: vi.fn()
+}));
+
+import { readFileContent } from '../../src/utils/file-utils.js';
+import { outlineCode, fitContextFiles, loadContextFiles } from '../../src/utils/context-budget.js';
+
+// A file of roughly the given number of tokens (4 characters each)
+const sized = (tokens) => 'x'.repeat(tokens * 4);
+
+const jsModule = `import fs from 'fs';
+import {
+  readFile,
+  writeFile
+} from './io.js';
+
+// Helper comment
+const LIMIT = 10;
+
+export function add(a, b) {
+  const sum = a + b;
+  return sum;
+}
+
+export class Counter {
+  constructor(start) {
+    this.value = start;
+  }
+
+  increment() {
+    this.value++;
+  }
+}
+
+main();
+`;
+
+const pyModule = `import os
+from typing import List
+
+MAX_ITEMS = 5
+
+def load(path: str) -> List[str]:
+    with open(path) as f:
+        return f.readlines()
+
+class Store:
+    def __init__(self):
+        self.items = []
+
+    def add(self, item):
+        self.items.append(item)
+
+if __name__ == "__main__":
+    load("x")
+`;
+
+describe('ContextBudget', () => {
+  describe('outlineCode', () => {
+    it('should keep imports, declarations and class members of JavaScript', () => {
+      expect(outlineCode(jsModule)).toBe(`import fs from 'fs';
+import {
+  readFile,
+  writeFile
+} from './io.js';
+const LIMIT = 10;
+export function add(a, b) {
+  ...
+}
+export class Counter {
+  constructor(start) {
+    ...
+  }
+  increment() {
+    ...
+  }
+}
+...`);
+    });
+
+    it('should keep imports, constants, functions and methods of Python', () => {
+      expect(outlineCode(pyModule)).toBe(`import os
+from typing import List
+MAX_ITEMS = 5
+def load(path: str) -> List[str]:
+    ...
+class Store:
+    def __init__(self):
+        ...
+    def add(self, item):
+        ...
+...`);
+    });
+  });
+
+  describe('fitContextFiles', () => {
+    it('should include files in order while they fit', () => {
+      const result = fitContextFiles([
+        { file: 'a.js', content: sized(40) },
+        { file: 'b.js', content: sized(50) },
+        { file: 'c.js', content: sized(10) }
+      ], 100);
+
+      expect(result.map(({ file, status, tokens }) => [file, status, tokens])).toEqual([
+        ['a.js', 'included', 40],
+        ['b.js', 'included', 50],
+        ['c.js', 'included', 10]
+      ]);
+    });
+
+    it('should reduce a file that does not fit to its outline', () => {
+      const body = Array.from({ length: 100 }, (_, i) => `  total += ${i};`).join('\n');
+      const content = `export function sum() {\n  let total = 0;\n${body}\n  return total;\n}\n`;
+
+      const [result] = fitContextFiles([{ file: 'sum.js', content }], 50);
+
+      expect(result.status).toBe('truncated');
+      expect(result.content).toBe('export function sum() {\n  ...\n}');
+      expect(result.tokens).toBeLessThan(result.originalTokens);
+    });
+
+    it('should drop files that do not fit even as an outline and keep filling with later ones', () => {
+      const result = fitContextFiles([
+        { file: 'first.js', content: sized(80) },
+        { file: 'huge.txt', content: sized(500) },
+        { file: 'small.js', content: sized(15) }
+      ], 100);
+
+      expect(result.map(({ status }) => status)).toEqual(['included', 'dropped', 'included']);
+      expect(result[1]).toMatchObject({ content: null, originalTokens: 500, reason: 'does not fit the context budget' });
+    });
+
+    it('should not limit anything without a budget', () => {
+      expect(fitContextFiles([{ file: 'big.js', content: sized(100000) }], 0)[0].status).toBe('included');
+    });
+
+    it('should drop missing and unreadable files with the reason', () => {
+      const result = fitContextFiles([
+        { file: 'gone.js', content: null },
+        { file: 'dir', content: null, error: new Error('EISDIR') }
+      ], 100);
+
+      expect(result.map(({ status, reason }) => [status, reason])).toEqual([
+        ['dropped', 'not found'],
+        ['dropped', 'could not be read: EISDIR']
+      ]);
+    });
+  });
+
+  describe('loadContextFiles', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should read each context file except the output file', async () => {
+      readFileContent.mockImplementation(async (file) => {
+        if (file === 'dir') throw new Error('Failed to read file dir: EISDIR');
+        return `// ${file}`;
+      });
+
+      const result = await loadContextFiles(['out.js', 'lib.js', 'dir'], 'out.js', 1000);
+
+      expect(readFileContent).not.toHaveBeenCalledWith('out.js');
+      expect(result.map(({ file, status }) => [file, status])).toEqual([['lib.js', 'included'], ['dir', 'dropped']]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not read context file dir'));
+    });
+  });
+});
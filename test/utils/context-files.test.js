@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import { realpathSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import { setAllowedRoots, clearAllowedRoots } from '../../src/utils/allowed-roots.js';
+import { expandContextFiles, globToRegExp, isGlobPattern } from '../../src/utils/context-files.js';
+
+describe('ContextFiles', () => {
+  describe('globToRegExp', () => {
+    it('should match ** across directories and * within one', () => {
+      const regex = globToRegExp('src/**/*.js');
+
+      expect(regex.test('src/a.js')).toBe(true);
+      expect(regex.test('src/api/router/b.js')).toBe(true);
+      expect(regex.test('src/a.ts')).toBe(false);
+      expect(regex.test('lib/src/a.js')).toBe(false);
+      expect(globToRegExp('*.js').test('src/a.js')).toBe(false);
+    });
+
+    it('should support ?, character classes and alternatives', () => {
+      expect(globToRegExp('v?.js').test('v1.js')).toBe(true);
+      expect(globToRegExp('[!a]*.js').test('app.js')).toBe(false);
+      expect(globToRegExp('[!a]*.js').test('bin.js')).toBe(true);
+      expect(globToRegExp('*.{js,ts}').test('a.ts')).toBe(true);
+      expect(globToRegExp('*.{js,ts}').test('a.tsx')).toBe(false);
+      expect(globToRegExp('a.b').test('axb')).toBe(false);
+    });
+
+    it('should tell globs from plain paths', () => {
+      expect(isGlobPattern('src/**/*.js')).toBe(true);
+      expect(isGlobPattern('src/api/router.js')).toBe(false);
+    });
+  });
+
+  describe('expandContextFiles', () => {
+    let tempDir;
+    let workspace;
+
+    const write = async (relative, content = `// ${relative}`) => {
+      const file = path.join(workspace, relative);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, content);
+    };
+    const inWorkspace = (...relatives) => relatives.map(relative => path.join(workspace, relative));
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      tempDir = realpathSync(await fs.mkdtemp(path.join(os.tmpdir(), 'cerebras-context-')));
+      workspace = path.join(tempDir, 'workspace');
+      await fs.mkdir(path.join(workspace, '.git'), { recursive: true });
+      await write('.git/config', '[core]');
+      await write('src/api/router.js');
+      await write('src/api/client.ts');
+      await write('src/index.js');
+      await write('README.md', '# readme');
+      setAllowedRoots([workspace]);
+    });
+
+    afterEach(async () => {
+      clearAllowedRoots();
+      try {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+    });
+
+    it('should expand a glob to the files it matches, in name order', async () => {
+      const result = await expandContextFiles([`${workspace}/src/**/*.js`]);
+
+      expect(result.files).toEqual(inWorkspace('src/api/router.js', 'src/index.js'));
+      expect(result.expansions).toEqual([{ entry: `${workspace}/src/**/*.js`, files: result.files, binary: 0 }]);
+      expect(result.capped).toBe(false);
+    });
+
+    it('should expand a directory to every file below it, without .git', async () => {
+      const result = await expandContextFiles([workspace]);
+
+      expect(result.files).toEqual(inWorkspace('README.md', 'src/api/client.ts', 'src/api/router.js', 'src/index.js'));
+    });
+
+    it('should keep the paths of relative entries relative', async () => {
+      const cwd = vi.spyOn(process, 'cwd').mockReturnValue(workspace);
+
+      const result = await expandContextFiles(['src/api', 'src/*.js']);
+
+      expect(result.files).toEqual([path.join('src/api', 'client.ts'), path.join('src/api', 'router.js'), path.join('src', 'index.js')]);
+      cwd.mockRestore();
+    });
+
+    it('should respect .gitignore files of the repository and below', async () => {
+      await write('.gitignore', 'dist/\n*.log\n!keep.log\n# comment\n');
+      await write('src/.gitignore', '/generated.js\n');
+      await write('dist/bundle.js');
+      await write('src/debug.log', 'log');
+      await write('src/keep.log', 'log');
+      await write('src/generated.js');
+      await write('src/api/generated.js');
+
+      const result = await expandContextFiles([`${workspace}/src/**`]);
+
+      expect(result.files).toEqual(inWorkspace(
+        'src/.gitignore',
+        'src/api/client.ts',
+        'src/api/generated.js',
+        'src/api/router.js',
+        'src/index.js',
+        'src/keep.log'
+      ));
+    });
+
+    it('should skip node_modules unless an entry names a path inside it', async () => {
+      await write('node_modules/lib/index.js');
+
+      expect((await expandContextFiles([`${workspace}/**/*.js`])).files).toEqual(inWorkspace('src/api/router.js', 'src/index.js'));
+      expect((await expandContextFiles([path.join(workspace, 'node_modules/lib')])).files).toEqual(inWorkspace('node_modules/lib/index.js'));
+    });
+
+    it('should stop searching after the most directory entries', async () => {
+      const result = await expandContextFiles([`${workspace}/**/*.ts`], 50, 3);
+
+      // .git, README.md and src use up the entries before src/api/client.ts is reached
+      expect(result.files).toEqual([]);
+      expect(result.truncated).toBe(true);
+      expect((await expandContextFiles([`${workspace}/**/*.ts`])).truncated).toBe(false);
+    });
+
+    it('should skip binary files and count them', async () => {
+      await write('src/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x1a]));
+
+      const result = await expandContextFiles([path.join(workspace, 'src')]);
+
+      expect(result.files).not.toContain(path.join(workspace, 'src/logo.png'));
+      expect(result.expansions[0].binary).toBe(1);
+    });
+
+    it('should cap the number of files', async () => {
+      const result = await expandContextFiles([path.join(workspace, 'src'), path.join(workspace, 'README.md')], 2);
+
+      expect(result.files).toEqual(inWorkspace('src/api/client.ts', 'src/api/router.js'));
+      expect(result.capped).toBe(true);
+    });
+
+    it('should pass plain paths through once, even missing ones', async () => {
+      const router = path.join(workspace, 'src/api/router.js');
+      const missing = path.join(workspace, 'src/missing.js');
+
+      const result = await expandContextFiles([router, missing, `${workspace}/src/api/*.js`]);
+
+      expect(result.files).toEqual([router, missing]);
+      expect(result.expansions[0].files).toEqual([]);
+    });
+
+    it('should take existing paths literally even when they look like globs', async () => {
+      await write('app/[slug]/page.tsx');
+      await write('app/s/page.tsx');
+      await write('app/{group}/layout.tsx');
+
+      const result = await expandContextFiles([path.join(workspace, 'app/[slug]/page.tsx'), path.join(workspace, 'app/{group}')]);
+
+      expect(result.files).toEqual(inWorkspace('app/[slug]/page.tsx', 'app/{group}/layout.tsx'));
+      expect(result.expansions.map(({ entry }) => entry)).toEqual([path.join(workspace, 'app/{group}')]);
+    });
+
+    it('should reject globs outside the allowed roots', async () => {
+      await expect(expandContextFiles([`${tempDir}/**/*.js`])).rejects.toThrow('PathNotAllowed');
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { readFileContent, writeFileContent, getLanguageFromFile } from '../../src/utils/file-utils.js';
+import { setAllowedRoots, clearAllowedRoots } from '../../src/utils/allowed-roots.js';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
@@ -106,6 +107,40 @@ describe('FileUtils', () => {
     });
   });
 
+  describe('workspace sandbox', () => {
+    let workspace;
+
+    beforeEach(async () => {
+      workspace = path.join(tempDir, 'workspace');
+      await fs.mkdir(workspace);
+      setAllowedRoots([workspace]);
+    });
+
+    afterEach(() => {
+      clearAllowedRoots();
+    });
+
+    it('should read and write files inside the allowed roots', async () => {
+      const file = path.join(workspace, 'inside.js');
+      await writeFileContent(file, 'inside');
+
+      expect(await readFileContent(file)).toBe('inside');
+    });
+
+    it('should reject reads outside the allowed roots', async () => {
+      await fs.writeFile(testFile, 'secret');
+
+      await expect(readFileContent(testFile)).rejects.toThrow('PathNotAllowed');
+    });
+
+    it('should reject writes outside the allowed roots without creating directories', async () => {
+      const outsideDir = path.join(tempDir, 'outside');
+
+      await expect(writeFileContent(path.join(outsideDir, 'file.js'), 'x')).rejects.toThrow('PathNotAllowed');
+      await expect(fs.access(outsideDir)).rejects.toThrow();
+    });
+  });
+
   describe('getLanguageFromFile', () => {
     it('should detect language from file extension', () => {
       expect(getLanguageFromFile('/path/to/file.js')).toBe('javascript');
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { buildMultiFilePrompt, getMultiFileSystemPrompt, parseMultiFileResponse } from '../../src/utils/multi-file.js';
+
+describe('MultiFile', () => {
+  describe('buildMultiFilePrompt', () => {
+    it('should describe every target with its instructions and existing content', () => {
+      const prompt = buildMultiFilePrompt('Add a greeter', [
+        { filePath: '/src/greeter.js', prompt: 'Export greet()', existingContent: null },
+        { filePath: '/src/index.js', prompt: '', existingContent: "export * from './a.js';" }
+      ]);
+
+      expect(prompt).toContain('Generate the following 2 files for: Add a greeter');
+      expect(prompt).toContain('File 1: /src/greeter.js (javascript)');
+      expect(prompt).toContain('Instructions: Export greet()');
+      expect(prompt).toContain('This is a new file.');
+      expect(prompt).toContain("File 2: /src/index.js (javascript)\nExisting file content:\n```javascript\nexport * from './a.js';\n```");
+    });
+
+    it('should explain the output markers in the system prompt', () => {
+      expect(getMultiFileSystemPrompt()).toContain('<<<FILE: /path/to/file>>>');
+      expect(getMultiFileSystemPrompt()).toContain('<<<END FILE>>>');
+    });
+  });
+
+  describe('parseMultiFileResponse', () => {
+    const filePaths = ['/src/a.js', '/src/b.test.js'];
+
+    it('should split the response into files', () => {
+      const response = [
+        '<<<FILE: /src/a.js>>>',
+        'export const a = 1;',
+        '<<<END FILE>>>',
+        '',
+        '<<<FILE: /src/b.test.js>>>',
+        "import { a } from './a.js';",
+        '',
+        'test(a);',
+        '<<<END FILE>>>'
+      ].join('\n');
+
+      const files = parseMultiFileResponse(response, filePaths);
+
+      expect(files.get('/src/a.js')).toBe('export const a = 1;');
+      expect(files.get('/src/b.test.js')).toBe("import { a } from './a.js';\n\ntest(a);");
+    });
+
+    it('should accept shortened paths that match one target', () => {
+      const response = '<<<FILE: a.js>>>\na\n<<<END FILE>>>\n<<<FILE: src/b.test.js>>>\nb\n<<<END FILE>>>';
+
+      const files = parseMultiFileResponse(response, filePaths);
+
+      expect(files.get('/src/a.js')).toBe('a');
+      expect(files.get('/src/b.test.js')).toBe('b');
+    });
+
+    it('should fail when a file is missing', () => {
+      const response = '<<<FILE: /src/a.js>>>\na\n<<<END FILE>>>';
+
+      expect(() => parseMultiFileResponse(response, filePaths)).toThrow('missing or incomplete output for: /src/b.test.js');
+    });
+
+    it('should fail when a file block is not terminated', () => {
+      const response = '<<<FILE: /src/a.js>>>\na\n<<<END FILE>>>\n<<<FILE: /src/b.test.js>>>\nb';
+
+      expect(() => parseMultiFileResponse(response, filePaths)).toThrow('MultiFileParseFailed');
+    });
+
+    it('should fail when a file is returned twice', () => {
+      const response = '<<<FILE: /src/a.js>>>\na\n<<<END FILE>>>\n<<<FILE: /src/a.js>>>\nb\n<<<END FILE>>>';
+
+      expect(() => parseMultiFileResponse(response, ['/src/a.js'])).toThrow('more than once');
+    });
+
+    it('should report unexpected files', () => {
+      const response = '<<<FILE: /src/other.js>>>\nx\n<<<END FILE>>>';
+
+      expect(() => parseMultiFileResponse(response, ['/src/a.js'])).toThrow('unexpected files: /src/other.js');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/file-utils.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  readFileContent: vi.fn()
+}));
+
+import { readFileContent } from '../../src/utils/file-utils.js';
+import { buildMessages, buildRequestMessages, getCodeSystemPrompt } from '../../src/utils/prompt-builder.js';
+
+const existingContent = 'export function add(a, b) {\n  return a + b;\n}';
+const contextFiles = [
+  { file: 'src/types.ts', content: 'export type Pair = [number, number];' },
+  { file: 'src/constants.py', content: 'LIMIT = 10' }
+];
+
+describe('PromptBuilder', () => {
+  describe('buildMessages', () => {
+    it('should return a system and a user message', () => {
+      const messages = buildMessages({ prompt: 'add a subtract function', language: 'javascript' });
+
+      expect(messages).toEqual([
+        { role: 'system', content: getCodeSystemPrompt('javascript') },
+        { role: 'user', content: 'Generate javascript code for: add a subtract function' }
+      ]);
+    });
+
+    it('should order the existing file, context, context files and instruction', () => {
+      const [, user] = buildMessages({ prompt: 'add a subtract function', language: 'javascript', context: 'Use ES modules', contextFiles, existingContent });
+
+      const positions = ['Existing file content:', 'Context: Use ES modules', 'Context Files:', 'Generate javascript code for:']
+        .map(section => user.content.indexOf(section));
+      expect(positions.every(position => position >= 0)).toBe(true);
+      expect(positions).toEqual([...positions].sort((a, b) => a - b));
+    });
+
+    it('should label each context file with its own language', () => {
+      const [, user] = buildMessages({ prompt: 'p', language: 'javascript', contextFiles });
+
+      expect(user.content).toContain('File: src/types.ts\n```typescript\n');
+      expect(user.content).toContain('File: src/constants.py\n```python\n');
+    });
+
+    it('should label context files reduced to an outline', () => {
+      const [, user] = buildMessages({ prompt: 'p', language: 'javascript', contextFiles: [{ file: 'big.js', content: 'export function f() {\n  ...\n}', status: 'truncated' }] });
+
+      expect(user.content).toContain('File: big.js (outline only: bodies omitted to fit the context budget)\n```javascript\nexport function f() {');
+    });
+
+    it('should leave out empty context files', () => {
+      const [, user] = buildMessages({ prompt: 'p', language: 'javascript', contextFiles: [{ file: 'empty.js', content: '' }] });
+
+      expect(user.content).not.toContain('Context Files:');
+    });
+
+    it('should ask for edit blocks in search/replace mode', () => {
+      const [system, user] = buildMessages({ prompt: 'rename add to sum', language: 'javascript', existingContent, editMode: 'search_replace' });
+
+      expect(system.content).toContain('SEARCH/REPLACE blocks');
+      expect(user.content).toMatch(/Edit the existing javascript file for: rename add to sum$/);
+    });
+
+    it('should describe every target in multi-file mode without a separate existing file', () => {
+      const outputFiles = [
+        { filePath: '/project/src/a.js', prompt: 'export a', existingContent: 'const a = 1;' },
+        { filePath: '/project/src/b.py' }
+      ];
+
+      const [system, user] = buildMessages({ prompt: 'split modules', language: 'javascript', existingContent: 'ignored', outputFiles });
+
+      expect(system.content).toContain('<<<FILE: /path/to/file>>>');
+      expect(user.content).not.toContain('ignored');
+      expect(user.content).toContain('Generate the following 2 files for: split modules');
+    });
+  });
+
+  describe('snapshots', () => {
+    it('should build a full-file prompt', () => {
+      expect(buildMessages({ prompt: 'add a subtract function', language: 'javascript', context: 'Use ES modules', contextFiles, existingContent })).toMatchSnapshot();
+    });
+
+    it('should build a search/replace prompt', () => {
+      expect(buildMessages({ prompt: 'rename add to sum', language: 'javascript', contextFiles, existingContent, editMode: 'search_replace' })).toMatchSnapshot();
+    });
+
+    it('should build a multi-file prompt', () => {
+      const outputFiles = [
+        { filePath: '/project/src/math.js', prompt: 'export add and subtract', existingContent },
+        { filePath: '/project/test/math.test.js', prompt: 'test both functions' }
+      ];
+
+      expect(buildMessages({ prompt: 'math helpers with tests', language: 'javascript', context: 'Use vitest', outputFiles })).toMatchSnapshot();
+    });
+  });
+
+  describe('buildRequestMessages', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should read the existing file and the context files', async () => {
+      readFileContent.mockImplementation(async (file) => ({ 'out.js': existingContent, 'lib.js': 'export const lib = 1;' })[file] ?? null);
+
+      const [, user] = await buildRequestMessages('add a subtract function', '', 'out.js', null, ['lib.js']);
+
+      expect(user.content).toContain(`Existing file content:\n\`\`\`javascript\n${existingContent}\n\`\`\``);
+      expect(user.content).toContain('File: lib.js\n```javascript\nexport const lib = 1;\n```');
+    });
+
+    it('should skip the output file and unreadable context files', async () => {
+      readFileContent.mockImplementation(async (file) => {
+        if (file === 'missing.js') throw new Error('Failed to read file missing.js: ENOENT');
+        return `// ${file}`;
+      });
+
+      const [, user] = await buildRequestMessages('p', '', 'out.js', null, ['./out.js', 'missing.js', 'lib.js']);
+
+      expect(user.content).not.toContain('File: ./out.js');
+      expect(user.content).toContain('File: lib.js');
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not read context file missing.js'));
+    });
+
+    it('should use context files already fitted into the context budget', async () => {
+      readFileContent.mockResolvedValue(null);
+      const contextSelection = [
+        { file: 'lib.js', content: 'export const lib = 1;', status: 'included' },
+        { file: 'huge.js', content: null, status: 'dropped', reason: 'does not fit the context budget' }
+      ];
+
+      const [, user] = await buildRequestMessages('p', '', 'out.js', null, ['lib.js', 'huge.js'], { contextSelection });
+
+      expect(readFileContent).toHaveBeenCalledTimes(1);
+      expect(readFileContent).toHaveBeenCalledWith('out.js');
+      expect(user.content).toContain('File: lib.js');
+      expect(user.content).not.toContain('huge.js');
+    });
+
+    it('should not read the output file in multi-file mode', async () => {
+      readFileContent.mockResolvedValue(null);
+
+      await buildRequestMessages('p', '', '', null, [], { outputFiles: [{ filePath: '/project/a.js' }] });
+
+      expect(readFileContent).not.toHaveBeenCalled();
+    });
+  });
+});
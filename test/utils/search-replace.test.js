@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSearchReplaceBlocks,
+  parseUnifiedDiffBlocks,
+  parseEditBlocks,
+  applyEditBlocks,
+  formatFailedBlocks
+} from '../../src/utils/search-replace.js';
+
+describe('SearchReplace', () => {
+  describe('parseSearchReplaceBlocks', () => {
+    it('should parse a single block', () => {
+      const response = [
+        '<<<<<<< SEARCH',
+        'const x = 1;',
+        '=======',
+        'const x = 2;',
+        '>>>>>>> REPLACE'
+      ].join('\n');
+
+      expect(parseSearchReplaceBlocks(response)).toEqual([
+        { search: 'const x = 1;', replace: 'const x = 2;' }
+      ]);
+    });
+
+    it('should parse multiple blocks and ignore surrounding text', () => {
+      const response = [
+        'Here are the changes:',
+        '```javascript',
+        '<<<<<<< SEARCH',
+        'a();',
+        '=======',
+        'b();',
+        '>>>>>>> REPLACE',
+        '```',
+        '<<<<<<< SEARCH',
+        'c();',
+        'd();',
+        '=======',
+        '>>>>>>> REPLACE'
+      ].join('\n');
+
+      const blocks = parseSearchReplaceBlocks(response);
+      expect(blocks).toHaveLength(2);
+      expect(blocks[0]).toEqual({ search: 'a();', replace: 'b();' });
+      expect(blocks[1]).toEqual({ search: 'c();\nd();', replace: '' });
+    });
+
+    it('should ignore unterminated blocks', () => {
+      const response = '<<<<<<< SEARCH\na();\n=======\nb();';
+      expect(parseSearchReplaceBlocks(response)).toEqual([]);
+    });
+
+    it('should handle empty responses', () => {
+      expect(parseSearchReplaceBlocks('')).toEqual([]);
+      expect(parseSearchReplaceBlocks(null)).toEqual([]);
+    });
+  });
+
+  describe('parseUnifiedDiffBlocks', () => {
+    it('should convert hunks into blocks', () => {
+      const diff = [
+        '--- a/file.js',
+        '+++ b/file.js',
+        '@@ -1,3 +1,3 @@',
+        ' const a = 1;',
+        '-const b = 2;',
+        '+const b = 3;',
+        ' const c = 4;'
+      ].join('\n');
+
+      expect(parseUnifiedDiffBlocks(diff)).toEqual([
+        {
+          search: 'const a = 1;\nconst b = 2;\nconst c = 4;',
+          replace: 'const a = 1;\nconst b = 3;\nconst c = 4;'
+        }
+      ]);
+    });
+
+    it('should place hunks without context lines by their line numbers', () => {
+      const diff = [
+        '@@ -1,0 +2 @@',
+        '+const inserted = 1;',
+        '@@ -2,0 +4,2 @@',
+        '+const x = 1;',
+        '+const y = 2;'
+      ].join('\n');
+      const blocks = parseUnifiedDiffBlocks(diff);
+
+      expect(blocks).toEqual([
+        { search: '', replace: 'const inserted = 1;', line: 1 },
+        { search: '', replace: 'const x = 1;\nconst y = 2;', line: 3 }
+      ]);
+      expect(applyEditBlocks('const a = 1;\nconst b = 2;\nconst c = 3;\n', blocks).content)
+        .toBe('const a = 1;\nconst inserted = 1;\nconst b = 2;\nconst x = 1;\nconst y = 2;\nconst c = 3;\n');
+    });
+
+    it('should insert at the start of the file for a hunk at line 0', () => {
+      const blocks = parseUnifiedDiffBlocks('@@ -0,0 +1 @@\n+\'use strict\';');
+
+      expect(applyEditBlocks('const a = 1;', blocks).content).toBe("'use strict';\nconst a = 1;");
+    });
+
+    it('should reject a diff for a different file', () => {
+      const diff = '--- a/src/other.js\n+++ b/src/other.js\n@@ -1 +1 @@\n-a\n+b';
+
+      expect(() => parseUnifiedDiffBlocks(diff, '/project/src/file.js'))
+        .toThrow('SearchReplaceFailed: The diff edits src/other.js, not /project/src/file.js');
+      expect(() => parseEditBlocks(diff, '/project/src/file.js')).toThrow('SearchReplaceFailed');
+      expect(parseUnifiedDiffBlocks(diff.replace(/other/g, 'file'), '/project/src/file.js')).toEqual([{ search: 'a', replace: 'b' }]);
+    });
+
+    it('should return no blocks for non-diff text', () => {
+      expect(parseUnifiedDiffBlocks('const x = 1;')).toEqual([]);
+    });
+  });
+
+  describe('parseEditBlocks', () => {
+    it('should prefer SEARCH/REPLACE blocks', () => {
+      const response = '<<<<<<< SEARCH\na\n=======\nb\n>>>>>>> REPLACE';
+      expect(parseEditBlocks(response)).toEqual([{ search: 'a', replace: 'b' }]);
+    });
+
+    it('should fall back to unified diffs', () => {
+      const response = '```diff\n@@ -1 +1 @@\n-a\n+b\n```';
+      expect(parseEditBlocks(response)).toEqual([{ search: 'a', replace: 'b' }]);
+    });
+  });
+
+  describe('applyEditBlocks', () => {
+    const original = 'function a() {\n  return 1;\n}\n\nfunction b() {\n  return 2;\n}\n';
+
+    it('should apply matching blocks in order', () => {
+      const result = applyEditBlocks(original, [
+        { search: '  return 1;', replace: '  return 10;' },
+        { search: '  return 2;', replace: '  return 20;' }
+      ]);
+
+      expect(result.failed).toEqual([]);
+      expect(result.applied).toHaveLength(2);
+      expect(result.content).toBe('function a() {\n  return 10;\n}\n\nfunction b() {\n  return 20;\n}\n');
+    });
+
+    it('should report blocks that do not match', () => {
+      const result = applyEditBlocks(original, [
+        { search: '  return 1;', replace: '  return 10;' },
+        { search: '  return 3;', replace: '  return 30;' }
+      ]);
+
+      expect(result.applied).toHaveLength(1);
+      expect(result.failed).toEqual([{ index: 1, search: '  return 3;', replace: '  return 30;' }]);
+    });
+
+    it('should refuse SEARCH text that matches more than once', () => {
+      const result = applyEditBlocks(original, [
+        { search: '}', replace: '};' },
+        { search: 'function b() {  \n  return 2;', replace: 'function b() {\n  return 3;' }
+      ]);
+
+      expect(result.failed).toEqual([{ index: 0, search: '}', replace: '};', matches: 2 }]);
+      expect(result.content).toBe('function a() {\n  return 1;\n}\n\nfunction b() {\n  return 3;\n}\n');
+    });
+
+    it('should refuse SEARCH text that matches more than once ignoring trailing whitespace', () => {
+      const result = applyEditBlocks('a();\nb();\n\na();\nb();\n', [{ search: 'a();\nb(); ', replace: 'c();' }]);
+
+      expect(result.failed).toEqual([{ index: 0, search: 'a();\nb(); ', replace: 'c();', matches: 2 }]);
+    });
+
+    it('should report insertions past the end of the file', () => {
+      const result = applyEditBlocks('a\nb\n', [{ search: '', replace: 'c', line: 5 }]);
+
+      expect(result.failed).toHaveLength(1);
+      expect(result.content).toBe('a\nb\n');
+    });
+
+    it('should tolerate trailing whitespace differences', () => {
+      const content = 'const a = 1;   \nconst b = 2;\n';
+      const result = applyEditBlocks(content, [
+        { search: 'const a = 1;\nconst b = 2;', replace: 'const a = 3;\nconst b = 4;' }
+      ]);
+
+      expect(result.failed).toEqual([]);
+      expect(result.content).toBe('const a = 3;\nconst b = 4;\n');
+    });
+
+    it('should append when the SEARCH section is empty', () => {
+      const result = applyEditBlocks('const a = 1;', [
+        { search: '', replace: 'const b = 2;' }
+      ]);
+
+      expect(result.content).toBe('const a = 1;\nconst b = 2;');
+    });
+
+    it('should preserve CRLF line endings', () => {
+      const result = applyEditBlocks('a\r\nb\r\nc\r\n', [
+        { search: 'b', replace: 'x\ny' }
+      ]);
+
+      expect(result.content).toBe('a\r\nx\r\ny\r\nc\r\n');
+    });
+  });
+
+  describe('formatFailedBlocks', () => {
+    it('should list each failed block with a preview', () => {
+      const message = formatFailedBlocks('/test/file.js', [
+        { index: 1, search: 'missing();', replace: 'found();' }
+      ], 3);
+
+      expect(message).toContain('SearchReplaceFailed: 1 of 3 edit blocks did not match /test/file.js');
+      expect(message).toContain('Block 2:');
+      expect(message).toContain('| missing();');
+    });
+
+    it('should ask for more context when a block matches several places', () => {
+      const message = formatFailedBlocks('/test/file.js', [
+        { index: 0, search: 'return;', replace: 'return 1;', matches: 3 }
+      ], 1);
+
+      expect(message).toContain('Block 1 matches 3 places. Include more surrounding lines so it matches exactly once:');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/file-utils.js', () => ({
+  readFileContent: vi.fn()
+}));
+
+import { estimateTokens, estimateRequestTokens, estimatePromptTokens } from '../../src/utils/token-estimator.js';
+import { readFileContent } from '../../src/utils/file-utils.js';
+
+describe('TokenEstimator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should estimate about four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(null)).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+
+  it('should count the prompt, the existing file and context files', async () => {
+    const files = {
+      '/src/app.js': 'a'.repeat(400),
+      '/src/util.js': 'b'.repeat(800)
+    };
+    readFileContent.mockImplementation(async filePath => files[filePath] ?? null);
+
+    const tokens = await estimateRequestTokens('p'.repeat(40), '', '/src/app.js', ['/src/util.js', '/src/app.js', '/src/missing.js']);
+
+    // 200 overhead + 10 prompt + 100 existing + 200 context (the output file is not counted twice)
+    expect(tokens).toBe(510);
+  });
+
+  it('should skip unreadable context files', async () => {
+    readFileContent.mockRejectedValue(new Error('PathNotAllowed: /etc/passwd'));
+
+    await expect(estimateRequestTokens('prompt', '', '', ['/etc/passwd'])).resolves.toBe(202);
+  });
+
+  it('should count every target of a multi-file request', async () => {
+    const tokens = await estimateRequestTokens('', '', '', [], {
+      outputFiles: [
+        { filePath: '/a.js', prompt: 'x'.repeat(8), existingContent: null },
+        { filePath: '/b.js', prompt: '', existingContent: 'y'.repeat(40) }
+      ]
+    });
+
+    expect(tokens).toBe(212);
+    expect(readFileContent).not.toHaveBeenCalled();
+  });
+
+  it('should report the share of each context file', async () => {
+    const files = {
+      '/src/app.js': 'a'.repeat(400),
+      '/src/util.js': 'b'.repeat(800)
+    };
+    readFileContent.mockImplementation(async filePath => files[filePath] ?? null);
+
+    const estimate = await estimatePromptTokens('p'.repeat(40), '', '/src/app.js', ['/src/util.js', '/src/missing.js']);
+
+    expect(estimate).toEqual({
+      total: 510,
+      contextFiles: [
+        { file: '/src/util.js', tokens: 200 },
+        { file: '/src/missing.js', tokens: 0 }
+      ]
+    });
+  });
+
+  it('should count context files fitted into the context budget with their selected content', async () => {
+    const contextSelection = [
+      { file: '/src/util.js', status: 'included', tokens: 200 },
+      { file: '/src/big.js', status: 'truncated', tokens: 30 },
+      { file: '/src/huge.js', status: 'dropped', tokens: 0 }
+    ];
+
+    const estimate = await estimatePromptTokens('p'.repeat(40), '', '', ['/src/util.js', '/src/big.js', '/src/huge.js'], { contextSelection });
+
+    expect(estimate).toEqual({
+      total: 440,
+      contextFiles: [
+        { file: '/src/util.js', tokens: 200 },
+        { file: '/src/big.js', tokens: 30 }
+      ]
+    });
+    expect(readFileContent).not.toHaveBeenCalled();
+  });
+});